@@ -0,0 +1,164 @@
+/**
+ * Agent authentication: a local JSON user store with scrypt password hashes
+ * and HMAC-signed bearer tokens for the REST API and Socket.IO handshake.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROLES = ["agent", "supervisor", "admin"];
+const SCRYPT_KEY_LENGTH = 64;
+
+// Hash checked when a username is unknown, so failed logins take the same time
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+/**
+ * Hash a password as `scrypt:<salt>:<hash>` (hex)
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+    return `scrypt:${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+/**
+ * Check a password against a stored `scrypt:<salt>:<hash>` value
+ */
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || "").split(":");
+    if (scheme !== "scrypt" || !saltHex || !hashHex) {
+        return false;
+    }
+    const expected = Buffer.from(hashHex, "hex");
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function base64url(value) {
+    return Buffer.from(value).toString("base64url");
+}
+
+function signature(data, secret) {
+    return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/**
+ * Issue a signed token for an agent
+ */
+function createToken(agent, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = base64url(JSON.stringify({
+        sub: agent.username,
+        name: agent.name || agent.username,
+        role: agent.role,
+        groups: agent.groups || [],
+        iat: now,
+        exp: now + ttlSeconds
+    }));
+    return `${payload}.${signature(payload, secret)}`;
+}
+
+/**
+ * Verify a token and return its claims, or null if it is invalid or expired
+ */
+function verifyToken(token, secret) {
+    if (typeof token !== "string" || !token.includes(".")) {
+        return null;
+    }
+
+    const [payload, sig] = token.split(".");
+    const expected = Buffer.from(signature(payload, secret));
+    const received = Buffer.from(sig || "");
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+        if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return claims;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * JSON file of agents: [{ username, name, role, groups, passwordHash }].
+ * The file is re-read on every lookup so edits take effect without a restart.
+ */
+function createAgentStore(filePath) {
+    function load() {
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+        const agents = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        return Array.isArray(agents) ? agents : [];
+    }
+
+    return {
+        filePath,
+
+        list() {
+            return load().map(({ passwordHash, ...agent }) => agent);
+        },
+
+        find(username) {
+            return load().find((agent) => agent.username === username) || null;
+        },
+
+        /**
+         * Return the agent (without its hash) if the credentials match
+         */
+        authenticate(username, password) {
+            const agent = this.find(username);
+            const valid = verifyPassword(password, agent?.passwordHash || DUMMY_HASH);
+            if (!agent || !valid) {
+                return null;
+            }
+            const { passwordHash, ...publicAgent } = agent;
+            return publicAgent;
+        },
+
+        /**
+         * Create or update an agent, hashing the password when one is given
+         */
+        save({ username, password, name, role = "agent", groups = [] }) {
+            if (!username) {
+                throw new Error("username is required");
+            }
+            if (!ROLES.includes(role)) {
+                throw new Error(`Unknown role '${role}' (expected one of: ${ROLES.join(", ")})`);
+            }
+
+            const agents = load();
+            const existing = agents.find((agent) => agent.username === username);
+            if (!existing && !password) {
+                throw new Error("password is required for a new agent");
+            }
+
+            const agent = existing || { username };
+            Object.assign(agent, { name: name || agent.name || username, role, groups });
+            if (password) {
+                agent.passwordHash = hashPassword(password);
+            }
+            if (!existing) {
+                agents.push(agent);
+            }
+
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, `${JSON.stringify(agents, null, 2)}\n`);
+            return agent;
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    createToken,
+    verifyToken,
+    createAgentStore
+};
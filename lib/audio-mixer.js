@@ -0,0 +1,174 @@
+/**
+ * Conference mixer built on wrtc's nonstandard RTCAudioSink/RTCAudioSource.
+ * Every participant's incoming audio is decoded to mono PCM, and every 10 ms
+ * each participant is sent the mix of everybody else (N-1). A participant's
+ * audience can be narrowed so only some participants hear it (e.g. a whisper).
+ */
+const { clampSample, toMono, resample, createPcmFifo } = require("./pcm");
+
+const FRAME_MS = 10;
+
+// Frames mixed at once to catch up after the event loop stalled
+const MAX_CATCH_UP_FRAMES = 10;
+
+// Audio buffered per participant before the oldest is dropped (keeps latency bounded)
+const MAX_BUFFERED_MS = 200;
+
+/**
+ * Create a mixer running at `sampleRate`. Returns { addParticipant, setInput,
+ * setMuted, setAudience, removeParticipant, participants, stop }.
+ */
+function createAudioMixer({ RTCAudioSink, RTCAudioSource, sampleRate = 48000 }) {
+    if (!RTCAudioSink || !RTCAudioSource) {
+        throw new Error("RTCAudioSink and RTCAudioSource are required - mixing requires wrtc");
+    }
+
+    const frameSize = (sampleRate * FRAME_MS) / 1000;
+    const maxBuffered = (sampleRate * MAX_BUFFERED_MS) / 1000;
+    const participants = new Map();
+    const startedAt = Date.now();
+    let framesMixed = 0;
+    let stopped = false;
+
+    function mixFrame() {
+        const inputs = [];
+        const total = new Int32Array(frameSize);
+
+        for (const participant of participants.values()) {
+            const samples = participant.fifo.take(frameSize);
+            if (participant.muted) {
+                samples.fill(0);
+            }
+            // Audio heard by only some participants is added per listener below
+            if (!participant.audience) {
+                for (let i = 0; i < frameSize; i++) {
+                    total[i] += samples[i];
+                }
+            }
+            inputs.push([participant, samples]);
+        }
+
+        for (const [participant, own] of inputs) {
+            const mix = Int32Array.from(total);
+            if (!participant.audience) {
+                for (let i = 0; i < frameSize; i++) {
+                    mix[i] -= own[i];
+                }
+            }
+            for (const [speaker, samples] of inputs) {
+                if (speaker.audience?.has(participant.id)) {
+                    for (let i = 0; i < frameSize; i++) {
+                        mix[i] += samples[i];
+                    }
+                }
+            }
+
+            const out = new Int16Array(frameSize);
+            for (let i = 0; i < frameSize; i++) {
+                out[i] = clampSample(mix[i]);
+            }
+            participant.source.onData({
+                samples: out,
+                sampleRate,
+                bitsPerSample: 16,
+                channelCount: 1,
+                numberOfFrames: frameSize
+            });
+        }
+    }
+
+    // Mix every frame that is due, so timer jitter does not slow the conference down
+    const timer = setInterval(() => {
+        const due = Math.floor((Date.now() - startedAt) / FRAME_MS);
+        framesMixed = Math.max(framesMixed, due - MAX_CATCH_UP_FRAMES);
+        while (framesMixed < due) {
+            mixFrame();
+            framesMixed++;
+        }
+    }, FRAME_MS);
+
+    return {
+        /**
+         * Add a participant and return the track carrying what it should hear
+         */
+        addParticipant(id) {
+            if (participants.has(id)) {
+                return participants.get(id).track;
+            }
+            const source = new RTCAudioSource();
+            participants.set(id, {
+                id,
+                source,
+                track: source.createTrack(),
+                sink: null,
+                fifo: createPcmFifo(),
+                muted: false,
+                // Ids of the participants that hear this one (null: everybody)
+                audience: null
+            });
+            return participants.get(id).track;
+        },
+
+        /**
+         * Feed a participant's own audio into the mix
+         */
+        setInput(id, track) {
+            const participant = participants.get(id);
+            if (!participant) {
+                return;
+            }
+            participant.sink?.stop();
+            participant.sink = new RTCAudioSink(track);
+            participant.sink.ondata = ({ samples, sampleRate: rate, channelCount }) => {
+                participant.fifo.push(resample(toMono(samples, channelCount || 1), rate, sampleRate));
+                if (participant.fifo.length > maxBuffered) {
+                    participant.fifo.take(participant.fifo.length - maxBuffered);
+                }
+            };
+        },
+
+        setMuted(id, muted) {
+            const participant = participants.get(id);
+            if (participant) {
+                participant.muted = muted;
+            }
+        },
+
+        /**
+         * Limit who hears a participant to the given ids, or everybody with null
+         */
+        setAudience(id, ids) {
+            const participant = participants.get(id);
+            if (participant) {
+                participant.audience = ids ? new Set(ids) : null;
+            }
+        },
+
+        removeParticipant(id) {
+            const participant = participants.get(id);
+            if (!participant) {
+                return;
+            }
+            participant.sink?.stop();
+            participant.track.stop();
+            participants.delete(id);
+        },
+
+        participants() {
+            return Array.from(participants.keys());
+        },
+
+        stop() {
+            if (stopped) {
+                return;
+            }
+            stopped = true;
+            clearInterval(timer);
+            Array.from(participants.keys()).forEach((id) => this.removeParticipant(id));
+        }
+    };
+}
+
+module.exports = {
+    createAudioMixer
+};
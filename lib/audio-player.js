@@ -0,0 +1,95 @@
+/**
+ * Plays PCM audio into a WebRTC track using wrtc's nonstandard RTCAudioSource,
+ * for hold music and other audio the server sends to a call leg.
+ */
+const { readWav } = require("./wav");
+const { toMono } = require("./pcm");
+
+// RTCAudioSource expects 10 ms frames
+const FRAME_MS = 10;
+
+// Frames sent at once to catch up after the event loop stalled
+const MAX_CATCH_UP_FRAMES = 10;
+
+/**
+ * Load a 16-bit PCM WAV file as mono audio for playback
+ */
+function loadAudioFile(filePath) {
+    const { sampleRate, channels, samples } = readWav(filePath);
+    if (sampleRate % (1000 / FRAME_MS) !== 0) {
+        throw new Error(`Unsupported sample rate ${sampleRate} in ${filePath}`);
+    }
+    return { sampleRate, samples: toMono(samples, channels) };
+}
+
+/**
+ * Start playing `audio` ({ sampleRate, samples }) into a new track.
+ * Returns { track, stop() }; onEnded runs when a non-looping clip finishes.
+ */
+function createAudioPlayer({ RTCAudioSource, audio, loop = false, onEnded = null }) {
+    const { sampleRate, samples } = audio;
+    const frameSize = (sampleRate * FRAME_MS) / 1000;
+    const source = new RTCAudioSource();
+    const track = source.createTrack();
+
+    const startedAt = Date.now();
+    let framesSent = 0;
+    let position = 0;
+    let stopped = false;
+
+    function nextFrame() {
+        const frame = new Int16Array(frameSize);
+        let filled = 0;
+        while (filled < frameSize && samples.length > 0) {
+            if (position >= samples.length) {
+                if (!loop) {
+                    break;
+                }
+                position = 0;
+            }
+            const count = Math.min(frameSize - filled, samples.length - position);
+            frame.set(samples.subarray(position, position + count), filled);
+            filled += count;
+            position += count;
+        }
+        return frame;
+    }
+
+    function stop() {
+        if (stopped) {
+            return;
+        }
+        stopped = true;
+        clearInterval(timer);
+        track.stop();
+    }
+
+    // Send every frame that is due, so timer jitter does not slow playback down
+    const timer = setInterval(() => {
+        const due = Math.floor((Date.now() - startedAt) / FRAME_MS);
+        framesSent = Math.max(framesSent, due - MAX_CATCH_UP_FRAMES);
+
+        while (framesSent < due && !stopped) {
+            source.onData({
+                samples: nextFrame(),
+                sampleRate,
+                bitsPerSample: 16,
+                channelCount: 1,
+                numberOfFrames: frameSize
+            });
+            framesSent++;
+
+            if (!loop && position >= samples.length) {
+                stop();
+                onEnded?.();
+            }
+        }
+    }, FRAME_MS);
+
+    return { track, stop };
+}
+
+module.exports = {
+    loadAudioFile,
+    createAudioPlayer
+};
@@ -0,0 +1,134 @@
+/**
+ * Call quality from WebRTC getStats() reports: jitter, packet loss, round-trip
+ * time and audio level of one peer connection, with a MOS estimated from them
+ * by a simplified ITU-T G.107 E-model.
+ */
+
+// MOS thresholds of the ratings shown to agents
+const GOOD_MOS = 4.0;
+const FAIR_MOS = 3.5;
+
+function round(value, digits = 1) {
+    return value == null ? null : Number(value.toFixed(digits));
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Estimated MOS (1 to 4.5) for a round-trip time and jitter in milliseconds
+ * and a packet loss in percent. An unknown RTT counts as zero.
+ */
+function estimateMos({ rttMs = 0, jitterMs = 0, lossPercent = 0 }) {
+    const latency = (rttMs || 0) / 2 + (jitterMs || 0) * 2 + 10;
+    let r = latency < 160 ? 93.2 - latency / 40 : 93.2 - (latency - 120) / 10;
+    r -= (lossPercent || 0) * 2.5;
+    r = Math.min(100, Math.max(0, r));
+    return 1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r);
+}
+
+/**
+ * "good", "fair" or "poor" for an estimated MOS
+ */
+function qualityRating(mos) {
+    if (mos >= GOOD_MOS) {
+        return "good";
+    }
+    return mos >= FAIR_MOS ? "fair" : "poor";
+}
+
+/**
+ * The audio figures of a stats report: received jitter, cumulative packet
+ * counters, RTT of the selected candidate pair and received audio level
+ */
+function readAudioStats(report) {
+    const stats = typeof report?.values === "function" ? Array.from(report.values()) : Object.values(report || {});
+    const isAudio = (stat) => (stat.kind || stat.mediaType) === "audio";
+
+    const inbound = stats.find((stat) => stat.type === "inbound-rtp" && isAudio(stat));
+    if (!inbound) {
+        return null;
+    }
+    const pair = stats.find((stat) => stat.type === "candidate-pair" && stat.nominated && stat.state === "succeeded");
+    const remoteInbound = stats.find((stat) => stat.type === "remote-inbound-rtp" && isAudio(stat));
+    // Older implementations report the level on the receiving track
+    const track = stats.find((stat) => stat.type === "track" && stat.remoteSource && isAudio(stat));
+
+    const rtt = pair?.currentRoundTripTime ?? remoteInbound?.roundTripTime;
+    const audioLevel = inbound.audioLevel ?? track?.audioLevel;
+    return {
+        jitterMs: inbound.jitter != null ? inbound.jitter * 1000 : null,
+        packetsLost: Math.max(0, inbound.packetsLost || 0),
+        packetsReceived: inbound.packetsReceived || 0,
+        rttMs: rtt != null ? rtt * 1000 : null,
+        audioLevel: audioLevel ?? null
+    };
+}
+
+/**
+ * Follow the quality of one leg across periodic getStats() samples. Packet
+ * loss is measured between samples; a new `connection` restarts the counters.
+ */
+function createQualityTracker() {
+    const samples = [];
+    let previous = null;
+
+    return {
+        /**
+         * Add a report and return the leg's current quality, or null without audio stats
+         */
+        sample(report, { connection = null } = {}) {
+            const stats = readAudioStats(report);
+            if (!stats) {
+                return null;
+            }
+            const base = previous?.connection === connection ? previous : { packetsLost: 0, packetsReceived: 0 };
+            const lost = Math.max(0, stats.packetsLost - base.packetsLost);
+            const expected = lost + Math.max(0, stats.packetsReceived - base.packetsReceived);
+            previous = { connection, packetsLost: stats.packetsLost, packetsReceived: stats.packetsReceived };
+
+            const lossPercent = expected ? (lost / expected) * 100 : 0;
+            const mos = estimateMos({ rttMs: stats.rttMs, jitterMs: stats.jitterMs, lossPercent });
+            const sample = {
+                jitterMs: round(stats.jitterMs),
+                lossPercent: round(lossPercent),
+                rttMs: round(stats.rttMs),
+                audioLevel: round(stats.audioLevel, 3),
+                mos: round(mos, 2),
+                rating: qualityRating(mos)
+            };
+            samples.push(sample);
+            return sample;
+        },
+
+        /**
+         * Averages and extremes over the call, or null if never sampled
+         */
+        summary() {
+            if (!samples.length) {
+                return null;
+            }
+            const values = (name) => samples.map((sample) => sample[name]).filter((value) => value != null);
+            const mos = average(values("mos"));
+            return {
+                samples: samples.length,
+                avgJitterMs: round(average(values("jitterMs"))),
+                maxJitterMs: round(values("jitterMs").length ? Math.max(...values("jitterMs")) : null),
+                avgLossPercent: round(average(values("lossPercent"))),
+                maxLossPercent: round(Math.max(...values("lossPercent"))),
+                avgRttMs: round(average(values("rttMs"))),
+                avgMos: round(mos, 2),
+                minMos: round(Math.min(...values("mos")), 2),
+                rating: qualityRating(mos)
+            };
+        }
+    };
+}
+
+module.exports = {
+    estimateMos,
+    qualityRating,
+    readAudioStats,
+    createQualityTracker
+};
@@ -0,0 +1,215 @@
+/**
+ * Records both legs of a bridged call to a WAV file using wrtc's nonstandard
+ * RTCAudioSink. Legs are written as separate channels (stereo: left = WhatsApp,
+ * right = browser) or mixed down to a single mono channel.
+ */
+const fs = require("fs");
+const path = require("path");
+const { createWavWriter } = require("./wav");
+const { clampSample, toMono, createPcmFifo } = require("./pcm");
+
+const RECORDING_MODES = ["stereo", "mixed"];
+
+// How far one leg may run ahead before the silent leg is padded (seconds)
+const MAX_LEG_SKEW_SECONDS = 0.5;
+
+/**
+ * Metadata file written next to each recording
+ */
+function metadataPath(filePath) {
+    return filePath.replace(/\.wav$/, ".json");
+}
+
+/**
+ * Start recording a call. Returns a handle whose stop() finalizes the file.
+ */
+function startCallRecording({ callId, whatsappTrack, browserTrack, RTCAudioSink, directory, mode = "stereo", metadata = {} }) {
+    if (!RTCAudioSink) {
+        throw new Error("RTCAudioSink is not available - call recording requires wrtc");
+    }
+    if (!RECORDING_MODES.includes(mode)) {
+        throw new Error(`Unknown recording mode '${mode}' (expected one of: ${RECORDING_MODES.join(", ")})`);
+    }
+
+    fs.mkdirSync(directory, { recursive: true });
+
+    const startedAt = new Date();
+    const safeCallId = String(callId).replace(/[^\w.-]/g, "_");
+    const fileName = `${safeCallId}_${startedAt.toISOString().replace(/[:.]/g, "-")}.wav`;
+    const filePath = path.join(directory, fileName);
+
+    const legs = {
+        whatsapp: createPcmFifo(),
+        browser: createPcmFifo()
+    };
+    const sinks = {};
+    let writer = null;
+    let stopped = false;
+
+    // Write whatever both legs have in common, padding a leg that has gone quiet
+    function flush(final = false) {
+        if (!writer) {
+            return;
+        }
+        const maxSkew = writer.sampleRate * MAX_LEG_SKEW_SECONDS;
+        const longest = Math.max(legs.whatsapp.length, legs.browser.length);
+        let count = Math.min(legs.whatsapp.length, legs.browser.length);
+        if (final || longest - count > maxSkew) {
+            count = longest;
+        }
+        if (count === 0) {
+            return;
+        }
+
+        const whatsapp = legs.whatsapp.take(count);
+        const browser = legs.browser.take(count);
+
+        if (mode === "stereo") {
+            const interleaved = new Int16Array(count * 2);
+            for (let i = 0; i < count; i++) {
+                interleaved[i * 2] = whatsapp[i];
+                interleaved[i * 2 + 1] = browser[i];
+            }
+            writer.write(interleaved);
+        } else {
+            const mixed = new Int16Array(count);
+            for (let i = 0; i < count; i++) {
+                mixed[i] = clampSample(whatsapp[i] + browser[i]);
+            }
+            writer.write(mixed);
+        }
+    }
+
+    function attach(track, leg) {
+        if (!track) {
+            console.warn(`Call ${callId}: no ${leg} track to record`);
+            return;
+        }
+        const sink = new RTCAudioSink(track);
+        sink.ondata = ({ samples, sampleRate, channelCount }) => {
+            if (stopped) {
+                return;
+            }
+            if (!writer) {
+                // The first frame decides the file format
+                writer = createWavWriter(filePath, {
+                    sampleRate,
+                    channels: mode === "stereo" ? 2 : 1
+                });
+            } else if (sampleRate !== writer.sampleRate) {
+                console.warn(`Call ${callId}: ${leg} leg sample rate ${sampleRate} differs from recording (${writer.sampleRate})`);
+            }
+            legs[leg].push(toMono(samples, channelCount || 1));
+            flush();
+        };
+        sinks[leg] = sink;
+    }
+
+    attach(whatsappTrack, "whatsapp");
+    attach(browserTrack, "browser");
+    console.log(`🎙️ Recording call ${callId} to ${filePath} (${mode})`);
+
+    return {
+        callId,
+        fileName,
+        filePath,
+
+        /**
+         * Record a leg from a new track, e.g. the browser leg after a transfer
+         */
+        replaceTrack(leg, track) {
+            if (stopped) {
+                return;
+            }
+            sinks[leg]?.stop();
+            delete sinks[leg];
+            attach(track, leg);
+        },
+
+        async stop() {
+            if (stopped) {
+                return null;
+            }
+            stopped = true;
+            Object.values(sinks).forEach((sink) => sink.stop());
+
+            if (!writer) {
+                console.warn(`Call ${callId}: no audio was captured, recording discarded`);
+                return null;
+            }
+
+            flush(true);
+            const result = await writer.close();
+            const info = {
+                ...metadata,
+                callId,
+                fileName,
+                mode,
+                sampleRate: writer.sampleRate,
+                channels: writer.channels,
+                startedAt: startedAt.toISOString(),
+                endedAt: new Date().toISOString(),
+                durationSeconds: Math.round(result.durationSeconds * 10) / 10,
+                sizeBytes: result.dataBytes
+            };
+            fs.writeFileSync(metadataPath(filePath), JSON.stringify(info, null, 2));
+            console.log(`🎙️ Recording for call ${callId} saved (${info.durationSeconds}s)`);
+            return info;
+        }
+    };
+}
+
+/**
+ * List finished recordings, newest first
+ */
+function listRecordings(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    return fs.readdirSync(directory)
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(directory, name), "utf8"));
+            } catch (err) {
+                console.error(`Skipping unreadable recording metadata ${name}:`, err.message);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+/**
+ * Resolve a recording file name inside the recordings directory, or null
+ */
+function resolveRecordingPath(directory, fileName) {
+    if (!fileName || path.basename(fileName) !== fileName || !fileName.endsWith(".wav")) {
+        return null;
+    }
+    const filePath = path.join(directory, fileName);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Merge fields into a finished recording's metadata. Returns the updated
+ * metadata, or null if there is no such recording.
+ */
+function updateRecordingMetadata(directory, fileName, fields) {
+    const filePath = resolveRecordingPath(directory, fileName);
+    if (!filePath || !fs.existsSync(metadataPath(filePath))) {
+        return null;
+    }
+    const info = { ...JSON.parse(fs.readFileSync(metadataPath(filePath), "utf8")), ...fields };
+    fs.writeFileSync(metadataPath(filePath), JSON.stringify(info, null, 2));
+    return info;
+}
+
+module.exports = {
+    RECORDING_MODES,
+    startCallRecording,
+    listRecordings,
+    resolveRecordingPath,
+    updateRecordingMetadata
+};
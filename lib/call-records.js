@@ -0,0 +1,191 @@
+/**
+ * Call detail records (CDRs) persisted to a local JSON lines file.
+ *
+ * Every lifecycle change appends the record's fields as a new line, and every
+ * in-call event a `{ id, event }` line of its own; when the file is loaded the
+ * latest fields for each call id win and its events are collected in order.
+ * This keeps writes append-only and small while still surviving a restart in
+ * the middle of a call.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Open (or create) a call record store backed by `filePath`
+ */
+function createCallRecordStore(filePath) {
+    const records = new Map();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+        const lines = fs.readFileSync(filePath, "utf8").split("\n");
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                const entry = JSON.parse(line);
+                if (!entry?.id) {
+                    continue;
+                }
+                if (entry.event) {
+                    records.get(entry.id)?.events.push(entry.event);
+                    continue;
+                }
+                // Re-keyed records (outgoing calls) drop their temporary entry
+                const previous = records.get(entry.previousId) || records.get(entry.id);
+                if (entry.previousId) {
+                    records.delete(entry.previousId);
+                }
+                // Older files repeat the events on every line
+                records.set(entry.id, { ...entry, events: entry.events || previous?.events || [] });
+            } catch (err) {
+                console.error("Skipping malformed call record line:", err.message);
+            }
+        }
+        console.log(`Loaded ${records.size} call records from ${filePath}`);
+    }
+
+    function append(entry) {
+        fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    }
+
+    // Events are written on lines of their own (see addEvent)
+    function persist({ events, ...fields }) {
+        append(fields);
+    }
+
+    return {
+        /**
+         * Start a record for a new call
+         */
+        create(id, fields = {}) {
+            const record = {
+                id,
+                direction: "inbound",
+                callerName: null,
+                callerNumber: null,
+                status: "ringing",
+                createdAt: new Date().toISOString(),
+                ringAt: null,
+                answeredAt: null,
+                endedAt: null,
+                durationSeconds: null,
+                agentSocketId: null,
+                failureReason: null,
+                // Timeline of in-call changes (hold, mute, ...)
+                events: [],
+                ...fields
+            };
+            records.set(id, record);
+            persist(record);
+            return record;
+        },
+
+        /**
+         * Merge fields into an existing record
+         */
+        update(id, fields) {
+            const record = records.get(id);
+            if (!record) {
+                return null;
+            }
+            Object.assign(record, fields);
+            persist(record);
+            return record;
+        },
+
+        /**
+         * Append an in-call event (hold, resume, mute, ...) to the record's timeline
+         */
+        addEvent(id, type, fields = {}) {
+            const record = records.get(id);
+            if (!record) {
+                return null;
+            }
+            const event = { type, at: new Date().toISOString(), ...fields };
+            record.events = [...(record.events || []), event];
+            append({ id, event });
+            return record;
+        },
+
+        /**
+         * Move a record to the call_id WhatsApp assigned to it
+         */
+        rename(oldId, newId) {
+            const record = records.get(oldId);
+            if (!record || oldId === newId) {
+                return record || null;
+            }
+            records.delete(oldId);
+            record.id = newId;
+            record.previousId = oldId;
+            records.set(newId, record);
+            persist(record);
+            return record;
+        },
+
+        /**
+         * Close a record with its final status
+         */
+        finish(id, { status, failureReason = null, durationSeconds } = {}) {
+            const record = records.get(id);
+            if (!record || record.endedAt) {
+                return record || null;
+            }
+
+            const endedAt = new Date();
+            let duration = durationSeconds;
+            if (duration == null && record.answeredAt) {
+                duration = Math.round((endedAt - new Date(record.answeredAt)) / 1000);
+            }
+
+            Object.assign(record, {
+                status,
+                failureReason,
+                endedAt: endedAt.toISOString(),
+                durationSeconds: duration ?? 0
+            });
+            persist(record);
+            return record;
+        },
+
+        get(id) {
+            return records.get(id) || null;
+        },
+
+        /**
+         * Filter and paginate records, newest first
+         */
+        query({ direction, status, number, from, to, limit, offset } = {}) {
+            const fromTime = from ? new Date(from).getTime() : null;
+            const toTime = to ? new Date(to).getTime() : null;
+
+            const matches = Array.from(records.values())
+                .filter((record) => !direction || record.direction === direction)
+                .filter((record) => !status || record.status === status)
+                .filter((record) => !number || String(record.callerNumber || "").includes(number))
+                .filter((record) => fromTime == null || new Date(record.createdAt).getTime() >= fromTime)
+                .filter((record) => toTime == null || new Date(record.createdAt).getTime() <= toTime)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+            const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+            const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+            return {
+                total: matches.length,
+                limit: pageSize,
+                offset: start,
+                calls: matches.slice(start, start + pageSize)
+            };
+        }
+    };
+}
+
+module.exports = {
+    createCallRecordStore
+};
@@ -0,0 +1,172 @@
+/**
+ * Registry of active call sessions keyed by WhatsApp call_id.
+ * Each session owns both legs of the bridge (browser and WhatsApp) for one call,
+ * so several calls can be bridged on the same phone number at once.
+ */
+
+const sessions = new Map();
+
+// Temporary ids (outgoing calls before WhatsApp assigns a call_id) -> call_id
+const aliases = new Map();
+
+/**
+ * Create and register a new call session
+ */
+function createCallSession(callId, fields = {}) {
+    const session = {
+        callId,
+        direction: "inbound", // inbound, outbound
+        status: "ringing",
+        phoneNumber: null,
+        callerName: null,
+        // Business phone line the call is on (see lib/phone-lines.js)
+        lineId: null,
+        browserPc: null,
+        browserStream: null,
+        whatsappPc: null,
+        whatsappStream: null,
+        browserOfferSdp: null,
+        whatsappOfferSdp: null,
+        browserSocket: null,
+        // RTP senders forwarding audio into each leg (gated for hold and mute)
+        whatsappSender: null,
+        browserSender: null,
+        held: false,
+        muted: false,
+        holdPlayer: null,
+        // Keypad tones being played to the caller, and digits waiting their turn
+        // (null until the agent first sends tones)
+        dtmfPlayer: null,
+        dtmfQueue: null,
+        // IVR menu the caller is in before the call is queued (see startIvr in server.js)
+        ivr: null,
+        // Transfer to another agent in progress (see startTransfer in server.js)
+        transfer: null,
+        // Conference mixing this call with more members (see startConference in server.js)
+        conference: null,
+        // For a WhatsApp leg dialed into a conference: the conference call's session
+        conferenceParent: null,
+        // Supervisors listening to, whispering on or barging into the call (see startMonitoring in server.js)
+        monitoring: null,
+        // Socket.IO room the call is offered to until a browser takes it
+        offerRoom: null,
+        // Recovery timers of legs whose connection dropped, by leg ("browser", "whatsapp")
+        reconnecting: {},
+        // Quality trackers of the legs while the call is answered (see startQualityMonitoring in server.js)
+        quality: null,
+        // Live transcription of both sides (see startTranscription in server.js)
+        transcription: null,
+        // ICE candidates received before the browser peer connection is ready
+        pendingIceCandidates: [],
+        // Callbacks run when the session is closed (recordings, timers, ...)
+        cleanups: [],
+        createdAt: Date.now(),
+        // When the server started answering an inbound call (agent or IVR pickup)
+        bridgeStartedAt: null,
+        ...fields
+    };
+
+    sessions.set(callId, session);
+    console.log(`Call session created: ${callId} (${session.direction})`);
+    return session;
+}
+
+/**
+ * Look up a session by call_id or by one of its previous (temporary) ids
+ */
+function getCallSession(callId) {
+    if (!callId) {
+        return null;
+    }
+    return sessions.get(callId) || sessions.get(aliases.get(callId)) || null;
+}
+
+/**
+ * Re-key a session once WhatsApp assigns the real call_id.
+ * The old id keeps resolving to the session so late socket events still find it.
+ */
+function renameCallSession(oldId, newId) {
+    const session = getCallSession(oldId);
+    if (!session || session.callId === newId) {
+        return session;
+    }
+
+    sessions.delete(session.callId);
+    // Earlier ids follow the session to its new id
+    for (const [alias, target] of aliases) {
+        if (target === session.callId) {
+            aliases.set(alias, newId);
+        }
+    }
+    aliases.set(session.callId, newId);
+    session.callId = newId;
+    sessions.set(newId, session);
+    return session;
+}
+
+/**
+ * All sessions currently in the registry
+ */
+function listCallSessions() {
+    return Array.from(sessions.values());
+}
+
+/**
+ * Register a callback to run when the session is closed
+ */
+function onCallSessionClose(session, cleanup) {
+    session.cleanups.push(cleanup);
+}
+
+/**
+ * Close both peer connections of a session and drop it from the registry.
+ * `outcome` ({ status, reason, ... }) is kept on the session for cleanups.
+ */
+function closeCallSession(callId, outcome = {}) {
+    const session = getCallSession(callId);
+    if (!session) {
+        return null;
+    }
+
+    session.outcome = outcome;
+
+    // Run cleanups first so they still see live tracks
+    for (const cleanup of session.cleanups.splice(0)) {
+        try {
+            Promise.resolve(cleanup(session)).catch((err) => {
+                console.error(`Cleanup failed for call ${session.callId}:`, err);
+            });
+        } catch (err) {
+            console.error(`Cleanup failed for call ${session.callId}:`, err);
+        }
+    }
+
+    for (const pc of [session.browserPc, session.whatsappPc]) {
+        try {
+            pc?.close?.();
+        } catch (err) {
+            console.error(`Failed to close peer connection for call ${session.callId}:`, err);
+        }
+    }
+
+    sessions.delete(session.callId);
+    for (const [alias, target] of aliases) {
+        if (target === session.callId) {
+            aliases.delete(alias);
+        }
+    }
+
+    session.status = "ended";
+    session.pendingIceCandidates = [];
+    console.log(`Call session closed: ${session.callId}`);
+    return session;
+}
+
+module.exports = {
+    createCallSession,
+    getCallSession,
+    renameCallSession,
+    listCallSessions,
+    onCallSessionClose,
+    closeCallSession
+};
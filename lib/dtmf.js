@@ -0,0 +1,153 @@
+/**
+ * In-band DTMF: Goertzel detection over the caller's decoded audio, for keypad
+ * digits that arrive as tones rather than RFC 4733 events, and tone generation
+ * for digits sent where events cannot be.
+ */
+const { clampSample, resample } = require("./pcm");
+
+const ROW_FREQUENCIES = [697, 770, 852, 941];
+const COLUMN_FREQUENCIES = [1209, 1336, 1477, 1633];
+const KEYS = ["123A", "456B", "789C", "*0#D"];
+
+// Audio is analysed at 8 kHz in blocks of 205 samples (~25 ms)
+const DETECT_RATE = 8000;
+const BLOCK_SIZE = 205;
+
+// Share of a block's energy the two tones must carry, and how far apart they may be
+const MIN_TONE_SHARE = 0.6;
+const MAX_TWIST = 6.3; // ~8 dB
+
+// Blocks quieter than this mean square are treated as silence
+const MIN_BLOCK_POWER = 2500;
+
+// Consecutive blocks a digit must last before it is reported
+const MIN_BLOCKS = 2;
+
+// Valid keypad digits, as accepted by RTCDTMFSender.insertDTMF
+const DTMF_DIGITS = /^[0-9A-D*#]+$/;
+
+// Generated tones: length, pause between digits and amplitude of each frequency
+const TONE_MS = 100;
+const GAP_MS = 70;
+const TONE_AMPLITUDE = 8000;
+
+/**
+ * Power of one frequency in a block, normalized so a full-scale pure tone is ~1
+ */
+function goertzel(block, frequency, energy) {
+    const coeff = 2 * Math.cos((2 * Math.PI * frequency) / DETECT_RATE);
+    let previous = 0;
+    let beforePrevious = 0;
+    for (let i = 0; i < block.length; i++) {
+        const current = block[i] + coeff * previous - beforePrevious;
+        beforePrevious = previous;
+        previous = current;
+    }
+    const power = previous * previous + beforePrevious * beforePrevious - coeff * previous * beforePrevious;
+    return power / ((energy * block.length) / 2);
+}
+
+/**
+ * Strongest frequency of a group and its normalized power
+ */
+function strongest(block, frequencies, energy) {
+    let best = { index: -1, power: 0 };
+    frequencies.forEach((frequency, index) => {
+        const power = goertzel(block, frequency, energy);
+        if (power > best.power) {
+            best = { index, power };
+        }
+    });
+    return best;
+}
+
+/**
+ * The DTMF key sounding in a block of 8 kHz samples, or null
+ */
+function detectKey(block) {
+    let energy = 0;
+    for (let i = 0; i < block.length; i++) {
+        energy += block[i] * block[i];
+    }
+    if (energy / block.length < MIN_BLOCK_POWER) {
+        return null;
+    }
+
+    const row = strongest(block, ROW_FREQUENCIES, energy);
+    const column = strongest(block, COLUMN_FREQUENCIES, energy);
+    if (row.index < 0 || column.index < 0 || row.power + column.power < MIN_TONE_SHARE) {
+        return null;
+    }
+    const twist = row.power / column.power;
+    if (twist > MAX_TWIST || twist < 1 / MAX_TWIST) {
+        return null;
+    }
+    return KEYS[row.index][column.index];
+}
+
+/**
+ * Create a detector fed with mono PCM frames. onDigit runs once per key press,
+ * after the tone has lasted a couple of blocks.
+ */
+function createDtmfDetector({ onDigit }) {
+    const pending = [];
+    let current = null;
+    let blocks = 0;
+    let reported = false;
+
+    function handleBlock(block) {
+        const key = detectKey(block);
+        if (key !== current) {
+            current = key;
+            blocks = 0;
+            reported = false;
+        }
+        blocks++;
+        if (key && !reported && blocks >= MIN_BLOCKS) {
+            reported = true;
+            onDigit(key);
+        }
+    }
+
+    return {
+        push(samples, sampleRate) {
+            const resampled = resample(samples, sampleRate, DETECT_RATE);
+            for (let i = 0; i < resampled.length; i++) {
+                pending.push(resampled[i]);
+            }
+            while (pending.length >= BLOCK_SIZE) {
+                handleBlock(pending.splice(0, BLOCK_SIZE));
+            }
+        }
+    };
+}
+
+/**
+ * Render digits as in-band DTMF tones ({ sampleRate, samples }) for the audio player
+ */
+function generateDtmfTones(digits, { sampleRate = 48000, toneMs = TONE_MS, gapMs = GAP_MS } = {}) {
+    if (!DTMF_DIGITS.test(digits)) {
+        throw new Error(`Invalid DTMF digits '${digits}'`);
+    }
+
+    const toneLength = Math.round((sampleRate * toneMs) / 1000);
+    const stride = toneLength + Math.round((sampleRate * gapMs) / 1000);
+    const samples = new Int16Array(stride * digits.length);
+
+    Array.from(digits).forEach((digit, n) => {
+        const key = KEYS.findIndex((row) => row.includes(digit));
+        const low = ROW_FREQUENCIES[key];
+        const high = COLUMN_FREQUENCIES[KEYS[key].indexOf(digit)];
+        for (let i = 0; i < toneLength; i++) {
+            const t = i / sampleRate;
+            samples[n * stride + i] = clampSample(TONE_AMPLITUDE * (Math.sin(2 * Math.PI * low * t) + Math.sin(2 * Math.PI * high * t)));
+        }
+    });
+    return { sampleRate, samples };
+}
+
+module.exports = {
+    DTMF_DIGITS,
+    createDtmfDetector,
+    generateDtmfTones
+};
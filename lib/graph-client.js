@@ -0,0 +1,173 @@
+/**
+ * Client for the Graph API `/calls` endpoint. Every call action goes through
+ * one POST with bounded retries: transient failures are retried with jittered
+ * exponential backoff, rate limits after the delay Graph asks for. Failures
+ * are thrown as GraphApiError with a type the caller can act on.
+ */
+const axios = require("axios");
+
+const GRAPH_ERROR_TYPES = {
+    AUTH_EXPIRED: "auth_expired",
+    PERMISSION_MISSING: "permission_missing",
+    RATE_LIMITED: "rate_limited",
+    INVALID_SDP: "invalid_sdp",
+    INVALID_REQUEST: "invalid_request",
+    TRANSIENT: "transient",
+    NETWORK: "network",
+    UNKNOWN: "unknown"
+};
+
+// Graph error codes by type (https://developers.facebook.com/docs/graph-api/guides/error-handling)
+const AUTH_CODES = [102, 190];
+const PERMISSION_CODES = [3, 10];
+const RATE_LIMIT_CODES = [4, 17, 32, 613, 80007, 130429, 131048, 131056];
+const TRANSIENT_CODES = [1, 2, 131000, 131016];
+
+const RETRYABLE_TYPES = [GRAPH_ERROR_TYPES.RATE_LIMITED, GRAPH_ERROR_TYPES.TRANSIENT, GRAPH_ERROR_TYPES.NETWORK];
+
+class GraphApiError extends Error {
+    constructor(message, { type, status = null, code = null, subcode = null, fbtraceId = null, retryAfterMs = null, attempts = 1 }) {
+        super(message);
+        this.name = "GraphApiError";
+        Object.assign(this, { type, status, code, subcode, fbtraceId, retryAfterMs, attempts });
+    }
+
+    get retryable() {
+        return RETRYABLE_TYPES.includes(this.type);
+    }
+}
+
+/**
+ * Type of a Graph error from its HTTP status and error body
+ */
+function classifyGraphError(status, error = {}) {
+    const { code, message = "" } = error;
+    if (AUTH_CODES.includes(code) || status === 401) {
+        return GRAPH_ERROR_TYPES.AUTH_EXPIRED;
+    }
+    if (PERMISSION_CODES.includes(code) || (code >= 200 && code <= 299) || status === 403) {
+        return GRAPH_ERROR_TYPES.PERMISSION_MISSING;
+    }
+    if (RATE_LIMIT_CODES.includes(code) || status === 429) {
+        return GRAPH_ERROR_TYPES.RATE_LIMITED;
+    }
+    if (TRANSIENT_CODES.includes(code) || error.is_transient || status >= 500) {
+        return GRAPH_ERROR_TYPES.TRANSIENT;
+    }
+    // Graph reports a bad session description as an invalid parameter naming the SDP
+    if (/\bsdp\b/i.test(`${message} ${error.error_data?.details || ""}`)) {
+        return GRAPH_ERROR_TYPES.INVALID_SDP;
+    }
+    if (status >= 400 && status < 500) {
+        return GRAPH_ERROR_TYPES.INVALID_REQUEST;
+    }
+    return GRAPH_ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Delay asked for by a rate-limited response: Retry-After, or Graph's
+ * estimated time to regain access (minutes) from the usage headers
+ */
+function retryAfterMs(headers = {}) {
+    const retryAfter = Number(headers["retry-after"]);
+    if (retryAfter > 0) {
+        return retryAfter * 1000;
+    }
+    for (const name of ["x-business-use-case-usage", "x-app-usage"]) {
+        try {
+            const usage = JSON.parse(headers[name] || "null");
+            const entries = Array.isArray(usage) ? usage : Object.values(usage || {}).flat();
+            const minutes = Math.max(0, ...entries.map((entry) => Number(entry?.estimated_time_to_regain_access) || 0));
+            if (minutes > 0) {
+                return minutes * 60 * 1000;
+            }
+        } catch {
+            // Unparseable usage headers give no hint
+        }
+    }
+    return null;
+}
+
+/**
+ * Turn an axios failure into a GraphApiError
+ */
+function toGraphApiError(error) {
+    if (!error.response) {
+        return new GraphApiError(`Graph API unreachable: ${error.message}`, { type: GRAPH_ERROR_TYPES.NETWORK });
+    }
+    const { status, data, headers } = error.response;
+    const graphError = data?.error || {};
+    const type = classifyGraphError(status, graphError);
+    return new GraphApiError(graphError.message || `Graph API responded with HTTP ${status}`, {
+        type,
+        status,
+        code: graphError.code ?? null,
+        subcode: graphError.error_subcode ?? null,
+        fbtraceId: graphError.fbtrace_id ?? null,
+        retryAfterMs: type === GRAPH_ERROR_TYPES.RATE_LIMITED ? retryAfterMs(headers) : null
+    });
+}
+
+/**
+ * Create a client for one phone number. Options:
+ *   maxRetries      retries after the first attempt (default 3)
+ *   baseDelayMs     first backoff step, doubled per retry (default 250)
+ *   maxDelayMs      cap of a backoff step, and of a rate-limit wait (default 10000)
+ */
+function createGraphClient({
+    baseUrl,
+    phoneNumberId,
+    accessToken,
+    maxRetries = 3,
+    baseDelayMs = 250,
+    maxDelayMs = 10000,
+    http = axios,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    random = Math.random
+}) {
+    const url = `${baseUrl}/${phoneNumberId}/calls`;
+
+    // Full jitter: anywhere between zero and the exponential step
+    function backoffMs(attempt) {
+        return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+    }
+
+    return {
+        /**
+         * POST a call action and return the response body. Requests that are
+         * not `idempotent` (placing a call) are only retried when Graph
+         * refused them outright, i.e. when rate limited.
+         */
+        async postCallAction(body, { idempotent = true } = {}) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const response = await http.post(url, body, {
+                        headers: {
+                            Authorization: `Bearer ${accessToken}`,
+                            "Content-Type": "application/json"
+                        }
+                    });
+                    return response.data;
+                } catch (err) {
+                    const error = toGraphApiError(err);
+                    error.attempts = attempt + 1;
+
+                    const retryable = idempotent ? error.retryable : error.type === GRAPH_ERROR_TYPES.RATE_LIMITED;
+                    const delayMs = error.retryAfterMs ?? backoffMs(attempt);
+                    if (!retryable || attempt >= maxRetries || delayMs > maxDelayMs) {
+                        throw error;
+                    }
+                    console.warn(`Graph API '${body.action}' failed (${error.type}: ${error.message}), retrying in ${delayMs}ms`);
+                    await sleep(delayMs);
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    GRAPH_ERROR_TYPES,
+    GraphApiError,
+    classifyGraphError,
+    createGraphClient
+};
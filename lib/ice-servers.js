@@ -0,0 +1,102 @@
+/**
+ * ICE server configuration shared by the server's peer connections and the
+ * browser: STUN servers and TURN relays, either with static credentials or with
+ * short-lived ones derived from a shared secret (the TURN REST API scheme used
+ * by coturn's `use-auth-secret`).
+ *
+ * Config file (JSON), or the equivalent environment variables:
+ *   {
+ *     "stun": ["stun:stun.example.com:3478"],
+ *     "turn": {
+ *       "urls": ["turn:turn.example.com:3478", "turns:turn.example.com:5349?transport=tcp"],
+ *       "secret": "coturn static-auth-secret",
+ *       "ttlSeconds": 3600
+ *     }
+ *   }
+ * Instead of "secret", "turn" can hold a static "username" and "credential".
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+
+const DEFAULT_STUN_URLS = ["stun:stun.l.google.com:19302"];
+const DEFAULT_TURN_TTL_SECONDS = 60 * 60;
+
+function splitUrls(value) {
+    return String(value || "").split(",").map((url) => url.trim()).filter(Boolean);
+}
+
+/**
+ * Read the ICE configuration from `ICE_CONFIG_FILE`, or else from STUN_URLS,
+ * TURN_URLS, TURN_SECRET, TURN_TTL_SECONDS, TURN_USERNAME and TURN_CREDENTIAL
+ */
+function loadIceConfig(env = process.env) {
+    const config = env.ICE_CONFIG_FILE
+        ? JSON.parse(fs.readFileSync(env.ICE_CONFIG_FILE, "utf8"))
+        : {
+            stun: env.STUN_URLS !== undefined ? splitUrls(env.STUN_URLS) : undefined,
+            turn: env.TURN_URLS ? {
+                urls: splitUrls(env.TURN_URLS),
+                secret: env.TURN_SECRET,
+                ttlSeconds: Number(env.TURN_TTL_SECONDS) || undefined,
+                username: env.TURN_USERNAME,
+                credential: env.TURN_CREDENTIAL
+            } : null
+        };
+
+    const stun = config.stun ?? DEFAULT_STUN_URLS;
+    const turn = config.turn || null;
+    if (turn) {
+        if (!Array.isArray(turn.urls) || !turn.urls.length) {
+            throw new Error("TURN servers need at least one URL");
+        }
+        if (!turn.secret && !(turn.username && turn.credential)) {
+            throw new Error("TURN servers need either a shared secret or a username and credential");
+        }
+    }
+
+    return {
+        stun: Array.isArray(stun) ? stun : splitUrls(stun),
+        turn: turn && {
+            urls: turn.urls,
+            secret: turn.secret || null,
+            ttlSeconds: turn.ttlSeconds || DEFAULT_TURN_TTL_SECONDS,
+            username: turn.secret ? null : turn.username,
+            credential: turn.secret ? null : turn.credential
+        }
+    };
+}
+
+/**
+ * Time-limited TURN credentials: the username is `<expiry>:<user>` and the
+ * password its HMAC-SHA1 with the shared secret, base64 encoded
+ */
+function createTurnCredentials(secret, { user = "wp-call", ttlSeconds = DEFAULT_TURN_TTL_SECONDS, now = Date.now() } = {}) {
+    const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+    const username = `${expiresAt}:${user}`;
+    const credential = crypto.createHmac("sha1", secret).update(username).digest("base64");
+    return { username, credential, expiresAt };
+}
+
+/**
+ * RTCIceServer list for one peer connection. With a shared secret every call
+ * gets fresh credentials, labelled with `user`.
+ */
+function buildIceServers(config, { user, now } = {}) {
+    const iceServers = [];
+    if (config.stun.length) {
+        iceServers.push({ urls: config.stun });
+    }
+    if (config.turn) {
+        const { username, credential } = config.turn.secret
+            ? createTurnCredentials(config.turn.secret, { user, ttlSeconds: config.turn.ttlSeconds, now })
+            : config.turn;
+        iceServers.push({ urls: config.turn.urls, username, credential });
+    }
+    return iceServers;
+}
+
+module.exports = {
+    loadIceConfig,
+    createTurnCredentials,
+    buildIceServers
+};
@@ -0,0 +1,176 @@
+/**
+ * Inbound IVR: a declarative menu file and the state machine that walks a
+ * caller through it. Media is left to the caller of createIvrRun, which
+ * plays prompts and reports the digits it detects.
+ *
+ * Menu file (JSON):
+ *   {
+ *     "start": "main",
+ *     "menus": {
+ *       "main": {
+ *         "prompt": "prompts/welcome.wav",
+ *         "timeoutSeconds": 5,
+ *         "retries": 2,
+ *         "options": {
+ *           "1": { "action": "queue", "group": "sales" },
+ *           "2": { "action": "menu", "menu": "support" },
+ *           "3": { "action": "voicemail" }
+ *         },
+ *         "default": { "action": "queue" }
+ *       }
+ *     }
+ *   }
+ */
+const fs = require("fs");
+const path = require("path");
+
+const IVR_ACTIONS = ["queue", "menu", "voicemail", "hangup"];
+const DEFAULT_TIMEOUT_SECONDS = 5;
+const DEFAULT_RETRIES = 2;
+
+// Where a caller goes when a menu has no default and they never choose
+const FALLBACK_ROUTE = { action: "queue" };
+
+function validateRoute(route, where, menus) {
+    if (!route || !IVR_ACTIONS.includes(route.action)) {
+        throw new Error(`${where}: action must be one of ${IVR_ACTIONS.join(", ")}`);
+    }
+    if (route.action === "menu" && !menus[route.menu]) {
+        throw new Error(`${where}: unknown menu '${route.menu}'`);
+    }
+}
+
+/**
+ * Load and validate a menu file. Prompt paths are resolved relative to the
+ * file and loaded with `loadAudio`.
+ */
+function loadIvrMenu(filePath, { loadAudio }) {
+    const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const menus = config.menus || {};
+    const start = config.start || "main";
+    if (!menus[start]) {
+        throw new Error(`Start menu '${start}' is not defined`);
+    }
+
+    const loaded = {};
+    for (const [name, menu] of Object.entries(menus)) {
+        for (const [key, route] of Object.entries(menu.options || {})) {
+            if (!/^[0-9*#]$/.test(key)) {
+                throw new Error(`Menu '${name}': option '${key}' is not a keypad digit`);
+            }
+            validateRoute(route, `Menu '${name}' option ${key}`, menus);
+        }
+        if (menu.default) {
+            validateRoute(menu.default, `Menu '${name}' default`, menus);
+        }
+
+        loaded[name] = {
+            name,
+            prompt: menu.prompt ? loadAudio(path.resolve(path.dirname(filePath), menu.prompt)) : null,
+            timeoutSeconds: menu.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS,
+            retries: menu.retries ?? DEFAULT_RETRIES,
+            options: menu.options || {},
+            default: menu.default || FALLBACK_ROUTE
+        };
+    }
+
+    return { start, menus: loaded };
+}
+
+/**
+ * Walk one caller through the menu. `play(audio, onEnded)` starts a prompt and
+ * returns a function that stops it; `onRoute(route)` runs once with the
+ * queue, voicemail or hangup route the caller ended up on.
+ * Returns { handleDigit, stop, digits }.
+ */
+function createIvrRun({ menu, play, onRoute }) {
+    let current = null;
+    let attempts = 0;
+    let stopPrompt = null;
+    let timer = null;
+    let finished = false;
+    const digits = [];
+
+    function clear() {
+        clearTimeout(timer);
+        timer = null;
+        stopPrompt?.();
+        stopPrompt = null;
+    }
+
+    function waitForInput() {
+        timer = setTimeout(() => retry(), current.timeoutSeconds * 1000);
+    }
+
+    function prompt() {
+        clear();
+        if (current.prompt) {
+            stopPrompt = play(current.prompt, () => {
+                stopPrompt = null;
+                waitForInput();
+            });
+        } else {
+            waitForInput();
+        }
+    }
+
+    function enter(name) {
+        current = menu.menus[name];
+        attempts = 0;
+        prompt();
+    }
+
+    function finish(route) {
+        clear();
+        finished = true;
+        onRoute(route);
+    }
+
+    // No (valid) choice: play the menu again, or give up after the retries
+    function retry() {
+        attempts++;
+        if (attempts > current.retries) {
+            follow(current.default);
+        } else {
+            prompt();
+        }
+    }
+
+    function follow(route) {
+        if (route.action === "menu") {
+            enter(route.menu);
+        } else {
+            finish(route);
+        }
+    }
+
+    enter(menu.start);
+
+    return {
+        digits,
+
+        handleDigit(digit) {
+            if (finished) {
+                return;
+            }
+            digits.push(digit);
+            const route = current.options[digit];
+            if (route) {
+                follow(route);
+            } else {
+                retry();
+            }
+        },
+
+        stop() {
+            finished = true;
+            clear();
+        }
+    };
+}
+
+module.exports = {
+    IVR_ACTIONS,
+    loadIvrMenu,
+    createIvrRun
+};
@@ -0,0 +1,143 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms with labels,
+ * rendered in the text exposition format (version 0.0.4) for scraping.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) {
+        return "";
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return "+Inf";
+    }
+    return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+/**
+ * Series of one metric, keyed by its label values in label name order
+ */
+function createSeries(labelNames) {
+    const series = new Map();
+    return {
+        get(labels = {}, create) {
+            const key = JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+            if (!series.has(key)) {
+                const labelValues = Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+                series.set(key, { labels: labelValues, ...create() });
+            }
+            return series.get(key);
+        },
+        values() {
+            return Array.from(series.values());
+        }
+    };
+}
+
+/**
+ * Create a registry. Metrics are rendered in the order they were registered.
+ */
+function createMetricsRegistry({ prefix = "" } = {}) {
+    const metrics = [];
+
+    function register(metric) {
+        const name = prefix + metric.name;
+        if (metrics.some((existing) => existing.name === name)) {
+            throw new Error(`Metric '${name}' is already registered`);
+        }
+        metrics.push({ ...metric, name });
+    }
+
+    return {
+        /**
+         * Monotonic counter: inc(labels, value = 1)
+         */
+        counter(name, help, { labelNames = [] } = {}) {
+            const series = createSeries(labelNames);
+            register({
+                name,
+                help,
+                type: "counter",
+                lines: (fullName) => series.values().map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`)
+            });
+            return {
+                inc(labels = {}, value = 1) {
+                    series.get(labels, () => ({ value: 0 })).value += value;
+                }
+            };
+        },
+
+        /**
+         * Value read when scraped: `collect` returns a number, or
+         * [{ labels, value }] for one sample per label set
+         */
+        gauge(name, help, { collect }) {
+            register({
+                name,
+                help,
+                type: "gauge",
+                lines: (fullName) => {
+                    const samples = collect();
+                    return (Array.isArray(samples) ? samples : [{ labels: {}, value: samples }])
+                        .map(({ labels = {}, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+                }
+            });
+        },
+
+        /**
+         * Histogram of observed values (seconds, counts, ...) with cumulative buckets
+         */
+        histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+            const bounds = [...buckets].sort((a, b) => a - b);
+            const series = createSeries(labelNames);
+            register({
+                name,
+                help,
+                type: "histogram",
+                lines: (fullName) => series.values().flatMap(({ labels, counts, sum, count }) => [
+                    ...bounds.map((bound, index) => `${fullName}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+                    `${fullName}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+                    `${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+                    `${fullName}_count${formatLabels(labels)} ${count}`
+                ])
+            });
+            return {
+                observe(labels, value) {
+                    const entry = series.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+                    bounds.forEach((bound, index) => {
+                        if (value <= bound) {
+                            entry.counts[index]++;
+                        }
+                    });
+                    entry.sum += value;
+                    entry.count++;
+                }
+            };
+        },
+
+        /**
+         * All metrics in the Prometheus text format
+         */
+        render() {
+            return metrics.map(({ name, help, type, lines }) => [
+                `# HELP ${name} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`,
+                `# TYPE ${name} ${type}`,
+                ...lines(name)
+            ].join("\n")).join("\n") + "\n";
+        }
+    };
+}
+
+module.exports = {
+    createMetricsRegistry
+};
@@ -0,0 +1,93 @@
+/**
+ * Helpers for 16-bit PCM audio shared by the recorder, the player and the mixer.
+ */
+
+function clampSample(value) {
+    return Math.max(-32768, Math.min(32767, value));
+}
+
+/**
+ * Downmix interleaved samples to a single channel
+ */
+function toMono(samples, channelCount) {
+    if (channelCount <= 1) {
+        return samples;
+    }
+    const frames = Math.floor(samples.length / channelCount);
+    const mono = new Int16Array(frames);
+    for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < channelCount; c++) {
+            sum += samples[i * channelCount + c];
+        }
+        mono[i] = sum / channelCount;
+    }
+    return mono;
+}
+
+/**
+ * Convert mono samples to another sample rate by linear interpolation
+ */
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate || samples.length === 0) {
+        return samples;
+    }
+    const length = Math.round((samples.length * toRate) / fromRate);
+    const out = new Int16Array(length);
+    const step = fromRate / toRate;
+    for (let i = 0; i < length; i++) {
+        const position = i * step;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        const fraction = position - index;
+        out[i] = samples[index] + (samples[next] - samples[index]) * fraction;
+    }
+    return out;
+}
+
+/**
+ * FIFO of mono PCM chunks, e.g. one leg of a call
+ */
+function createPcmFifo() {
+    const chunks = [];
+    let length = 0;
+
+    return {
+        get length() {
+            return length;
+        },
+
+        push(samples) {
+            chunks.push(samples);
+            length += samples.length;
+        },
+
+        // Remove and return exactly `count` samples, zero-filling past the end
+        take(count) {
+            const out = new Int16Array(count);
+            let offset = 0;
+            while (offset < count && chunks.length > 0) {
+                const chunk = chunks[0];
+                const needed = count - offset;
+                if (chunk.length <= needed) {
+                    out.set(chunk, offset);
+                    offset += chunk.length;
+                    chunks.shift();
+                } else {
+                    out.set(chunk.subarray(0, needed), offset);
+                    chunks[0] = chunk.subarray(needed);
+                    offset += needed;
+                }
+            }
+            length = Math.max(0, length - count);
+            return out;
+        }
+    };
+}
+
+module.exports = {
+    clampSample,
+    toMono,
+    resample,
+    createPcmFifo
+};
@@ -0,0 +1,99 @@
+/**
+ * Business phone numbers ("lines") served by this server, each with its own
+ * Graph access token and routing. Lines come from a JSON file, or from
+ * PHONE_NUMBER_ID / ACCESS_TOKEN for a single line.
+ *
+ * Lines file (JSON):
+ *   {
+ *     "lines": [
+ *       {
+ *         "id": "sales",
+ *         "name": "Sales",
+ *         "phoneNumberId": "1234567890",
+ *         "displayNumber": "+1 555 000 1111",
+ *         "accessTokenEnv": "SALES_ACCESS_TOKEN",
+ *         "group": "sales"
+ *       }
+ *     ]
+ *   }
+ * `accessToken` can be given inline instead of `accessTokenEnv`. Inbound calls
+ * ring the line's `group` (every agent when unset), and only agents of that
+ * group (and admins) may call out from it.
+ */
+const fs = require("fs");
+
+const DEFAULT_LINE_ID = "default";
+
+/**
+ * Load and validate the lines. The first line is the default one.
+ */
+function loadPhoneLines(env = process.env) {
+    if (!env.PHONE_LINES_FILE) {
+        return [{
+            id: DEFAULT_LINE_ID,
+            name: env.PHONE_LINE_NAME || "Main line",
+            phoneNumberId: env.PHONE_NUMBER_ID,
+            displayNumber: env.DISPLAY_PHONE_NUMBER || null,
+            accessToken: env.ACCESS_TOKEN,
+            group: null
+        }];
+    }
+
+    const { lines } = JSON.parse(fs.readFileSync(env.PHONE_LINES_FILE, "utf8"));
+    if (!Array.isArray(lines) || !lines.length) {
+        throw new Error("The lines file must list at least one line");
+    }
+
+    const seen = new Set();
+    return lines.map((line, index) => {
+        const where = `Line ${line.id || index + 1}`;
+        if (!line.id || !line.phoneNumberId) {
+            throw new Error(`${where}: id and phoneNumberId are required`);
+        }
+        for (const key of [line.id, line.phoneNumberId]) {
+            if (seen.has(key)) {
+                throw new Error(`${where}: '${key}' is used by another line`);
+            }
+            seen.add(key);
+        }
+
+        const accessToken = line.accessTokenEnv ? env[line.accessTokenEnv] : line.accessToken;
+        if (!accessToken) {
+            throw new Error(`${where}: no access token (set ${line.accessTokenEnv || "accessToken"})`);
+        }
+
+        return {
+            id: String(line.id),
+            name: line.name || String(line.id),
+            phoneNumberId: String(line.phoneNumberId),
+            displayNumber: line.displayNumber || null,
+            accessToken,
+            group: line.group || null
+        };
+    });
+}
+
+/**
+ * Whether an agent may place calls from a line
+ */
+function canUseLine(agent, line) {
+    return !line.group || agent.role === "admin" || (agent.groups || []).includes(line.group);
+}
+
+/**
+ * A line as shown to agents (never its token)
+ */
+function describeLine(line) {
+    return line && {
+        id: line.id,
+        name: line.name,
+        displayNumber: line.displayNumber,
+        group: line.group
+    };
+}
+
+module.exports = {
+    loadPhoneLines,
+    canUseLine,
+    describeLine
+};
@@ -0,0 +1,281 @@
+/**
+ * SDP parsing and rewriting. A session description is split into its session
+ * lines and one structured section per m= line, rewritten with small
+ * functions (DTLS setup role, codec policy, telephone-event, unsupported
+ * attributes) and written back with CRLF line endings.
+ */
+
+const DEFAULT_PAYLOAD_TYPES = [101, 126, 110];
+
+// DTLS role an answerer takes for each role the offer allows
+const ANSWER_SETUP_ROLES = {
+    actpass: "active",
+    active: "passive",
+    passive: "active",
+    holdconn: "holdconn"
+};
+
+/**
+ * Parse SDP text into { session: [lines], media: [{ kind, port, protocol, payloadTypes, lines }] }.
+ * Media lines exclude the m= line itself, which is rebuilt from the other fields.
+ */
+function parseSdp(text) {
+    const sdp = { session: [], media: [] };
+    let current = null;
+
+    for (const line of String(text).split(/\r?\n/)) {
+        if (!line) {
+            continue;
+        }
+        if (line.startsWith("m=")) {
+            const [kind, port, protocol, ...payloadTypes] = line.slice(2).split(" ");
+            current = { kind, port, protocol, payloadTypes, lines: [] };
+            sdp.media.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        } else {
+            sdp.session.push(line);
+        }
+    }
+    return sdp;
+}
+
+/**
+ * Write a parsed SDP back to text
+ */
+function writeSdp(sdp) {
+    const lines = [...sdp.session];
+    for (const section of sdp.media) {
+        lines.push(`m=${[section.kind, section.port, section.protocol, ...section.payloadTypes].join(" ")}`, ...section.lines);
+    }
+    return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Values of an attribute (`a=name:value`, or "" for flags) in a list of lines
+ */
+function getAttributes(lines, name) {
+    return lines
+        .filter((line) => line === `a=${name}` || line.startsWith(`a=${name}:`))
+        .map((line) => line.slice(name.length + 3));
+}
+
+function isRejected(section) {
+    return section.port === "0";
+}
+
+/**
+ * Codecs of a media section: [{ payloadType, name, clockRate, channels, params }]
+ */
+function getCodecs(section) {
+    return section.payloadTypes.map((payloadType) => {
+        const [rtpmap = ""] = getAttributes(section.lines, "rtpmap").filter((value) => value.startsWith(`${payloadType} `));
+        const [name = "", clockRate, channels] = rtpmap.slice(payloadType.length + 1).split("/");
+        const [fmtp = ""] = getAttributes(section.lines, "fmtp").filter((value) => value.startsWith(`${payloadType} `));
+        return {
+            payloadType,
+            name,
+            clockRate: clockRate ? Number(clockRate) : null,
+            channels: channels ? Number(channels) : null,
+            params: parseFmtp(fmtp.slice(payloadType.length + 1))
+        };
+    });
+}
+
+/**
+ * Parse fmtp parameters ("a=1;b=2") into an object. Parameters without a name
+ * (e.g. RED's "111/111") are kept under "".
+ */
+function parseFmtp(value) {
+    const params = {};
+    for (const part of String(value || "").split(";").map((item) => item.trim()).filter(Boolean)) {
+        const separator = part.indexOf("=");
+        if (separator < 0) {
+            params[""] = part;
+        } else {
+            params[part.slice(0, separator)] = part.slice(separator + 1);
+        }
+    }
+    return params;
+}
+
+function formatFmtp(params) {
+    return Object.entries(params)
+        .map(([name, value]) => (name ? `${name}=${value}` : value))
+        .join(";");
+}
+
+/**
+ * Set the DTLS role (a=setup) of every active media section, adding the
+ * attribute where it is missing. An answer's role follows the offer's.
+ */
+function setSetupRole(sdp, role) {
+    sdp.session = sdp.session.filter((line) => !line.startsWith("a=setup:"));
+    for (const section of sdp.media) {
+        if (isRejected(section)) {
+            continue;
+        }
+        const index = section.lines.findIndex((line) => line.startsWith("a=setup:"));
+        if (index >= 0) {
+            section.lines[index] = `a=setup:${role}`;
+            continue;
+        }
+        // Conventionally right after the fingerprint, else after the connection line
+        let insertAt = section.lines.findIndex((line) => line.startsWith("a=fingerprint:"));
+        if (insertAt < 0) {
+            insertAt = section.lines.findIndex((line) => line.startsWith("c="));
+        }
+        section.lines.splice(insertAt + 1, 0, `a=setup:${role}`);
+    }
+    return sdp;
+}
+
+/**
+ * The DTLS role to answer an offer with ("active" unless the offer insists on it)
+ */
+function answerSetupRole(offer) {
+    const [offered] = offer.media.flatMap((section) => getAttributes(section.lines, "setup"))
+        .concat(getAttributes(offer.session, "setup"));
+    return ANSWER_SETUP_ROLES[offered] || "active";
+}
+
+/**
+ * Remove payload types from a media section with their rtpmap, fmtp and rtcp-fb lines
+ */
+function removePayloadTypes(section, payloadTypes) {
+    const removed = new Set(payloadTypes);
+    section.payloadTypes = section.payloadTypes.filter((payloadType) => !removed.has(payloadType));
+    section.lines = section.lines.filter((line) => {
+        const match = line.match(/^a=(?:rtpmap|fmtp|rtcp-fb):(\d+) /);
+        return !match || !removed.has(match[1]);
+    });
+}
+
+/**
+ * Keep only the allowed audio codecs (by name, case-insensitive) and merge
+ * `opus` parameters into every Opus fmtp line
+ */
+function applyCodecPolicy(sdp, { codecs = null, opus = {} } = {}) {
+    const allowed = codecs && new Set(codecs.map((name) => name.toLowerCase()));
+    for (const section of sdp.media) {
+        if (section.kind !== "audio" || isRejected(section)) {
+            continue;
+        }
+        const sectionCodecs = getCodecs(section);
+        if (allowed) {
+            const dropped = sectionCodecs.filter((codec) => !allowed.has(codec.name.toLowerCase()));
+            if (dropped.length < sectionCodecs.length) {
+                removePayloadTypes(section, dropped.map((codec) => codec.payloadType));
+            }
+        }
+
+        if (!Object.keys(opus).length) {
+            continue;
+        }
+        for (const codec of getCodecs(section).filter(({ name }) => name.toLowerCase() === "opus")) {
+            const line = `a=fmtp:${codec.payloadType} ${formatFmtp({ ...codec.params, ...opus })}`;
+            const index = section.lines.findIndex((item) => item.startsWith(`a=fmtp:${codec.payloadType} `));
+            if (index >= 0) {
+                section.lines[index] = line;
+            } else {
+                const rtpmap = section.lines.findIndex((item) => item.startsWith(`a=rtpmap:${codec.payloadType} `));
+                section.lines.splice(rtpmap + 1, 0, line);
+            }
+        }
+    }
+    return sdp;
+}
+
+/**
+ * Remove attributes (by name, e.g. "extmap-allow-mixed") at session and media level
+ */
+function stripAttributes(sdp, names) {
+    const keep = (line) => !names.some((name) => line === `a=${name}` || line.startsWith(`a=${name}:`));
+    sdp.session = sdp.session.filter(keep);
+    for (const section of sdp.media) {
+        section.lines = section.lines.filter(keep);
+    }
+    return sdp;
+}
+
+/**
+ * Make sure the audio sections negotiate RFC 4733 telephone-event so keypad
+ * digits can be sent as events. An answer can only use the payload type the
+ * offer proposed, and drops it if the offer had none.
+ */
+function negotiateTelephoneEvent(sdp, offer = null) {
+    for (const section of sdp.media) {
+        if (section.kind !== "audio" || isRejected(section)) {
+            continue;
+        }
+        if (getCodecs(section).some((codec) => codec.name.toLowerCase() === "telephone-event")) {
+            continue;
+        }
+
+        let event = { payloadType: null, clockRate: 8000, params: { "": "0-15" } };
+        if (offer) {
+            const offered = offer.media
+                .filter((item) => item.kind === "audio")
+                .flatMap(getCodecs)
+                .find((codec) => codec.name.toLowerCase() === "telephone-event");
+            if (!offered) {
+                continue;
+            }
+            event = { ...offered, params: Object.keys(offered.params).length ? offered.params : event.params };
+        } else {
+            const used = new Set(section.payloadTypes.map(Number));
+            const candidates = DEFAULT_PAYLOAD_TYPES.concat(Array.from({ length: 32 }, (_, i) => 96 + i));
+            event.payloadType = String(candidates.find((candidate) => !used.has(candidate)));
+        }
+
+        // Add it after the section's last codec line
+        let insertAt = section.lines.length;
+        section.lines.forEach((line, index) => {
+            if (line.startsWith("a=rtpmap:") || line.startsWith("a=fmtp:")) {
+                insertAt = index + 1;
+            }
+        });
+        section.lines.splice(insertAt, 0,
+            `a=rtpmap:${event.payloadType} telephone-event/${event.clockRate}`,
+            `a=fmtp:${event.payloadType} ${formatFmtp(event.params)}`);
+        section.payloadTypes.push(event.payloadType);
+    }
+    return sdp;
+}
+
+/**
+ * Rewrite an SDP for sending: the DTLS role for its type ("offer" or "answer",
+ * in reply to `offerSdp`), then the optional policy - codec allow-list, Opus
+ * parameters, stripped attributes and telephone-event.
+ */
+function rewriteSdp(text, { type, offerSdp = null, policy = null }) {
+    if (!text || typeof text !== "string") {
+        return text;
+    }
+    const sdp = parseSdp(text);
+    const offer = offerSdp ? parseSdp(offerSdp) : null;
+
+    setSetupRole(sdp, type === "offer" ? "actpass" : (offer ? answerSetupRole(offer) : "active"));
+    if (policy) {
+        applyCodecPolicy(sdp, policy);
+        stripAttributes(sdp, policy.strip || []);
+        if (policy.telephoneEvent) {
+            negotiateTelephoneEvent(sdp, offer);
+        }
+    }
+    return writeSdp(sdp);
+}
+
+module.exports = {
+    parseSdp,
+    writeSdp,
+    getAttributes,
+    getCodecs,
+    parseFmtp,
+    setSetupRole,
+    answerSetupRole,
+    applyCodecPolicy,
+    stripAttributes,
+    negotiateTelephoneEvent,
+    rewriteSdp
+};
@@ -0,0 +1,225 @@
+/**
+ * Live transcription: speech recognizers fed with a call's decoded audio, and
+ * the transcripts saved when calls end.
+ *
+ * A recognizer takes mono PCM through push(samples, sampleRate) and reports
+ * what it hears through onSegment({ text, final }): partial segments while a
+ * phrase is being spoken, then one final segment with the recognized phrase.
+ * Engines:
+ *   vosk   a local process reading 16 kHz PCM on stdin and writing Vosk-style
+ *          JSON lines ({"partial": ...} / {"text": ...}) on stdout, such as
+ *          tools/vosk-recognizer.py or a whisper.cpp wrapper with the same protocol
+ *   stub   reports numbered fixed phrases as audio comes in, for tests
+ */
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { resample } = require("./pcm");
+
+const TRANSCRIPTION_ENGINES = ["vosk", "stub"];
+
+const PROCESS_SAMPLE_RATE = 16000;
+
+// How long a recognizer process may take to report its last phrase once its input ends
+const CLOSE_TIMEOUT_MS = 5000;
+
+/**
+ * Arguments of the recognizer process from a JSON array of strings, so paths
+ * with spaces need no quoting rules
+ */
+function parseRecognizerArgs(value) {
+    let args;
+    try {
+        args = JSON.parse(value);
+    } catch {
+        args = null;
+    }
+    if (!Array.isArray(args) || !args.every((arg) => typeof arg === "string")) {
+        throw new Error(`Recognizer arguments must be a JSON array of strings, got: ${value}`);
+    }
+    return args;
+}
+
+/**
+ * Split a stream into lines as they arrive
+ */
+function onLines(stream, onLine) {
+    let buffered = "";
+    stream.setEncoding("utf8");
+    stream.on("data", (chunk) => {
+        buffered += chunk;
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        lines.filter((line) => line.trim()).forEach(onLine);
+    });
+}
+
+/**
+ * Recognizer backed by a local process speaking JSON lines. What the process
+ * writes to stderr is passed line by line to onLog.
+ */
+function createProcessRecognizer({
+    command,
+    args = [],
+    sampleRate = PROCESS_SAMPLE_RATE,
+    onSegment,
+    onError = () => {},
+    onLog = () => {}
+}) {
+    if (!command) {
+        throw new Error("The recognizer needs a command to run");
+    }
+    const child = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"] });
+    const exited = new Promise((resolve) => child.on("close", resolve));
+    let closed = false;
+    // Set while the process is behind on its input (see push)
+    let draining = false;
+    let lastPartial = "";
+
+    child.on("error", (error) => {
+        closed = true;
+        onError(error);
+    });
+    child.on("exit", (code) => {
+        closed = true;
+        if (code) {
+            onError(new Error(`Recognizer exited with code ${code}`));
+        }
+    });
+    // A recognizer that went away mid-write must not take the server down
+    child.stdin.on("error", () => {
+        closed = true;
+    });
+
+    onLines(child.stderr, onLog);
+    onLines(child.stdout, (line) => {
+        let result;
+        try {
+            result = JSON.parse(line);
+        } catch {
+            return;
+        }
+        if (typeof result.text === "string") {
+            lastPartial = "";
+            if (result.text.trim()) {
+                onSegment({ text: result.text.trim(), final: true });
+            }
+        } else if (typeof result.partial === "string" && result.partial.trim() && result.partial !== lastPartial) {
+            lastPartial = result.partial;
+            onSegment({ text: result.partial.trim(), final: false });
+        }
+    });
+
+    return {
+        /**
+         * Feed audio to the process. Audio that comes in while the process is
+         * behind is dropped: late captions are of no use and the backlog would
+         * grow for as long as the call lasts.
+         */
+        push(samples, inputRate) {
+            if (closed || draining) {
+                return;
+            }
+            const pcm = resample(samples, inputRate, sampleRate);
+            if (!child.stdin.write(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength))) {
+                draining = true;
+                child.stdin.once("drain", () => {
+                    draining = false;
+                });
+            }
+        },
+
+        /**
+         * Stop feeding audio. Resolves once the process has reported its last
+         * phrase and exited, or was killed for taking too long.
+         */
+        async close() {
+            if (!closed) {
+                closed = true;
+                child.stdin.end();
+            }
+            let timer;
+            const timeout = new Promise((resolve) => {
+                timer = setTimeout(() => {
+                    child.kill();
+                    resolve();
+                }, CLOSE_TIMEOUT_MS);
+            });
+            await Promise.race([exited, timeout]);
+            clearTimeout(timer);
+        }
+    };
+}
+
+/**
+ * Recognizer that "hears" `phrase 1`, `phrase 2`, ... for every
+ * `secondsPerPhrase` of audio, with a partial segment halfway through
+ */
+function createStubRecognizer({ onSegment, phrase = "stub phrase", secondsPerPhrase = 1 }) {
+    let seconds = 0;
+    let count = 0;
+    let partial = false;
+
+    return {
+        push(samples, sampleRate) {
+            seconds += samples.length / sampleRate;
+            if (!partial && seconds >= secondsPerPhrase / 2) {
+                partial = true;
+                onSegment({ text: phrase.split(" ")[0], final: false });
+            }
+            if (seconds >= secondsPerPhrase) {
+                seconds -= secondsPerPhrase;
+                partial = false;
+                onSegment({ text: `${phrase} ${++count}`, final: true });
+            }
+        },
+        async close() {}
+    };
+}
+
+/**
+ * Create a recognizer for an engine name ("vosk" or "stub")
+ */
+function createRecognizer(engine, options) {
+    if (engine === "vosk") {
+        return createProcessRecognizer(options);
+    }
+    if (engine === "stub") {
+        return createStubRecognizer(options);
+    }
+    throw new Error(`Unknown transcription engine '${engine}'`);
+}
+
+function transcriptPath(directory, callId) {
+    if (!callId || path.basename(callId) !== callId) {
+        return null;
+    }
+    return path.join(directory, `${callId}.json`);
+}
+
+/**
+ * Save a call's transcript ({ callId, segments, ... }) as <callId>.json
+ */
+function saveTranscript(directory, transcript) {
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(transcriptPath(directory, transcript.callId), JSON.stringify(transcript, null, 2));
+}
+
+/**
+ * A saved transcript, or null if the call has none
+ */
+function loadTranscript(directory, callId) {
+    const filePath = transcriptPath(directory, callId);
+    if (!filePath || !fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+module.exports = {
+    TRANSCRIPTION_ENGINES,
+    parseRecognizerArgs,
+    createRecognizer,
+    saveTranscript,
+    loadTranscript
+};
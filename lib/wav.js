@@ -0,0 +1,139 @@
+/**
+ * Minimal streaming writer and reader for 16-bit PCM WAV files.
+ */
+const fs = require("fs");
+
+const HEADER_SIZE = 44;
+
+/**
+ * Build a canonical 44-byte RIFF/WAVE header for 16-bit PCM
+ */
+function createWavHeader({ sampleRate, channels, dataBytes }) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    const blockAlign = channels * 2;
+
+    header.write("RIFF", 0);
+    header.writeUInt32LE(HEADER_SIZE - 8 + dataBytes, 4);
+    header.write("WAVE", 8);
+    header.write("fmt ", 12);
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(16, 34); // bits per sample
+    header.write("data", 36);
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+}
+
+/**
+ * Open a WAV file for streaming writes.
+ * Sizes in the header are patched in when the writer is closed.
+ */
+function createWavWriter(filePath, { sampleRate = 48000, channels = 1 } = {}) {
+    const stream = fs.createWriteStream(filePath);
+    let dataBytes = 0;
+    let closed = false;
+
+    stream.write(createWavHeader({ sampleRate, channels, dataBytes: 0 }));
+
+    return {
+        filePath,
+        sampleRate,
+        channels,
+
+        /**
+         * Append interleaved 16-bit samples
+         */
+        write(samples) {
+            if (closed || !samples?.length) {
+                return;
+            }
+            const buffer = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+            // Copy: the caller may reuse the underlying buffer
+            stream.write(Buffer.from(buffer));
+            dataBytes += buffer.length;
+        },
+
+        /**
+         * Flush the stream and write the final header
+         */
+        close() {
+            if (closed) {
+                return Promise.resolve({ filePath, dataBytes });
+            }
+            closed = true;
+
+            return new Promise((resolve, reject) => {
+                stream.end(() => {
+                    try {
+                        const fd = fs.openSync(filePath, "r+");
+                        fs.writeSync(fd, createWavHeader({ sampleRate, channels, dataBytes }), 0, HEADER_SIZE, 0);
+                        fs.closeSync(fd);
+                        resolve({
+                            filePath,
+                            dataBytes,
+                            durationSeconds: dataBytes / (sampleRate * channels * 2)
+                        });
+                    } catch (err) {
+                        reject(err);
+                    }
+                });
+            });
+        }
+    };
+}
+
+/**
+ * Read a whole 16-bit PCM WAV file. Chunks other than `fmt ` and `data`
+ * (LIST, fact, ...) are skipped.
+ */
+function readWav(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+        throw new Error(`${filePath} is not a WAV file`);
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString("ascii", offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === "fmt ") {
+            format = {
+                audioFormat: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (chunkId === "data") {
+            if (!format || format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+                throw new Error(`${filePath} must be 16-bit PCM`);
+            }
+            const dataBytes = Math.min(chunkSize, buffer.length - body);
+            // Copy into an aligned buffer for the Int16Array view
+            const data = Buffer.from(buffer.subarray(body, body + dataBytes - (dataBytes % 2)));
+            return {
+                sampleRate: format.sampleRate,
+                channels: format.channels,
+                samples: new Int16Array(data.buffer, data.byteOffset, data.length / 2)
+            };
+        }
+
+        // Chunks are padded to an even size
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error(`${filePath} has no data chunk`);
+}
+
+module.exports = {
+    HEADER_SIZE,
+    createWavHeader,
+    createWavWriter,
+    readWav
+};
@@ -0,0 +1,41 @@
+/**
+ * HMAC-SHA256 signatures used by Meta on webhook deliveries (X-Hub-Signature-256).
+ */
+const crypto = require("crypto");
+
+const SIGNATURE_PREFIX = "sha256=";
+
+/**
+ * Compute the X-Hub-Signature-256 header value for a raw request body
+ */
+function signPayload(rawBody, appSecret) {
+    const digest = crypto
+        .createHmac("sha256", appSecret)
+        .update(rawBody)
+        .digest("hex");
+    return `${SIGNATURE_PREFIX}${digest}`;
+}
+
+/**
+ * Check a X-Hub-Signature-256 header against the raw request body
+ */
+function isValidSignature(rawBody, signatureHeader, appSecret) {
+    if (!rawBody || !appSecret || typeof signatureHeader !== "string") {
+        return false;
+    }
+
+    if (!signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(rawBody, appSecret));
+    const received = Buffer.from(signatureHeader);
+
+    // timingSafeEqual throws on length mismatch
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+    signPayload,
+    isValidSignature
+};
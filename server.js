@@ -1,11 +1,44 @@
 require("dotenv").config();
 const express = require("express");
-const axios = require("axios");
 const path = require("path");
+const crypto = require("crypto");
 const http = require("http");
 const socketIO = require("socket.io");
+const {
+    createCallSession,
+    getCallSession,
+    renameCallSession,
+    listCallSessions,
+    onCallSessionClose,
+    closeCallSession
+} = require("./lib/call-sessions");
+const { isValidSignature } = require("./lib/webhook-signature");
+const { startCallRecording, listRecordings, resolveRecordingPath, updateRecordingMetadata } = require("./lib/call-recorder");
+const { createCallRecordStore } = require("./lib/call-records");
+const { createAgentStore, createToken, verifyToken } = require("./lib/agent-auth");
+const { loadAudioFile, createAudioPlayer } = require("./lib/audio-player");
+const { createAudioMixer } = require("./lib/audio-mixer");
+const { toMono } = require("./lib/pcm");
+const { DTMF_DIGITS, createDtmfDetector, generateDtmfTones } = require("./lib/dtmf");
+const { loadIvrMenu, createIvrRun } = require("./lib/ivr");
+const { loadIceConfig, buildIceServers } = require("./lib/ice-servers");
+const { parseFmtp, rewriteSdp } = require("./lib/sdp");
+const { GRAPH_ERROR_TYPES, GraphApiError, createGraphClient } = require("./lib/graph-client");
+const { loadPhoneLines, canUseLine, describeLine } = require("./lib/phone-lines");
+const { createMetricsRegistry } = require("./lib/metrics");
+const { createQualityTracker } = require("./lib/call-quality");
+const {
+    TRANSCRIPTION_ENGINES,
+    parseRecognizerArgs,
+    createRecognizer,
+    saveTranscript,
+    loadTranscript
+} = require("./lib/transcription");
 // Try to load wrtc with fallback handling for deployment environments
 let RTCPeerConnection, RTCSessionDescription, RTCIceCandidate, MediaStream;
+// Nonstandard wrtc APIs for raw audio access (unavailable in compatibility mode)
+let RTCAudioSink = null;
+let RTCAudioSource = null;
 
 try {
     const wrtc = require("wrtc");
@@ -13,6 +46,8 @@ try {
     RTCSessionDescription = wrtc.RTCSessionDescription;
     RTCIceCandidate = wrtc.RTCIceCandidate;
     MediaStream = wrtc.MediaStream;
+    RTCAudioSink = wrtc.nonstandard?.RTCAudioSink || null;
+    RTCAudioSource = wrtc.nonstandard?.RTCAudioSource || null;
     console.log("WRTC module loaded successfully");
 } catch (error) {
     console.error("Failed to load wrtc module:", error.message);
@@ -41,124 +76,1855 @@ try {
     };
 }
 
-// STUN server allows each peer to discover its public IP for NAT traversal
-const ICE_SERVERS = [
-      {
-        urls: "stun:stun.relay.metered.ca:80",
-      },
-      {
-        urls: "turn:global.relay.metered.ca:80",
-        username: "af4aeaf82f746dda0b5e8201",
-        credential: "hhaIv0AT6jAr5GRL",
-      },
-      {
-        urls: "turn:global.relay.metered.ca:80?transport=tcp",
-        username: "af4aeaf82f746dda0b5e8201",
-        credential: "hhaIv0AT6jAr5GRL",
-      },
-      {
-        urls: "turn:global.relay.metered.ca:443",
-        username: "af4aeaf82f746dda0b5e8201",
-        credential: "hhaIv0AT6jAr5GRL",
-      },
-      {
-        urls: "turns:global.relay.metered.ca:443?transport=tcp",
-        username: "af4aeaf82f746dda0b5e8201",
-        credential: "hhaIv0AT6jAr5GRL",
-      },
-  ];
-
-const WHATSAPP_API_URL = `https://graph.facebook.com/v23.0/${process.env.PHONE_NUMBER_ID}/calls`;
-const ACCESS_TOKEN = `Bearer ${process.env.ACCESS_TOKEN}`;
+// STUN/TURN servers for both legs of every call, also handed to the browser (see lib/ice-servers.js)
+let iceConfig;
+try {
+    iceConfig = loadIceConfig();
+} catch (error) {
+    console.error(`Invalid ICE configuration, using public STUN only: ${error.message}`);
+    iceConfig = loadIceConfig({});
+}
+if (!iceConfig.turn) {
+    console.warn("No TURN server configured - calls from behind strict NATs may have no audio");
+}
+
+/**
+ * ICE servers for the server's own peer connections
+ */
+function serverIceServers() {
+    return buildIceServers(iceConfig, { user: "wp-call-server" });
+}
+
+// Base URL of the Graph API; point it at tools/fake-graph.js for local testing
+const GRAPH_API_BASE_URL = (process.env.GRAPH_API_BASE_URL || "https://graph.facebook.com/v23.0").replace(/\/+$/, "");
+// Business phone numbers served by this server (see lib/phone-lines.js), the first is the default
+const phoneLines = loadPhoneLines();
+// Calls API client of each line, with retries for transient failures and rate limits (see lib/graph-client.js)
+for (const line of phoneLines) {
+    line.graph = createGraphClient({
+        baseUrl: GRAPH_API_BASE_URL,
+        phoneNumberId: line.phoneNumberId,
+        accessToken: line.accessToken,
+        maxRetries: Number(process.env.GRAPH_MAX_RETRIES ?? 3),
+        baseDelayMs: Number(process.env.GRAPH_RETRY_BASE_MS) || 250,
+        maxDelayMs: Number(process.env.GRAPH_RETRY_MAX_MS) || 10000
+    });
+}
+if (phoneLines.length > 1) {
+    console.log(`Serving ${phoneLines.length} phone lines: ${phoneLines.map((line) => line.id).join(", ")}`);
+}
+
+/**
+ * The line with a given id (the default line when no id is given)
+ */
+function findLine(lineId) {
+    return lineId ? phoneLines.find((line) => line.id === lineId) || null : phoneLines[0];
+}
+
+/**
+ * The line a webhook change was delivered for, from its metadata.phone_number_id.
+ * A single line takes every delivery, so a missing id does not drop calls.
+ */
+function lineForWebhook(phoneNumberId) {
+    if (phoneLines.length === 1) {
+        return phoneLines[0];
+    }
+    return phoneLines.find((line) => line.phoneNumberId === String(phoneNumberId)) || null;
+}
+
+/**
+ * The line a call is on (the default line for calls no longer tracked)
+ */
+function lineForCall(callId) {
+    return findLine(getCallSession(callId)?.lineId) || phoneLines[0];
+}
+
+/**
+ * Room a line's inbound calls ring in: its group, or every signed-in agent
+ */
+function lineRoom(line) {
+    return line.group ? groupRoom(line.group) : AGENTS_ROOM;
+}
 const VERIFY_TOKEN = process.env.VERIFY_TOKEN || "sandeep_bora";
+// App secret used to verify X-Hub-Signature-256 on webhook deliveries
+const APP_SECRET = process.env.APP_SECRET;
+
+if (!APP_SECRET) {
+    console.warn("APP_SECRET is not set - every webhook POST will be rejected");
+}
+
+// Service token for automated access to the REST API (acts as an admin)
+const API_TOKEN = process.env.API_TOKEN;
+
+// Local storage for call detail records and agent accounts
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, "data"));
+const callRecords = createCallRecordStore(path.join(DATA_DIR, "calls.jsonl"));
+
+// Agent accounts and signed login tokens
+const agentStore = createAgentStore(path.resolve(process.env.AGENTS_FILE || path.join(DATA_DIR, "agents.json")));
+const AUTH_TOKEN_TTL = Number(process.env.AUTH_TOKEN_TTL) || 12 * 60 * 60; // seconds
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+
+if (!process.env.AUTH_SECRET) {
+    console.warn("AUTH_SECRET is not set - using a random secret, agents must log in again after a restart");
+}
+
+// Opt-in server-side call recording
+const RECORD_CALLS = process.env.RECORD_CALLS === "true";
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, "recordings"));
+const RECORDING_MODE = process.env.RECORDING_MODE || "stereo"; // stereo, mixed
+
+// Opt-in live transcription of answered calls (see lib/transcription.js): vosk, stub
+let TRANSCRIPTION_ENGINE = process.env.TRANSCRIPTION_ENGINE || null;
+if (TRANSCRIPTION_ENGINE && !TRANSCRIPTION_ENGINES.includes(TRANSCRIPTION_ENGINE)) {
+    console.error(`Transcription disabled: unknown engine '${TRANSCRIPTION_ENGINE}'`);
+    TRANSCRIPTION_ENGINE = null;
+}
+// Recognizer process of the vosk engine: the executable, and its arguments as a JSON array
+const TRANSCRIPTION_COMMAND = process.env.TRANSCRIPTION_COMMAND || "python3";
+let TRANSCRIPTION_ARGS = process.env.TRANSCRIPTION_COMMAND
+    ? []
+    : [path.join(__dirname, "tools", "vosk-recognizer.py"), process.env.VOSK_MODEL_PATH || "model"];
+if (process.env.TRANSCRIPTION_ARGS) {
+    try {
+        TRANSCRIPTION_ARGS = parseRecognizerArgs(process.env.TRANSCRIPTION_ARGS);
+    } catch (error) {
+        console.error(`Transcription disabled: TRANSCRIPTION_ARGS - ${error.message}`);
+        TRANSCRIPTION_ENGINE = null;
+    }
+}
+const TRANSCRIPTS_DIR = path.resolve(process.env.TRANSCRIPTS_DIR || path.join(DATA_DIR, "transcripts"));
+
+// Optional hold music played to the WhatsApp caller (16-bit PCM WAV)
+let holdMusic = null;
+if (process.env.HOLD_MUSIC_FILE) {
+    try {
+        holdMusic = loadAudioFile(path.resolve(process.env.HOLD_MUSIC_FILE));
+        console.log(`Loaded hold music from ${process.env.HOLD_MUSIC_FILE}`);
+    } catch (error) {
+        console.error(`Hold music disabled: ${error.message}`);
+    }
+}
+
+// Optional IVR menu inbound callers go through before ringing agents (see lib/ivr.js)
+let ivrMenu = null;
+if (process.env.IVR_MENU_FILE) {
+    try {
+        if (!RTCAudioSource || !RTCAudioSink) {
+            throw new Error("the IVR requires wrtc");
+        }
+        ivrMenu = loadIvrMenu(path.resolve(process.env.IVR_MENU_FILE), { loadAudio: loadAudioFile });
+        console.log(`Loaded IVR menu from ${process.env.IVR_MENU_FILE}`);
+    } catch (error) {
+        console.error(`IVR disabled: ${error.message}`);
+    }
+}
+
+// Voicemail left by callers (16-bit PCM WAV files and their metadata)
+const VOICEMAIL_DIR = path.resolve(process.env.VOICEMAIL_DIR || path.join(DATA_DIR, "voicemail"));
+const VOICEMAIL_MAX_SECONDS = Number(process.env.VOICEMAIL_MAX_SECONDS) || 120;
+// Seconds an inbound call rings the agents before it goes to voicemail (0: ring until WhatsApp gives up)
+const RING_TIMEOUT_SECONDS = Number(process.env.RING_TIMEOUT_SECONDS) || 0;
+if (RING_TIMEOUT_SECONDS && (!RTCAudioSource || !RTCAudioSink)) {
+    console.error("Voicemail on ring timeout disabled: it requires wrtc");
+}
+let voicemailGreeting = null;
+if (process.env.VOICEMAIL_GREETING_FILE) {
+    try {
+        voicemailGreeting = loadAudioFile(path.resolve(process.env.VOICEMAIL_GREETING_FILE));
+    } catch (error) {
+        console.error(`Voicemail greeting disabled: ${error.message}`);
+    }
+}
+
+// What SDP sent to WhatsApp may contain: audio codecs, Opus parameters and attributes to strip
+const listSetting = (value) => String(value).split(",").map((item) => item.trim()).filter(Boolean);
+const WHATSAPP_SDP_POLICY = {
+    codecs: listSetting(process.env.SDP_AUDIO_CODECS || "opus,telephone-event"),
+    opus: parseFmtp(process.env.SDP_OPUS_PARAMS ?? "useinbandfec=1"),
+    strip: listSetting(process.env.SDP_STRIP_ATTRIBUTES ?? "extmap-allow-mixed"),
+    telephoneEvent: true
+};
+
+const app = express();
+const server = http.createServer(app);
+const io = socketIO(server);
+
+// Call and bridge health, scraped from GET /metrics (see lib/metrics.js)
+const metrics = createMetricsRegistry({ prefix: "wpcall_" });
+const callEventsMetric = metrics.counter("call_events_total", "Call webhook events by call direction and event", {
+    labelNames: ["direction", "event"]
+});
+const graphDurationMetric = metrics.histogram("graph_request_duration_seconds", "Graph API call action latency, retries included", {
+    labelNames: ["action"]
+});
+const graphErrorsMetric = metrics.counter("graph_request_errors_total", "Failed Graph API call actions by error type", {
+    labelNames: ["action", "type"]
+});
+const bridgeSetupMetric = metrics.histogram("bridge_setup_seconds", "Time from an agent answering or the IVR picking up an inbound call to its accept (ringing not included)", {
+    buckets: [0.5, 1, 2, 3, 5, 10, 20, 30, 60]
+});
+const iceFailuresMetric = metrics.counter("ice_failures_total", "Call legs whose connection failed or dropped", {
+    labelNames: ["leg"]
+});
+const queuedCandidatesMetric = metrics.counter("queued_ice_candidates_total", "ICE candidates queued before their peer connection was ready", {
+    labelNames: ["result"]
+});
+metrics.gauge("active_calls", "Calls in progress by direction", {
+    collect: () => ["inbound", "outbound"].map((direction) => ({
+        labels: { direction },
+        value: listCallSessions().filter((session) => session.direction === direction).length
+    }))
+});
+metrics.gauge("connected_sockets", "Connected Socket.IO clients", { collect: () => io.of("/").sockets.size });
+
+app.use(express.json({
+    // Keep the raw body around so webhook signatures can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+app.use(express.static(path.join(__dirname, "public")));
+
+// Outgoing call status webhooks mapped onto session status and Socket.IO events
+const OUTGOING_CALL_STATUSES = {
+    RINGING: { status: "ringing", event: "outgoing-call-ringing" },
+    ACCEPTED: { status: "accepted", event: "outgoing-call-accepted" },
+    REJECTED: { status: "rejected", event: "outgoing-call-rejected", final: true },
+    FAILED: { status: "failed", event: "outgoing-call-failed", final: true }
+};
+
+// Order in which an outgoing call progresses once WhatsApp knows about it
+const OUTGOING_CALL_PROGRESS = ["initiated", "ringing", "accepted", "connected"];
+
+// Statuses can arrive before the connect request returns the call_id they are
+// for; they are held this long for the call to be renamed
+const EARLY_STATUS_TTL_MS = 30 * 1000;
+const earlyCallStatuses = new Map(); // call_id -> { updates, timer }
+
+// Socket.IO rooms: every agent socket joins AGENTS_ROOM, its agent room and
+// its group rooms; sockets bridged to a call join that call's room
+const AGENTS_ROOM = "agents";
+const agentRoom = (username) => `agent:${username}`;
+const groupRoom = (group) => `group:${group}`;
+const callRoom = (callId) => `call:${callId}`;
+
+/**
+ * Emit a call event to the sockets in the call's room, and to the room the call
+ * is being offered to until an agent takes it
+ */
+function emitToCall(session, event, payload) {
+    let target = io.to(callRoom(session.callId));
+    if (session.offerRoom && !session.browserSocket) {
+        target = target.to(session.offerRoom);
+    }
+    target.emit(event, payload);
+}
+
+/**
+ * Put a socket in the call's room once it is bound to the call
+ */
+function joinCallRoom(socket, session) {
+    socket.join(callRoom(session.callId));
+}
+
+/**
+ * Empty the call's room when its session closes. Deferred so the final
+ * events emitted right after closing still reach the room.
+ */
+function releaseCallRoomOnClose(session) {
+    onCallSessionClose(session, () => {
+        const room = callRoom(session.callId);
+        process.nextTick(() => io.in(room).socketsLeave(room));
+    });
+}
+
+/**
+ * Whether a socket may control a call: the socket bridged to it, or while
+ * nobody has taken it yet, a socket it is being offered to
+ */
+function canControlCall(socket, session) {
+    if (!session) {
+        return false;
+    }
+    if (session.browserSocket) {
+        return session.browserSocket.id === socket.id;
+    }
+    return Boolean(session.offerRoom && socket.rooms.has(session.offerRoom));
+}
+
+/**
+ * Close a call session and tell the agents involved the call is over
+ */
+function endCall(callId, outcome = {}) {
+    const session = closeCallSession(callId, outcome);
+    if (session) {
+        emitToCall(session, "call-ended", { callId: session.callId });
+    }
+    return session;
+}
+
+/**
+ * Create the call detail record for a new session and finish it when the session closes
+ */
+function trackCallRecord(session) {
+    callRecords.create(session.callId, {
+        direction: session.direction,
+        callerName: session.callerName,
+        callerNumber: session.phoneNumber,
+        lineId: session.lineId,
+        status: session.status,
+        ringAt: session.direction === "inbound" ? new Date().toISOString() : null
+    });
+
+    onCallSessionClose(session, () => {
+        const { status, reason, durationSeconds } = session.outcome || {};
+        const answered = Boolean(callRecords.get(session.callId)?.answeredAt);
+        let defaultStatus = answered ? "completed" : (session.direction === "inbound" ? "missed" : "not_answered");
+        if (session.status === "voicemail") {
+            defaultStatus = "voicemail";
+        }
+
+        callRecords.finish(session.callId, {
+            status: status || defaultStatus,
+            failureReason: reason || null,
+            durationSeconds
+        });
+    });
+}
+
+/**
+ * Mark a call as answered in its call detail record
+ */
+function markCallAnswered(session) {
+    callRecords.update(session.callId, {
+        status: "answered",
+        answeredAt: new Date().toISOString(),
+        agentSocketId: session.browserSocket?.id || null,
+        agent: session.browserSocket?.data.agent?.sub || null
+    });
+    startQualityMonitoring(session);
+}
+
+/**
+ * Sample getStats() of both legs every QUALITY_STATS_SECONDS, push each leg's
+ * quality to the agents on the call and store a summary with the call record
+ */
+function startQualityMonitoring(session) {
+    if (!QUALITY_STATS_SECONDS || session.quality) {
+        return;
+    }
+    session.quality = { browser: createQualityTracker(), whatsapp: createQualityTracker() };
+
+    const timer = setInterval(() => {
+        sampleCallQuality(session).catch((error) => {
+            console.error(`Failed to sample quality of call ${session.callId}:`, error.message);
+        });
+    }, QUALITY_STATS_SECONDS * 1000);
+    onCallSessionClose(session, () => {
+        clearInterval(timer);
+        const summary = Object.fromEntries(Object.entries(session.quality).map(([leg, tracker]) => [leg, tracker.summary()]));
+        callRecords.update(session.callId, { quality: summary });
+    });
+}
+
+async function sampleCallQuality(session) {
+    const legs = {};
+    for (const leg of ["browser", "whatsapp"]) {
+        const pc = session[`${leg}Pc`];
+        if (typeof pc?.getStats !== "function") {
+            continue;
+        }
+        const sample = session.quality[leg].sample(await pc.getStats(), { connection: pc });
+        if (sample) {
+            legs[leg] = sample;
+        }
+    }
+    if (!session.outcome && Object.keys(legs).length) {
+        emitToCall(session, "call-quality", { callId: session.callId, legs });
+    }
+}
+
+/**
+ * Answer SDP for a browser leg, with the DTLS role that matches its offer
+ */
+function browserAnswerSdp(sdp, offerSdp) {
+    return rewriteSdp(sdp, { type: "answer", offerSdp });
+}
+
+/**
+ * SDP sent to WhatsApp: the DTLS role for its type plus WHATSAPP_SDP_POLICY
+ */
+function whatsappSdp(sdp, { type, offerSdp = null }) {
+    return rewriteSdp(sdp, { type, offerSdp, policy: WHATSAPP_SDP_POLICY });
+}
+
+/**
+ * Process any queued ICE candidates once the browser peer connection is ready
+ */
+async function processPendingIceCandidates(session) {
+    const { browserPc, pendingIceCandidates } = session;
+    if (!browserPc || pendingIceCandidates.length === 0) {
+        return;
+    }
+
+    console.log(`Processing ${pendingIceCandidates.length} queued ICE candidates for call ${session.callId}`);
+    
+    for (const candidate of pendingIceCandidates) {
+        try {
+            await browserPc.addIceCandidate(new RTCIceCandidate(candidate));
+            console.log("Successfully added queued ICE candidate");
+            queuedCandidatesMetric.inc({ result: "added" });
+        } catch (err) {
+            console.error("Failed to add queued ICE candidate:", err);
+            queuedCandidatesMetric.inc({ result: "failed" });
+        }
+    }
+    
+    // Clear the queue
+    session.pendingIceCandidates = [];
+}
+
+/**
+ * Start recording a bridged call once both audio legs are available
+ */
+function startSessionRecording(session) {
+    if (!RECORD_CALLS || session.recording) {
+        return;
+    }
+
+    const whatsappTrack = session.whatsappStream?.getAudioTracks()[0];
+    const browserTrack = session.browserStream?.getAudioTracks()[0];
+    if (!whatsappTrack || !browserTrack) {
+        console.warn(`Not recording call ${session.callId} - missing audio track`);
+        return;
+    }
+
+    try {
+        session.recording = startCallRecording({
+            callId: session.callId,
+            whatsappTrack,
+            browserTrack,
+            RTCAudioSink,
+            directory: RECORDINGS_DIR,
+            mode: RECORDING_MODE,
+            metadata: {
+                direction: session.direction,
+                phoneNumber: session.phoneNumber,
+                callerName: session.callerName
+            }
+        });
+        onCallSessionClose(session, async () => {
+            const info = await session.recording.stop();
+            if (info) {
+                callRecords.update(session.callId, { recordingFile: info.fileName });
+            }
+        });
+    } catch (err) {
+        console.error(`Failed to start recording for call ${session.callId}:`, err.message);
+    }
+}
+
+// Socket events that put a call on hold or mute the agent, and the state they set
+const AUDIO_CONTROLS = {
+    "hold-call": { field: "held", value: true, event: "hold" },
+    "resume-call": { field: "held", value: false, event: "resume" },
+    "mute-call": { field: "muted", value: true, event: "mute" },
+    "unmute-call": { field: "muted", value: false, event: "unmute" }
+};
+
+/**
+ * Point the bridge's senders at the audio each leg should hear.
+ * On hold the caller hears hold music (or silence) and the agent hears the
+ * transfer target they are consulting, if any; muted, nobody hears the agent.
+ * Supervisors who whisper are mixed into what the agent hears, and barging in
+ * into what the caller hears too.
+ */
+async function applyAudioRouting(session) {
+    // In a conference the legs hear the mixer; only mute applies
+    if (session.conference?.mixer) {
+        session.conference.mixer.setMuted(session.conference.hostId, session.muted);
+        return;
+    }
+
+    const browserTrack = session.browserStream?.getAudioTracks()[0] || null;
+    const whatsappTrack = session.whatsappStream?.getAudioTracks()[0] || null;
+    const consult = session.transfer?.status === "consulting" ? session.transfer : null;
+    const consultTrack = consult?.browserStream?.getAudioTracks()[0] || null;
+
+    let toWhatsapp = session.muted ? null : browserTrack;
+    let toBrowser = whatsappTrack;
+    const { monitoring } = session;
+    if (monitoring) {
+        monitoring.mixer.setMuted(MONITOR_AGENT, session.muted);
+        const modes = Array.from(monitoring.monitors.values(), (monitor) => monitor.mode);
+        if (modes.some((mode) => mode !== "listen")) {
+            toBrowser = monitoring.agentTrack;
+        }
+        if (modes.includes("barge")) {
+            toWhatsapp = monitoring.callerTrack;
+        }
+    }
+    if (session.held) {
+        toWhatsapp = session.holdPlayer?.track || null;
+        toBrowser = consultTrack;
+    }
+    // Keypad tones being sent to the caller take over their leg until they finish
+    if (session.dtmfPlayer) {
+        toWhatsapp = session.dtmfPlayer.track;
+    }
+
+    await Promise.all([
+        session.whatsappSender?.replaceTrack(toWhatsapp),
+        session.browserSender?.replaceTrack(toBrowser),
+        consult?.sender?.replaceTrack(session.muted ? null : browserTrack)
+    ]);
+}
+
+/**
+ * Start looping hold music for the call in session.holdPlayer
+ */
+function playHoldMusic(session) {
+    session.holdPlayer?.stop();
+    session.holdPlayer = createAudioPlayer({ RTCAudioSource, audio: holdMusic, loop: true });
+    if (!session.cleanups.includes(stopHoldMusic)) {
+        onCallSessionClose(session, stopHoldMusic);
+    }
+}
+
+function stopHoldMusic(session) {
+    session.holdPlayer?.stop();
+    session.holdPlayer = null;
+}
+
+/**
+ * Apply a hold/resume or mute/unmute request, record it on the call and
+ * tell the call's browsers the new state
+ */
+async function updateCallAudio(session, { field, value, event }, agentName) {
+    if (session[field] === value) {
+        return;
+    }
+    session[field] = value;
+
+    if (field === "held") {
+        stopHoldMusic(session);
+        if (value && holdMusic && RTCAudioSource) {
+            playHoldMusic(session);
+        }
+    }
+
+    try {
+        await applyAudioRouting(session);
+    } catch (error) {
+        console.error(`Failed to ${event} call ${session.callId}:`, error.message);
+    }
+
+    console.log(`Call ${session.callId}: ${event} by ${agentName}`);
+    callRecords.addEvent(session.callId, event, { agent: agentName });
+    emitToCall(session, "call-audio-state", { callId: session.callId, held: session.held, muted: session.muted });
+}
+
+// How long a dropped leg may take to reconnect before the call is ended (seconds)
+const ICE_RECOVERY_SECONDS = Number(process.env.ICE_RECOVERY_SECONDS) || 20;
+
+// How often both legs of an answered call are sampled for quality (seconds, 0 disables)
+const QUALITY_STATS_SECONDS = Number(process.env.QUALITY_STATS_SECONDS ?? 5);
+
+// How long a transfer rings the target agent before it is given up (seconds)
+const TRANSFER_RING_SECONDS = Number(process.env.TRANSFER_RING_SECONDS) || 30;
+const TRANSFER_MODES = ["blind", "warm"];
+
+/**
+ * Whether an agent has at least one console connected
+ */
+function isAgentOnline(username) {
+    return Boolean(io.sockets.adapter.rooms.get(agentRoom(username))?.size);
+}
+
+/**
+ * Answer a browser's offer with a new peer connection on a call whose WhatsApp
+ * leg is already bridged. `sendTrack` is the audio the browser hears first.
+ */
+async function attachBrowserLeg(socket, offerSdp, sendTrack) {
+    const browserPc = new RTCPeerConnection({ iceServers: serverIceServers() });
+    const browserStream = new MediaStream();
+
+    browserPc.ontrack = (event) => {
+        event.streams[0].getTracks().forEach((track) => browserStream.addTrack(track));
+    };
+    browserPc.onicecandidate = (event) => {
+        if (event.candidate) {
+            socket.emit("browser-candidate", event.candidate);
+        }
+    };
+
+    await browserPc.setRemoteDescription(new RTCSessionDescription({ type: "offer", sdp: offerSdp }));
+    const sender = browserPc.addTrack(sendTrack, new MediaStream([sendTrack]));
+
+    const answer = await browserPc.createAnswer();
+    const answerSdp = browserAnswerSdp(answer.sdp, offerSdp);
+    await browserPc.setLocalDescription(new RTCSessionDescription({ type: "answer", sdp: answerSdp }));
+    socket.emit("browser-answer", answerSdp);
+
+    return { browserPc, browserStream, sender };
+}
+
+/**
+ * Detach the current agent's browser from the call. The WhatsApp leg stays up.
+ */
+function releaseBrowserLeg(session, toAgent) {
+    const { browserSocket, browserPc } = session;
+    browserPc?.close?.();
+    Object.assign(session, {
+        browserSocket: null,
+        browserPc: null,
+        browserStream: null,
+        browserSender: null,
+        pendingIceCandidates: []
+    });
+
+    if (browserSocket) {
+        browserSocket.leave(callRoom(session.callId));
+        browserSocket.emit("call-transferred", { callId: session.callId, toAgent });
+    }
+}
+
+/**
+ * Put the caller on hold and offer the call to another agent.
+ * Blind: the current agent is released straight away and the call rings the target.
+ * Warm: the target first joins a consult leg with the current agent.
+ */
+async function startTransfer(session, socket, { toAgent, mode }) {
+    const fromAgent = socket.data.agent;
+    await updateCallAudio(session, AUDIO_CONTROLS["hold-call"], fromAgent.sub);
+    callRecords.addEvent(session.callId, "transfer", { agent: fromAgent.sub, toAgent, mode });
+    console.log(`Transferring call ${session.callId} from ${fromAgent.sub} to ${toAgent} (${mode})`);
+
+    const transfer = {
+        callId: session.callId,
+        mode,
+        fromAgent: fromAgent.sub,
+        toAgent,
+        status: "ringing",
+        // Consult leg of a warm transfer, negotiated when the target answers
+        socket: null,
+        browserPc: null,
+        browserStream: null,
+        sender: null,
+        pendingIceCandidates: [],
+        timer: setTimeout(() => endTransfer(session, "timeout"), TRANSFER_RING_SECONDS * 1000)
+    };
+    session.transfer = transfer;
+    if (!session.cleanups.includes(closeTransfer)) {
+        onCallSessionClose(session, closeTransfer);
+    }
+
+    const offer = {
+        callId: session.callId,
+        callerName: session.callerName,
+        callerNumber: session.phoneNumber,
+        line: describeLine(findLine(session.lineId)),
+        transferFrom: fromAgent.name,
+        mode
+    };
+
+    if (mode === "blind") {
+        releaseBrowserLeg(session, toAgent);
+        session.offerRoom = agentRoom(toAgent);
+        emitToCall(session, "call-is-coming", offer);
+    } else {
+        io.to(agentRoom(toAgent)).emit("call-is-coming", offer);
+        emitToCall(session, "transfer-state", { callId: session.callId, status: "ringing", toAgent });
+    }
+}
+
+function closeTransfer(session) {
+    endTransfer(session, "closed");
+}
+
+/**
+ * Give up a transfer that was declined, timed out or cancelled. A blind
+ * transfer nobody took rings the line's agents; a warm one returns to the agent.
+ */
+function endTransfer(session, status) {
+    const { transfer } = session;
+    if (!transfer) {
+        return;
+    }
+    clearTimeout(transfer.timer);
+    transfer.browserPc?.close?.();
+    session.transfer = null;
+
+    // Stop the call ringing for the target, or drop its consult leg
+    io.to(agentRoom(transfer.toAgent)).emit("call-ended", { callId: session.callId });
+    if (status === "closed") {
+        return;
+    }
+
+    console.log(`Transfer of call ${session.callId} to ${transfer.toAgent}: ${status}`);
+    callRecords.addEvent(session.callId, `transfer-${status}`, { toAgent: transfer.toAgent });
+
+    if (transfer.mode === "blind") {
+        session.offerRoom = lineRoom(findLine(session.lineId));
+        emitToCall(session, "call-is-coming", {
+            callId: session.callId,
+            callerName: session.callerName,
+            callerNumber: session.phoneNumber,
+            line: describeLine(findLine(session.lineId))
+        });
+    } else {
+        emitToCall(session, "transfer-state", { callId: session.callId, status, toAgent: transfer.toAgent });
+        applyAudioRouting(session).catch((error) => {
+            console.error(`Failed to drop consult leg of call ${session.callId}:`, error.message);
+        });
+    }
+}
+
+/**
+ * The target of a warm transfer answered: connect it to the transferring agent
+ */
+async function joinTransferConsult(session, socket, sdp) {
+    const { transfer } = session;
+    transfer.socket = socket;
+    transfer.status = "connecting";
+    clearTimeout(transfer.timer);
+    socket.to(agentRoom(transfer.toAgent)).emit("call-claimed", { callId: session.callId, agent: socket.data.agent.name });
+
+    const leg = await attachBrowserLeg(socket, sdp, session.browserStream.getAudioTracks()[0]);
+    if (session.transfer !== transfer) {
+        // Cancelled while negotiating
+        leg.browserPc.close();
+        return;
+    }
+
+    Object.assign(transfer, leg, { status: "consulting" });
+    await processPendingIceCandidates(transfer);
+    await applyAudioRouting(session);
+
+    socket.emit("start-browser-timer");
+    const state = { callId: session.callId, status: "consulting", toAgent: transfer.toAgent };
+    emitToCall(session, "transfer-state", state);
+    socket.emit("transfer-state", state);
+}
+
+/**
+ * Hand a warm transfer over: the consulted agent takes the WhatsApp leg
+ */
+async function completeTransfer(session) {
+    const { transfer } = session;
+    clearTimeout(transfer.timer);
+    session.transfer = null;
+
+    releaseBrowserLeg(session, transfer.toAgent);
+    Object.assign(session, {
+        browserSocket: transfer.socket,
+        browserPc: transfer.browserPc,
+        browserStream: transfer.browserStream,
+        browserSender: transfer.sender
+    });
+    watchLegConnection(session, "browser");
+    joinCallRoom(transfer.socket, session);
+    await finishHandOver(session, transfer.socket);
+}
+
+/**
+ * Bridge a browser to a call whose WhatsApp leg is already up and nobody holds
+ * (a blind transfer, or one that fell back to all agents)
+ */
+async function takeOverCall(session, socket, sdp) {
+    if (session.transfer) {
+        clearTimeout(session.transfer.timer);
+        session.transfer = null;
+    }
+
+    const leg = await attachBrowserLeg(socket, sdp, session.whatsappStream.getAudioTracks()[0]);
+    Object.assign(session, {
+        browserPc: leg.browserPc,
+        browserStream: leg.browserStream,
+        browserSender: leg.sender
+    });
+    watchLegConnection(session, "browser");
+    await processPendingIceCandidates(session);
+
+    socket.emit("start-browser-timer");
+    await finishHandOver(session, socket);
+}
+
+/**
+ * Take the caller off hold with the new agent and point recording and the CDR at them
+ */
+async function finishHandOver(session, socket) {
+    const { agent } = socket.data;
+    session.muted = false;
+    session.recording?.replaceTrack("browser", session.browserStream.getAudioTracks()[0]);
+    callRecords.update(session.callId, { agent: agent.sub, agentSocketId: socket.id });
+    callRecords.addEvent(session.callId, "transferred", { agent: agent.sub });
+    if (session.monitoring) {
+        session.monitoring.mixer.setInput(MONITOR_AGENT, session.browserStream.getAudioTracks()[0]);
+        session.monitoring.announced = "[]";
+        announceCoaches(session);
+    }
+
+    await updateCallAudio(session, AUDIO_CONTROLS["resume-call"], agent.sub);
+    await applyAudioRouting(session);
+    emitToCall(session, "transfer-state", { callId: session.callId, status: "completed", toAgent: agent.sub });
+    console.log(`Call ${session.callId} handed over to ${agent.sub}`);
+}
+
+/**
+ * Find the browser leg a socket's ICE candidates belong to: a transfer
+ * target's consult leg, a conference member's or supervisor's leg, or the
+ * call's own. Null when the socket is on none of the call's legs.
+ */
+function findBrowserLeg(session, socket) {
+    if (session.transfer?.socket?.id === socket.id) {
+        return session.transfer;
+    }
+    for (const monitor of session.monitoring?.monitors.values() || []) {
+        if (monitor.socket.id === socket.id) {
+            return monitor;
+        }
+    }
+    for (const member of session.conference?.members.values() || []) {
+        if (member.socket?.id === socket.id) {
+            return member;
+        }
+    }
+    return session.browserSocket?.id === socket.id ? session : null;
+}
+
+/**
+ * Follow the connection state of one of the call's own legs ("browser" or
+ * "whatsapp"), so a dropped leg gets a chance to reconnect
+ */
+function watchLegConnection(session, leg) {
+    const pc = session[`${leg}Pc`];
+    if (!pc) {
+        return;
+    }
+    pc.onconnectionstatechange = () => {
+        // A leg replaced by a transfer or take-over no longer matters
+        if (session[`${leg}Pc`] !== pc) {
+            return;
+        }
+        console.log(`Call ${session.callId}: ${leg} connection ${pc.connectionState}`);
+        if (pc.connectionState === "disconnected" || pc.connectionState === "failed") {
+            iceFailuresMetric.inc({ leg });
+            startLegRecovery(session, leg);
+        } else if (pc.connectionState === "connected") {
+            finishLegRecovery(session, leg);
+        }
+    };
+    // Recovery of the previous connection is moot
+    finishLegRecovery(session, leg);
+
+    // A new agent leg (transfer, take-over) is transcribed from its own audio
+    if (leg === "browser" && session.transcription) {
+        tapTranscriptionLeg(session, "agent");
+    }
+}
+
+/**
+ * Tell the agent a leg dropped and end the call if it is not back within
+ * ICE_RECOVERY_SECONDS. The browser restarts ICE itself (see browser-ice-restart);
+ * the WhatsApp leg can only recover on its own.
+ */
+function startLegRecovery(session, leg) {
+    if (session.outcome || session.reconnecting[leg]) {
+        return;
+    }
+    console.warn(`⚠️ Call ${session.callId}: ${leg} connection lost, waiting ${ICE_RECOVERY_SECONDS}s for it to recover`);
+    callRecords.addEvent(session.callId, "reconnecting", { leg });
+    emitToCall(session, "call-reconnecting", { callId: session.callId, leg, recoverySeconds: ICE_RECOVERY_SECONDS });
+
+    const timer = setTimeout(() => {
+        const reason = leg === "browser" ? "Agent connection lost" : "Caller connection lost";
+        console.error(`❌ Call ${session.callId}: ${leg} connection did not recover, ending the call`);
+        emitToCall(session, "call-reconnect-failed", { callId: session.callId, leg, reason });
+        terminateCall(session.callId);
+        endCall(session.callId, { status: "failed", reason });
+    }, ICE_RECOVERY_SECONDS * 1000);
+    session.reconnecting[leg] = timer;
+    if (!session.cleanups.includes(stopLegRecovery)) {
+        onCallSessionClose(session, stopLegRecovery);
+    }
+}
+
+function stopLegRecovery(session) {
+    Object.values(session.reconnecting).forEach(clearTimeout);
+    session.reconnecting = {};
+}
+
+function finishLegRecovery(session, leg) {
+    const timer = session.reconnecting[leg];
+    if (!timer) {
+        return;
+    }
+    clearTimeout(timer);
+    delete session.reconnecting[leg];
+    console.log(`✅ Call ${session.callId}: ${leg} connection recovered`);
+    callRecords.addEvent(session.callId, "reconnected", { leg });
+    emitToCall(session, "call-reconnected", { callId: session.callId, leg });
+}
+
+/**
+ * After a network change the console comes back on a new Socket.IO connection:
+ * move the call's browser leg over to it
+ */
+function rebindBrowserSocket(session, socket) {
+    console.log(`Call ${session.callId}: browser reconnected on socket ${socket.id}`);
+    session.browserSocket = socket;
+    joinCallRoom(socket, session);
+    session.browserPc.onicecandidate = (event) => {
+        if (event.candidate) {
+            socket.emit("browser-candidate", event.candidate);
+        }
+    };
+    callRecords.update(session.callId, { agentSocketId: socket.id });
+}
+
+/**
+ * Answer a browser's ICE restart offer on one of its legs
+ */
+async function restartBrowserIce(leg, socket, sdp) {
+    await leg.browserPc.setRemoteDescription(new RTCSessionDescription({ type: "offer", sdp }));
+    const answer = await leg.browserPc.createAnswer();
+    const answerSdp = browserAnswerSdp(answer.sdp, sdp);
+    await leg.browserPc.setLocalDescription(new RTCSessionDescription({ type: "answer", sdp: answerSdp }));
+    socket.emit("browser-answer", answerSdp);
+}
+
+/**
+ * Conference members as sent to the browsers
+ */
+function emitConferenceUpdate(session) {
+    const members = Array.from(session.conference?.members.values() || [])
+        .map(({ id, kind, name, status, host }) => ({ id, kind, name, status, host: Boolean(host) }));
+    emitToCall(session, "conference-updated", { callId: session.callId, members });
+}
+
+/**
+ * Turn a call into a conference. The caller and the agent are its first members;
+ * audio is still bridged directly until another member connects media.
+ */
+function startConference(session) {
+    endMonitoring(session, "conference");
+    const host = session.browserSocket.data.agent;
+    const conference = {
+        mixer: null,
+        hostId: `agent:${host.sub}`,
+        callerId: `whatsapp:${session.phoneNumber}`,
+        members: new Map()
+    };
+    conference.members.set(conference.callerId, {
+        id: conference.callerId, kind: "whatsapp", name: session.callerName, status: "joined", host: true
+    });
+    conference.members.set(conference.hostId, {
+        id: conference.hostId, kind: "agent", name: host.name, status: "joined", host: true
+    });
+
+    session.conference = conference;
+    onCallSessionClose(session, () => endConference(session, { closing: true }));
+    return conference;
+}
+
+/**
+ * Start the mixer and switch the call's own legs over to their N-1 mix
+ */
+async function ensureMixer(session) {
+    const { conference } = session;
+    if (conference.mixer) {
+        return conference.mixer;
+    }
+
+    const mixer = createAudioMixer({ RTCAudioSink, RTCAudioSource });
+    conference.mixer = mixer;
+
+    await session.whatsappSender?.replaceTrack(mixer.addParticipant(conference.callerId));
+    mixer.setInput(conference.callerId, session.whatsappStream.getAudioTracks()[0]);
+    await session.browserSender?.replaceTrack(mixer.addParticipant(conference.hostId));
+    mixer.setInput(conference.hostId, session.browserStream.getAudioTracks()[0]);
+    mixer.setMuted(conference.hostId, session.muted);
+
+    console.log(`🎛️ Mixing call ${session.callId} as a conference`);
+    return mixer;
+}
+
+/**
+ * Ring another agent to join the call
+ */
+function inviteConferenceAgent(session, username, invitedBy) {
+    const conference = session.conference || startConference(session);
+    const id = `agent:${username}`;
+    conference.members.set(id, {
+        id,
+        kind: "agent",
+        username,
+        name: username,
+        status: "invited",
+        callId: session.callId,
+        socket: null,
+        browserPc: null,
+        pendingIceCandidates: [],
+        timer: setTimeout(() => removeConferenceMember(session, id, "timeout"), TRANSFER_RING_SECONDS * 1000)
+    });
+
+    io.to(agentRoom(username)).emit("call-is-coming", {
+        callId: session.callId,
+        callerName: session.callerName,
+        callerNumber: session.phoneNumber,
+        line: describeLine(findLine(session.lineId)),
+        conferenceFrom: invitedBy.name
+    });
+    callRecords.addEvent(session.callId, "conference-invite", { agent: invitedBy.sub, member: id });
+    emitConferenceUpdate(session);
+}
+
+/**
+ * An invited agent answered: give it a browser leg fed by the mixer
+ */
+async function joinConferenceAsAgent(session, member, socket, sdp) {
+    clearTimeout(member.timer);
+    Object.assign(member, { status: "connecting", socket, name: socket.data.agent.name });
+    socket.to(agentRoom(member.username)).emit("call-claimed", { callId: session.callId, agent: member.name });
+
+    const mixer = await ensureMixer(session);
+    const leg = await attachBrowserLeg(socket, sdp, mixer.addParticipant(member.id));
+    if (session.conference?.members.get(member.id) !== member) {
+        // Removed while negotiating
+        leg.browserPc.close();
+        return;
+    }
+
+    Object.assign(member, { browserPc: leg.browserPc, status: "joined" });
+    mixer.setInput(member.id, leg.browserStream.getAudioTracks()[0]);
+    await processPendingIceCandidates(member);
+
+    joinCallRoom(socket, session);
+    socket.emit("start-browser-timer");
+    callRecords.addEvent(session.callId, "conference-join", { member: member.id });
+    emitConferenceUpdate(session);
+}
+
+/**
+ * Resolve once ICE gathering completes (or after a timeout); offers sent to
+ * WhatsApp must carry their candidates since there is no trickle
+ */
+function waitForIceGathering(pc, timeoutMs = 3000) {
+    if (pc.iceGatheringState === "complete") {
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, timeoutMs);
+        pc.onicegatheringstatechange = () => {
+            if (pc.iceGatheringState === "complete") {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+    });
+}
+
+/**
+ * Call another WhatsApp number from the server and add it to the conference.
+ * The new call gets its own session, linked to the conference call.
+ */
+async function dialConferenceParticipant(session, phoneNumber, invitedBy) {
+    const conference = session.conference || startConference(session);
+    const id = `whatsapp:${phoneNumber}`;
+    conference.members.set(id, { id, kind: "whatsapp", name: phoneNumber, status: "dialing", callId: null });
+    emitConferenceUpdate(session);
+
+    let whatsappPc = null;
+    try {
+        const mixer = await ensureMixer(session);
+        whatsappPc = new RTCPeerConnection({ iceServers: serverIceServers() });
+        const track = mixer.addParticipant(id);
+        whatsappPc.addTrack(track, new MediaStream([track]));
+        whatsappPc.ontrack = (event) => mixer.setInput(id, event.track);
+
+        await whatsappPc.setLocalDescription(await whatsappPc.createOffer());
+        await waitForIceGathering(whatsappPc);
+
+        const line = findLine(session.lineId);
+        const result = await initiateWhatsAppCall(line, phoneNumber, whatsappPc.localDescription.sdp);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const member = conference.members.get(id);
+        if (!member || session.conference !== conference) {
+            // Removed (or the call ended) while dialing
+            await terminateCall(result.callId, line);
+            whatsappPc.close();
+            return;
+        }
+
+        const leg = createCallSession(result.callId, {
+            direction: "outbound",
+            phoneNumber,
+            callerName: phoneNumber,
+            status: "initiated",
+            lineId: line.id,
+            whatsappPc,
+            conferenceParent: session
+        });
+        trackCallRecord(leg);
+        onCallSessionClose(leg, () => removeConferenceMember(session, id, "left"));
+        Object.assign(member, { status: "ringing", callId: result.callId });
+
+        callRecords.addEvent(session.callId, "conference-invite", { agent: invitedBy.sub, member: id });
+        emitConferenceUpdate(session);
+    } catch (error) {
+        console.error(`❌ Failed to add ${phoneNumber} to call ${session.callId}:`, error.message);
+        whatsappPc?.close?.();
+        removeConferenceMember(session, id, "failed");
+        throw error;
+    }
+}
+
+/**
+ * WhatsApp answered a call dialed into a conference
+ */
+async function connectConferenceParticipant(leg, answerSdp) {
+    await leg.whatsappPc.setRemoteDescription(new RTCSessionDescription({ type: "answer", sdp: answerSdp }));
+    leg.status = "connected";
+    markCallAnswered(leg);
+
+    const parent = leg.conferenceParent;
+    const member = parent.conference?.members.get(`whatsapp:${leg.phoneNumber}`);
+    if (member) {
+        member.status = "joined";
+        callRecords.addEvent(parent.callId, "conference-join", { member: member.id });
+        emitConferenceUpdate(parent);
+    }
+}
+
+/**
+ * Drop a member from the conference. With only the caller and the agent left,
+ * the mixer is stopped and the call goes back to a direct bridge.
+ */
+function removeConferenceMember(session, id, reason = "removed") {
+    const { conference } = session;
+    const member = conference?.members.get(id);
+    if (!member || member.host) {
+        return;
+    }
+
+    dropConferenceMember(session, conference, member, reason);
+    if (conference.members.size <= 2) {
+        endConference(session);
+    } else {
+        emitConferenceUpdate(session);
+    }
+}
+
+/**
+ * Disconnect one member's leg and take it out of the mix
+ */
+function dropConferenceMember(session, conference, member, reason) {
+    const { id } = member;
+    conference.members.delete(id);
+    clearTimeout(member.timer);
+    conference.mixer?.removeParticipant(id);
+
+    if (member.kind === "agent") {
+        member.browserPc?.close?.();
+        member.socket?.leave(callRoom(session.callId));
+        // Stops the invite ringing, or ends the call in the member's browser
+        io.to(agentRoom(member.username)).emit("call-ended", { callId: session.callId });
+    } else {
+        // Hang up a WhatsApp leg that is not already closing
+        const leg = getCallSession(member.callId);
+        if (leg && !leg.outcome) {
+            terminateCall(leg.callId);
+            closeCallSession(leg.callId, { status: "completed" });
+        }
+    }
+
+    console.log(`Conference member ${id} left call ${session.callId} (${reason})`);
+    callRecords.addEvent(session.callId, "conference-leave", { member: id, reason });
+}
+
+/**
+ * Stop mixing. Unless the call itself is closing, its legs are bridged
+ * directly again.
+ */
+function endConference(session, { closing = false } = {}) {
+    const { conference } = session;
+    if (!conference) {
+        return;
+    }
+    session.conference = null;
+
+    Array.from(conference.members.values())
+        .filter((member) => !member.host)
+        .forEach((member) => dropConferenceMember(session, conference, member, closing ? "call ended" : "conference ended"));
+    conference.mixer?.stop();
+
+    if (!closing) {
+        emitToCall(session, "conference-updated", { callId: session.callId, members: [] });
+        applyAudioRouting(session).catch((error) => {
+            console.error(`Failed to restore the bridge of call ${session.callId}:`, error.message);
+        });
+    }
+}
+
+/**
+ * Answer the WhatsApp leg on the server, without a browser, so the server can
+ * play audio to the caller and listen to them (IVR, voicemail)
+ */
+async function answerOnServer(session) {
+    session.bridgeStartedAt = Date.now();
+    const whatsappPc = new RTCPeerConnection({ iceServers: serverIceServers() });
+    session.whatsappPc = whatsappPc;
+    watchLegConnection(session, "whatsapp");
+
+    const waTrackPromise = new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error("Timed out waiting for WhatsApp track")), 10000);
+        whatsappPc.ontrack = (event) => {
+            clearTimeout(timeout);
+            session.whatsappStream = event.streams[0];
+            resolve();
+        };
+    });
+
+    await whatsappPc.setRemoteDescription(new RTCSessionDescription({ type: "offer", sdp: session.whatsappOfferSdp }));
+    // Silent until something is played; prompts are switched in with replaceTrack
+    const track = new RTCAudioSource().createTrack();
+    session.whatsappSender = whatsappPc.addTrack(track, new MediaStream([track]));
+    await waTrackPromise;
+
+    const answer = await whatsappPc.createAnswer();
+    await whatsappPc.setLocalDescription(new RTCSessionDescription({
+        type: "answer",
+        sdp: whatsappSdp(answer.sdp, { type: "answer", offerSdp: session.whatsappOfferSdp })
+    }));
+    await waitForIceGathering(whatsappPc);
+
+    const sdp = whatsappPc.localDescription.sdp;
+    for (const action of ["pre_accept", "accept"]) {
+        const result = await answerCallToWhatsApp(session.callId, sdp, action);
+        if (!result.success) {
+            throw new Error(`WhatsApp did not accept the answer: ${result.error}`);
+        }
+    }
+    session.whatsappOfferSdp = null;
+    console.log(`Call ${session.callId} answered by the server`);
+}
+
+/**
+ * Play a clip to the caller. Returns a function that stops it.
+ */
+function playToCaller(session, audio, onEnded) {
+    const player = createAudioPlayer({ RTCAudioSource, audio, onEnded });
+    session.whatsappSender.replaceTrack(player.track).catch((error) => {
+        console.error(`Failed to play audio to call ${session.callId}:`, error.message);
+    });
+    return () => player.stop();
+}
+
+/**
+ * Run in-band DTMF detection on the caller's audio. Returns a function that stops it.
+ */
+function listenForDigits(session, onDigit) {
+    const detector = createDtmfDetector({ onDigit });
+    const sink = new RTCAudioSink(session.whatsappStream.getAudioTracks()[0]);
+    sink.ondata = ({ samples, sampleRate, channelCount }) => {
+        detector.push(toMono(samples, channelCount || 1), sampleRate);
+    };
+    return () => sink.stop();
+}
+
+/**
+ * Tell the agents on a call about keypad digits the caller presses
+ */
+function startDtmfDetection(session) {
+    if (!RTCAudioSink || !session.whatsappStream) {
+        return;
+    }
+    const stop = listenForDigits(session, (digit) => {
+        console.log(`Call ${session.callId}: caller pressed ${digit}`);
+        emitToCall(session, "dtmf-received", { callId: session.callId, digit });
+    });
+    onCallSessionClose(session, stop);
+}
+
+// Stream each speaker of a transcribed call is heard on
+const TRANSCRIPT_STREAMS = { caller: "whatsappStream", agent: "browserStream" };
+
+/**
+ * Transcribe both sides of an answered call with TRANSCRIPTION_ENGINE. Captions
+ * go to the agent's socket as they are recognized; final segments are saved
+ * as the call's transcript when it ends.
+ */
+function startTranscription(session) {
+    if (!TRANSCRIPTION_ENGINE || !RTCAudioSink || session.transcription) {
+        return;
+    }
+    session.transcription = { startedAt: new Date().toISOString(), segments: [], legs: {} };
+    try {
+        for (const speaker of Object.keys(TRANSCRIPT_STREAMS)) {
+            tapTranscriptionLeg(session, speaker);
+        }
+    } catch (error) {
+        console.error(`❌ Transcription of call ${session.callId} failed to start:`, error.message);
+    }
+    onCallSessionClose(session, () => finishTranscription(session));
+}
+
+/**
+ * Feed a speaker's current audio track to their recognizer. Run again when
+ * the agent leg is replaced, so the new agent is transcribed too.
+ */
+function tapTranscriptionLeg(session, speaker) {
+    const { transcription } = session;
+    const track = session[TRANSCRIPT_STREAMS[speaker]]?.getAudioTracks()[0];
+    if (!track) {
+        return;
+    }
+    if (!transcription.legs[speaker]) {
+        transcription.legs[speaker] = { recognizer: createSpeakerRecognizer(session, speaker), sink: null };
+    }
+    const leg = transcription.legs[speaker];
+    leg.sink?.stop();
+    leg.sink = new RTCAudioSink(track);
+    leg.sink.ondata = ({ samples, sampleRate, channelCount }) => {
+        leg.recognizer.push(toMono(samples, channelCount || 1), sampleRate);
+    };
+}
+
+function createSpeakerRecognizer(session, speaker) {
+    return createRecognizer(TRANSCRIPTION_ENGINE, {
+        command: TRANSCRIPTION_COMMAND,
+        args: TRANSCRIPTION_ARGS,
+        onSegment: ({ text, final }) => {
+            if (final) {
+                session.transcription.segments.push({ speaker, text, at: new Date().toISOString() });
+            }
+            if (!session.outcome) {
+                session.browserSocket?.emit("transcript-segment", { callId: session.callId, speaker, text, final });
+            }
+        },
+        onError: (error) => {
+            console.error(`Transcription of the ${speaker} on call ${session.callId} failed:`, error.message);
+        },
+        onLog: (line) => {
+            console.warn(`Recognizer for the ${speaker} on call ${session.callId}: ${line}`);
+        }
+    });
+}
+
+/**
+ * Let the recognizers report their last phrases, then save the transcript
+ */
+async function finishTranscription(session) {
+    const legs = Object.values(session.transcription.legs);
+    legs.forEach((leg) => leg.sink?.stop());
+    await Promise.all(legs.map((leg) => leg.recognizer.close()));
+
+    const { startedAt, segments } = session.transcription;
+    if (!segments.length) {
+        return;
+    }
+    saveTranscript(TRANSCRIPTS_DIR, {
+        callId: session.callId,
+        callerName: session.callerName,
+        callerNumber: session.phoneNumber,
+        startedAt,
+        endedAt: new Date().toISOString(),
+        segments
+    });
+    console.log(`📝 Saved transcript of call ${session.callId} (${segments.length} segments)`);
+}
+
+/**
+ * Send keypad digits to the caller: as RFC 4733 events when the WhatsApp
+ * sender supports them, otherwise as in-band tones played on the leg
+ */
+function sendDtmf(session, digits) {
+    const dtmf = session.whatsappSender?.dtmf;
+    if (dtmf?.canInsertDTMF) {
+        dtmf.insertDTMF(dtmf.toneBuffer + digits);
+        return;
+    }
+    if (!RTCAudioSource) {
+        throw new Error("Sending tones requires wrtc");
+    }
+
+    if (session.dtmfQueue === null) {
+        session.dtmfQueue = "";
+        onCallSessionClose(session, () => session.dtmfPlayer?.stop());
+    }
+    session.dtmfQueue += digits;
+    if (!session.dtmfPlayer) {
+        playQueuedDtmf(session);
+    }
+}
+
+function playQueuedDtmf(session) {
+    const digits = session.dtmfQueue;
+    session.dtmfQueue = "";
+    if (!digits || session.outcome) {
+        session.dtmfPlayer = null;
+        applyAudioRouting(session).catch((error) => {
+            console.error(`Failed to restore the bridge of call ${session.callId}:`, error.message);
+        });
+        return;
+    }
+
+    const player = createAudioPlayer({
+        RTCAudioSource,
+        audio: generateDtmfTones(digits),
+        onEnded: () => playQueuedDtmf(session)
+    });
+    session.dtmfPlayer = player;
+    applyAudioRouting(session).catch((error) => {
+        console.error(`Failed to send tones on call ${session.callId}:`, error.message);
+    });
+}
+
+/**
+ * Answer an inbound call on the server and walk the caller through the IVR
+ * menu before it is queued for agents
+ */
+async function startIvr(session) {
+    // Set before anything is awaited, so a repeated connect finds the call taken
+    session.status = "ivr";
+    callRecords.update(session.callId, { status: "ivr" });
+    await answerOnServer(session);
+
+    const stopListening = listenForDigits(session, (digit) => {
+        console.log(`Call ${session.callId}: caller pressed ${digit}`);
+        session.ivr?.handleDigit(digit);
+    });
+    const run = createIvrRun({
+        menu: ivrMenu,
+        play: (audio, onEnded) => playToCaller(session, audio, onEnded),
+        onRoute: (route) => {
+            stopListening();
+            session.ivr = null;
+            callRecords.addEvent(session.callId, "ivr", { digits: run.digits.join(""), ...route });
+            routeIvrCall(session, route);
+        }
+    });
+    session.ivr = run;
+    onCallSessionClose(session, () => {
+        run.stop();
+        stopListening();
+    });
+}
+
+/**
+ * Send a caller where the IVR menu led them
+ */
+function routeIvrCall(session, route) {
+    console.log(`Call ${session.callId}: IVR routed the caller to ${route.action}${route.group ? ` (${route.group})` : ""}`);
+
+    if (route.action === "voicemail") {
+        startVoicemail(session);
+    } else if (route.action === "hangup") {
+        terminateCall(session.callId);
+        endCall(session.callId, { status: "completed" });
+    } else {
+        queueCall(session, route.group);
+    }
+}
+
+/**
+ * Ring the agents of `group` (or of the call's line) for a call the server
+ * has answered. The caller hears hold music while they wait.
+ */
+function queueCall(session, group = null) {
+    session.status = "queued";
+    session.offerRoom = group ? groupRoom(group) : lineRoom(findLine(session.lineId));
+    callRecords.update(session.callId, { status: "queued" });
+
+    if (holdMusic) {
+        playHoldMusic(session);
+        session.whatsappSender.replaceTrack(session.holdPlayer.track).catch((error) => {
+            console.error(`Failed to play hold music to call ${session.callId}:`, error.message);
+        });
+    }
+
+    emitToCall(session, "call-is-coming", {
+        callId: session.callId,
+        callerName: session.callerName,
+        callerNumber: session.phoneNumber,
+        line: describeLine(findLine(session.lineId))
+    });
+    startRingTimer(session);
+}
 
-const app = express();
-const server = http.createServer(app);
-const io = socketIO(server);
+/**
+ * Send the call to voicemail if no agent takes it within RING_TIMEOUT_SECONDS
+ */
+function startRingTimer(session) {
+    if (!RING_TIMEOUT_SECONDS || !RTCAudioSource || !RTCAudioSink) {
+        return;
+    }
+    const timer = setTimeout(() => {
+        sendUnansweredCallToVoicemail(session).catch((error) => {
+            console.error(`❌ Voicemail failed for call ${session.callId}:`, error.message);
+            terminateCall(session.callId);
+            endCall(session.callId, { status: "failed", reason: `Voicemail Error: ${error.message}` });
+        });
+    }, RING_TIMEOUT_SECONDS * 1000);
+    onCallSessionClose(session, () => clearTimeout(timer));
+}
 
-app.use(express.json());
-app.use(express.static(path.join(__dirname, "public")));
+async function sendUnansweredCallToVoicemail(session) {
+    if (session.browserSocket || session.outcome) {
+        return;
+    }
+    console.log(`⏰ Nobody answered call ${session.callId} within ${RING_TIMEOUT_SECONDS}s, sending it to voicemail`);
+    callRecords.addEvent(session.callId, "ring-timeout", { seconds: RING_TIMEOUT_SECONDS });
+    // Stop offering the call first so no agent takes it while it is being answered
+    withdrawCallOffer(session);
+
+    if (session.status === "queued") {
+        stopHoldMusic(session);
+    } else {
+        await answerOnServer(session);
+    }
+    startVoicemail(session);
+}
+
+/**
+ * Stop ringing the agents a call was offered to
+ */
+function withdrawCallOffer(session) {
+    if (session.offerRoom && !session.browserSocket) {
+        io.to(session.offerRoom).emit("call-ended", { callId: session.callId });
+        session.offerRoom = null;
+    }
+}
+
+/**
+ * An agent answered a queued call: bridge their browser to the WhatsApp leg
+ */
+async function answerQueuedCall(session, socket, sdp) {
+    stopHoldMusic(session);
+
+    const leg = await attachBrowserLeg(socket, sdp, session.whatsappStream.getAudioTracks()[0]);
+    Object.assign(session, {
+        browserPc: leg.browserPc,
+        browserStream: leg.browserStream,
+        browserSender: leg.sender,
+        status: "connected"
+    });
+    watchLegConnection(session, "browser");
+    await processPendingIceCandidates(session);
+    await applyAudioRouting(session);
+
+    markCallAnswered(session);
+    socket.emit("start-browser-timer");
+    startSessionRecording(session);
+    startDtmfDetection(session);
+    startTranscription(session);
+}
+
+/**
+ * Play the voicemail greeting, then record the caller until they hang up or
+ * the maximum message length is reached
+ */
+function startVoicemail(session) {
+    session.status = "voicemail";
+    callRecords.update(session.callId, { status: "voicemail" });
+    withdrawCallOffer(session);
+
+    const record = () => {
+        if (session.outcome) {
+            // Hung up during the greeting
+            return;
+        }
+        const recording = startCallRecording({
+            callId: session.callId,
+            whatsappTrack: session.whatsappStream.getAudioTracks()[0],
+            browserTrack: null,
+            RTCAudioSink,
+            directory: VOICEMAIL_DIR,
+            mode: "mixed",
+            metadata: { callerName: session.callerName, callerNumber: session.phoneNumber }
+        });
+        const timer = setTimeout(() => {
+            terminateCall(session.callId);
+            endCall(session.callId, { status: "voicemail" });
+        }, VOICEMAIL_MAX_SECONDS * 1000);
+
+        onCallSessionClose(session, async () => {
+            clearTimeout(timer);
+            const info = await recording.stop();
+            if (info) {
+                callRecords.update(session.callId, { voicemailFile: info.fileName });
+                io.to(AGENTS_ROOM).emit("voicemails-updated");
+            }
+        });
+    };
+
+    if (voicemailGreeting) {
+        const stop = playToCaller(session, voicemailGreeting, record);
+        onCallSessionClose(session, stop);
+    } else {
+        record();
+    }
+}
 
-// State variables per call session
-let browserPc = null;
-let browserStream = null;
-let whatsappPc = null;
-let whatsappStream = null;
-let browserOfferSdp = null;
-let whatsappOfferSdp = null;
-let browserSocket = null;
-let currentCallId = null;
-
-// Queue for ICE candidates received before peer connection is ready
-let pendingIceCandidates = [];
-
-// Outgoing call state management
-let isOutgoingCall = false;
-let outgoingCallState = {
-    phoneNumber: null,
-    callerName: null,
-    callId: null,
-    status: 'idle' // idle, initiating, ringing, connected, ended
+// How a supervisor joins a live call: hear both sides, talk to the agent only, or to both
+const MONITOR_MODES = ["listen", "whisper", "barge"];
+
+// Ids of the call's own legs in its monitoring mixer
+const MONITOR_CALLER = "caller";
+const MONITOR_AGENT = "agent";
+
+// Who hears a supervisor in each mode (null: everybody)
+const MONITOR_AUDIENCES = {
+    listen: [],
+    whisper: [MONITOR_AGENT],
+    barge: null
 };
 
 /**
- * Reset outgoing call state to initial values
+ * Why `supervisor` may not monitor a call, or null if they may.
+ * Supervisors monitor agents who share one of their groups; admins anyone.
+ */
+function monitorError(supervisor, session) {
+    const agent = session?.browserSocket?.data.agent;
+    if (!["supervisor", "admin"].includes(supervisor.role)) {
+        return "Only supervisors can monitor calls";
+    }
+    if (!agent || session.conferenceParent) {
+        return "Call is not live";
+    }
+    if (agent.sub === supervisor.sub) {
+        return "You cannot monitor your own call";
+    }
+    if (session.conference) {
+        return "Monitoring is not available during a conference";
+    }
+    if (supervisor.role === "supervisor" && !(agent.groups || []).some((group) => supervisor.groups?.includes(group))) {
+        return `Agent '${agent.sub}' is not in your groups`;
+    }
+    return null;
+}
+
+/**
+ * A live call as listed to supervisors
  */
-function resetOutgoingCallState() {
-    isOutgoingCall = false;
-    outgoingCallState = {
-        phoneNumber: null,
-        callerName: null,
-        callId: null,
-        status: 'idle'
+function describeLiveCall(session) {
+    const agent = session.browserSocket.data.agent;
+    return {
+        callId: session.callId,
+        direction: session.direction,
+        phoneNumber: session.phoneNumber,
+        callerName: session.callerName,
+        line: describeLine(findLine(session.lineId)),
+        status: session.status,
+        agent: agent.sub,
+        agentName: agent.name,
+        held: session.held,
+        muted: session.muted,
+        startedAt: new Date(session.createdAt).toISOString(),
+        monitors: Array.from(session.monitoring?.monitors.values() || [], ({ username, mode }) => ({ username, mode }))
     };
-    console.log("Outgoing call state reset");
 }
 
 /**
- * Fix SDP setup attributes to prevent DTLS negotiation errors
+ * Start mixing a call for supervisors. The call's legs keep their direct
+ * bridge; they only hear the mix while a supervisor whispers or barges in.
  */
-function fixSdpSetupAttributes(sdp, isOffer = false) {
-    if (!sdp || typeof sdp !== 'string') {
-        return sdp;
+function startMonitoring(session) {
+    const callerTrack = session.whatsappStream?.getAudioTracks()[0];
+    const agentTrack = session.browserStream?.getAudioTracks()[0];
+    const mixer = createAudioMixer({ RTCAudioSink, RTCAudioSource });
+    if (!callerTrack || !agentTrack) {
+        mixer.stop();
+        throw new Error("the call has no audio yet");
     }
 
-    // For offers, use "actpass" (active or passive)
-    // For answers, use "active" 
-    const setupValue = isOffer ? "actpass" : "active";
-    
-    // Replace any existing setup attribute
-    let fixedSdp = sdp.replace(/a=setup:(active|passive|actpass|holdconn)/g, `a=setup:${setupValue}`);
-    
-    // If no setup attribute exists, add one after the connection line
-    if (!fixedSdp.includes('a=setup:')) {
-        fixedSdp = fixedSdp.replace(/(a=mid:\d+)/g, `$1\r\na=setup:${setupValue}`);
+    const monitoring = {
+        mixer,
+        callerTrack: mixer.addParticipant(MONITOR_CALLER),
+        agentTrack: mixer.addParticipant(MONITOR_AGENT),
+        monitors: new Map(),
+        // Supervisors the agent was last told can be heard (JSON)
+        announced: "[]"
+    };
+    mixer.setInput(MONITOR_CALLER, callerTrack);
+    mixer.setInput(MONITOR_AGENT, agentTrack);
+
+    session.monitoring = monitoring;
+    onCallSessionClose(session, () => endMonitoring(session, "call ended", { closing: true }));
+    console.log(`🎧 Monitoring call ${session.callId}`);
+    return monitoring;
+}
+
+/**
+ * Connect a supervisor's browser to the call's monitoring mix
+ */
+async function joinMonitor(session, socket, { mode, sdp }) {
+    const supervisor = socket.data.agent;
+    const monitoring = session.monitoring || startMonitoring(session);
+    const monitor = {
+        id: `supervisor:${supervisor.sub}`,
+        username: supervisor.sub,
+        name: supervisor.name,
+        mode,
+        socket,
+        browserPc: null,
+        pendingIceCandidates: []
+    };
+    monitoring.monitors.set(monitor.username, monitor);
+    const track = monitoring.mixer.addParticipant(monitor.id);
+    monitoring.mixer.setAudience(monitor.id, MONITOR_AUDIENCES[mode]);
+
+    const leg = await attachBrowserLeg(socket, sdp, track);
+    if (session.monitoring?.monitors.get(monitor.username) !== monitor) {
+        // Stopped while negotiating
+        leg.browserPc.close();
+        return;
     }
-    
-    return fixedSdp;
+
+    monitor.browserPc = leg.browserPc;
+    monitoring.mixer.setInput(monitor.id, leg.browserStream.getAudioTracks()[0]);
+    await processPendingIceCandidates(monitor);
+    await applyAudioRouting(session);
+
+    joinCallRoom(socket, session);
+    socket.emit("start-browser-timer");
+    socket.emit("monitor-state", { callId: session.callId, mode });
+    callRecords.addEvent(session.callId, "monitor", { agent: supervisor.sub, mode });
+    announceCoaches(session);
 }
 
 /**
- * Process any queued ICE candidates once the browser peer connection is ready
+ * Switch a supervisor between listening, whispering and barging in
  */
-async function processPendingIceCandidates() {
-    if (!browserPc || pendingIceCandidates.length === 0) {
+async function setMonitorMode(session, monitor, mode) {
+    monitor.mode = mode;
+    session.monitoring.mixer.setAudience(monitor.id, MONITOR_AUDIENCES[mode]);
+    await applyAudioRouting(session);
+
+    monitor.socket.emit("monitor-state", { callId: session.callId, mode });
+    callRecords.addEvent(session.callId, "monitor", { agent: monitor.username, mode });
+    announceCoaches(session);
+}
+
+/**
+ * Tell the agent which supervisors they can hear. Silent monitoring is not announced.
+ */
+function announceCoaches(session) {
+    const { monitoring } = session;
+    const coaches = Array.from(monitoring?.monitors.values() || [])
+        .filter((monitor) => monitor.browserPc && monitor.mode !== "listen")
+        .map(({ name, mode }) => ({ name, mode }));
+
+    const announced = JSON.stringify(coaches);
+    if (monitoring && announced !== monitoring.announced) {
+        monitoring.announced = announced;
+        session.browserSocket?.emit("coaching-state", { callId: session.callId, coaches });
+    }
+}
+
+/**
+ * Disconnect a supervisor. The mixer stops with the last one, and the call's
+ * legs are bridged directly again unless the call itself is closing.
+ */
+function stopMonitor(session, username, reason, { closing = false } = {}) {
+    const { monitoring } = session;
+    const monitor = monitoring?.monitors.get(username);
+    if (!monitor) {
         return;
     }
 
-    console.log(`Processing ${pendingIceCandidates.length} queued ICE candidates`);
-    
-    for (const candidate of pendingIceCandidates) {
-        try {
-            await browserPc.addIceCandidate(new RTCIceCandidate(candidate));
-            console.log("Successfully added queued ICE candidate");
-        } catch (err) {
-            console.error("Failed to add queued ICE candidate:", err);
+    monitoring.monitors.delete(username);
+    monitoring.mixer.removeParticipant(monitor.id);
+    monitor.browserPc?.close?.();
+    monitor.socket.leave(callRoom(session.callId));
+    if (reason !== "left") {
+        monitor.socket.emit("call-ended", { callId: session.callId });
+    }
+    console.log(`Supervisor ${username} stopped monitoring call ${session.callId} (${reason})`);
+    callRecords.addEvent(session.callId, "monitor-end", { agent: username, reason });
+
+    announceCoaches(session);
+    if (monitoring.monitors.size === 0) {
+        monitoring.mixer.stop();
+        session.monitoring = null;
+    }
+    if (!closing) {
+        applyAudioRouting(session).catch((error) => {
+            console.error(`Failed to restore the bridge of call ${session.callId}:`, error.message);
+        });
+    }
+}
+
+/**
+ * Disconnect every supervisor monitoring a call
+ */
+function endMonitoring(session, reason, options) {
+    Array.from(session.monitoring?.monitors.keys() || [])
+        .forEach((username) => stopMonitor(session, username, reason, options));
+}
+
+/**
+ * Resolve a bearer token to the agent it was issued to.
+ * The API_TOKEN service token resolves to a built-in admin.
+ */
+function authenticateToken(token) {
+    if (!token || typeof token !== "string") {
+        return null;
+    }
+
+    if (API_TOKEN) {
+        // Compare digests so the check takes the same time whatever the input length
+        const digest = (value) => crypto.createHash("sha256").update(value).digest();
+        if (crypto.timingSafeEqual(digest(token), digest(API_TOKEN))) {
+            return { sub: "api", name: "API", role: "admin", groups: [] };
         }
     }
-    
-    // Clear the queue
-    pendingIceCandidates = [];
+
+    return verifyToken(token, AUTH_SECRET);
+}
+
+/**
+ * Requires `Authorization: Bearer <token>` on REST routes, optionally limited to some roles
+ */
+function requireAuth(roles = null) {
+    return (req, res, next) => {
+        const header = req.get("Authorization") || "";
+        const agent = authenticateToken(header.startsWith("Bearer ") ? header.slice(7) : "");
+
+        if (!agent) {
+            return res.status(401).json({ success: false, error: "Unauthorized" });
+        }
+        if (roles && !roles.includes(agent.role)) {
+            return res.status(403).json({ success: false, error: "Forbidden" });
+        }
+
+        req.agent = agent;
+        next();
+    };
+}
+
+/**
+ * Rejects webhook POSTs whose X-Hub-Signature-256 does not match the raw body,
+ * and every webhook POST when no app secret is configured
+ */
+function verifyWebhookSignature(req, res, next) {
+    if (!APP_SECRET) {
+        console.warn("Rejected webhook POST: APP_SECRET is not set");
+        return res.sendStatus(401);
+    }
+
+    const signature = req.get("X-Hub-Signature-256");
+    if (!isValidSignature(req.rawBody, signature, APP_SECRET)) {
+        console.warn(`Rejected webhook POST with ${signature ? "invalid" : "missing"} signature`);
+        return res.sendStatus(401);
+    }
+
+    next();
 }
 
 /**
@@ -193,61 +1959,260 @@ app.get("/webhook", (req, res) => {
     }
 });
 
+/**
+ * Agent login. Returns a signed token for the REST API and Socket.IO.
+ */
+app.post("/login", (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ success: false, error: "Username and password are required" });
+    }
+
+    const agent = agentStore.authenticate(username, password);
+    if (!agent) {
+        console.warn(`Failed login attempt for '${username}'`);
+        return res.status(401).json({ success: false, error: "Invalid username or password" });
+    }
+
+    console.log(`Agent ${agent.username} logged in`);
+    res.json({
+        success: true,
+        token: createToken(agent, AUTH_SECRET, AUTH_TOKEN_TTL),
+        expiresIn: AUTH_TOKEN_TTL,
+        agent: { username: agent.username, name: agent.name, role: agent.role, groups: agent.groups || [] }
+    });
+});
+
+/**
+ * The agent a token belongs to (used by the UI to validate a stored token)
+ */
+app.get("/me", requireAuth(), (req, res) => {
+    const { sub, name, role, groups } = req.agent;
+    res.json({ success: true, agent: { username: sub, name, role, groups } });
+});
+
+/**
+ * Agents and whether they are online, e.g. to pick a transfer target
+ */
+app.get("/agents", requireAuth(), (req, res) => {
+    res.json({
+        success: true,
+        agents: agentStore.list().map(({ username, name, role, groups }) => ({
+            username,
+            name,
+            role,
+            groups: groups || [],
+            online: isAgentOnline(username)
+        }))
+    });
+});
+
+/**
+ * Only authenticated agents may open a Socket.IO connection
+ */
+io.use((socket, next) => {
+    const agent = authenticateToken(socket.handshake.auth?.token);
+    if (!agent) {
+        console.warn(`Rejected unauthenticated Socket.IO connection from ${socket.handshake.address}`);
+        return next(new Error("Unauthorized"));
+    }
+
+    socket.data.agent = agent;
+    next();
+});
+
 /**
  * Socket.IO connection from browser client.
  */
 io.on("connection", (socket) => {
-    console.log(`Socket.IO connection established with browser: ${socket.id}`);
+    const { agent } = socket.data;
+    console.log(`Socket.IO connection established with agent ${agent.sub}: ${socket.id}`);
+
+    socket.join([AGENTS_ROOM, agentRoom(agent.sub), ...(agent.groups || []).map(groupRoom)]);
 
     // SDP offer from browser
-    socket.on("browser-offer", async (sdp) => {
+    socket.on("browser-offer", async ({ callId, sdp } = {}) => {
         console.log("=== RECEIVED SDP OFFER FROM BROWSER ===");
-        console.log("SDP Length:", sdp.length, "characters");
-        console.log("Outgoing call state:", {
-            isOutgoingCall,
-            status: outgoingCallState.status,
-            phoneNumber: outgoingCallState.phoneNumber
+        console.log("Call ID:", callId);
+        console.log("SDP Length:", sdp?.length, "characters");
+
+        const session = getCallSession(callId);
+        if (!session) {
+            console.warn(`Received browser offer for unknown call ${callId}`);
+            socket.emit("webrtc-error", { callId, error: "Call is no longer available" });
+            return;
+        }
+
+        // An agent invited to a conference joins on a leg fed by the mixer
+        const invite = session.conference?.members.get(`agent:${agent.sub}`);
+        if (invite?.status === "invited") {
+            try {
+                await joinConferenceAsAgent(session, invite, socket, sdp);
+            } catch (error) {
+                console.error(`❌ Failed to add ${agent.sub} to conference ${session.callId}:`, error.message);
+                socket.emit("webrtc-error", { callId: session.callId, error: `Conference failed: ${error.message}` });
+                removeConferenceMember(session, invite.id, "failed");
+            }
+            return;
+        }
+
+        // The target of a warm transfer joins on a consult leg of its own
+        const { transfer } = session;
+        if (transfer?.mode === "warm" && transfer.status === "ringing" && transfer.toAgent === agent.sub) {
+            try {
+                await joinTransferConsult(session, socket, sdp);
+            } catch (error) {
+                console.error(`❌ Failed to connect transfer target for call ${session.callId}:`, error.message);
+                socket.emit("webrtc-error", { callId: session.callId, error: `Transfer failed: ${error.message}` });
+                endTransfer(session, "failed");
+            }
+            return;
+        }
+
+        if (session.browserSocket && session.browserSocket.id !== socket.id) {
+            console.warn(`Call ${session.callId} is already bridged to socket ${session.browserSocket.id}`);
+            socket.emit("webrtc-error", { callId, error: "Call was already answered by another agent" });
+            return;
+        }
+        if (!canControlCall(socket, session)) {
+            console.warn(`Socket ${socket.id} tried to take call ${session.callId} that was not offered to it`);
+            socket.emit("webrtc-error", { callId, error: "Call is no longer available" });
+            return;
+        }
+
+        console.log("Call session state:", {
+            direction: session.direction,
+            status: session.status,
+            phoneNumber: session.phoneNumber
         });
         
-        browserOfferSdp = sdp;
-        browserSocket = socket;
+        session.browserOfferSdp = sdp;
+        session.browserSocket = socket;
+        joinCallRoom(socket, session);
+        callRecords.update(session.callId, { agentSocketId: socket.id, agent: agent.sub });
+
+        // Stop the call ringing for the other agents it was offered to
+        if (session.direction === "inbound" && session.offerRoom) {
+            socket.to(session.offerRoom).emit("call-claimed", { callId: session.callId, agent: agent.name });
+        }
         
         // Check if this is for an outgoing call
-        if (isOutgoingCall && outgoingCallState.status === 'waiting-for-sdp') {
-            console.log("Processing SDP offer for outgoing call to:", outgoingCallState.phoneNumber);
+        if (session.direction === "outbound" && session.status === 'waiting-for-sdp') {
+            console.log("Processing SDP offer for outgoing call to:", session.phoneNumber);
+            session.status = 'initiating';
             
             // Now call the WhatsApp API to initiate the call with the SDP offer
-            const callResult = await initiateWhatsAppCall(outgoingCallState.phoneNumber, sdp);
+            const callResult = await initiateWhatsAppCall(findLine(session.lineId), session.phoneNumber, sdp);
             
             if (callResult.success) {
-                // Store the outgoing call info
-                currentCallId = callResult.callId;
-                outgoingCallState.callId = callResult.callId;
-                outgoingCallState.status = 'ringing';
+                // Re-key the session with the call_id assigned by WhatsApp
+                renameCallSession(session.callId, callResult.callId);
+                callRecords.rename(callId, callResult.callId);
+                io.in(callRoom(callId)).socketsJoin(callRoom(callResult.callId));
+                io.in(callRoom(callId)).socketsLeave(callRoom(callId));
+                session.status = 'initiated';
+                callRecords.update(session.callId, { status: session.status });
                 
                 console.log("✅ Outgoing call initiated successfully. Waiting for WhatsApp to answer...");
                 
                 // Notify the browser about the initiated call
-                io.emit("outgoing-call-initiated", { 
+                emitToCall(session, "outgoing-call-initiated", { 
                     callId: callResult.callId, 
-                    phoneNumber: outgoingCallState.phoneNumber, 
-                    callerName: outgoingCallState.callerName 
+                    previousCallId: callId,
+                    phoneNumber: session.phoneNumber, 
+                    callerName: session.callerName 
                 });
+                applyEarlyCallStatuses(callResult.callId);
             } else {
                 console.error("❌ Failed to initiate WhatsApp call:", callResult.error);
-                resetOutgoingCallState();
-                io.emit("webrtc-error", { error: callResult.error });
+                closeCallSession(session.callId, { status: "failed", reason: callResult.error });
+                emitToCall(session, "webrtc-error", { callId, error: callResult.error, errorType: callResult.errorType });
+            }
+        } else if (session.whatsappPc) {
+            // The WhatsApp leg is already up: queued by the IVR, or transferred
+            console.log(`Agent ${agent.sub} is taking over call ${session.callId}`);
+            try {
+                if (session.status === "queued") {
+                    await answerQueuedCall(session, socket, sdp);
+                } else {
+                    await takeOverCall(session, socket, sdp);
+                }
+            } catch (error) {
+                console.error("❌ Error taking over call:", error.message);
+                socket.emit("webrtc-error", {
+                    callId: session.callId,
+                    error: `WebRTC Bridge Error: ${error.message}`
+                });
             }
         } else {
             // This is for an incoming call
             console.log("Processing SDP offer for incoming call");
-            await initiateWebRTCBridge();
+            try {
+                await initiateWebRTCBridge(session);
+            } catch (error) {
+                console.error("❌ Error in incoming call WebRTC bridge:", error.message);
+                callRecords.update(session.callId, { failureReason: `WebRTC Bridge Error: ${error.message}` });
+                socket.emit("webrtc-error", { 
+                    callId: session.callId,
+                    error: `WebRTC Bridge Error: ${error.message}` 
+                });
+            }
+        }
+    });
+
+    // ICE candidate from browser
+    // The browser renegotiates with an ICE restart when its connection drops,
+    // possibly from a new socket after a network change
+    socket.on("browser-ice-restart", async ({ callId, sdp } = {}) => {
+        const session = getCallSession(callId);
+        // A socket on none of the legs may be the agent's browser reconnecting
+        const leg = session && (findBrowserLeg(session, socket) || session);
+        const previousSocket = session?.browserSocket;
+        const rebind = leg === session && previousSocket?.id !== socket.id;
+
+        let error = null;
+        if (!session) {
+            error = "Call is no longer available";
+        } else if (rebind && !(previousSocket?.disconnected && previousSocket.data.agent?.sub === agent.sub)) {
+            error = "Call is not bridged to this browser";
+        } else if (!leg.browserPc) {
+            error = "Call has no browser connection to restart";
+        } else if (typeof sdp !== "string" || !sdp.includes("v=0")) {
+            error = "Invalid SDP offer";
+        }
+        if (error) {
+            socket.emit("webrtc-error", { callId, error });
+            return;
+        }
+
+        try {
+            if (rebind) {
+                rebindBrowserSocket(session, socket);
+            }
+            await restartBrowserIce(leg, socket, sdp);
+            console.log(`Call ${session.callId}: ICE restarted for ${agent.sub}`);
+        } catch (err) {
+            console.error(`❌ ICE restart failed on call ${session.callId}:`, err.message);
+            socket.emit("webrtc-error", { callId, error: `Reconnect failed: ${err.message}` });
         }
-    });    // ICE candidate from browser
-    socket.on("browser-candidate", async (candidate) => {
+    });
+
+    socket.on("browser-candidate", async ({ callId, candidate } = {}) => {
+        const session = getCallSession(callId);
+        if (!session) {
+            console.warn(`Dropping ICE candidate for unknown call ${callId}`);
+            return;
+        }
+
+        const leg = findBrowserLeg(session, socket);
+        if (!leg) {
+            console.warn(`Dropping ICE candidate from socket ${socket.id}, which is not on call ${callId}`);
+            return;
+        }
+        const { browserPc } = leg;
         if (!browserPc) {
             console.log("Queueing ICE candidate - browser peer connection not ready yet");
-            pendingIceCandidates.push(candidate);
+            leg.pendingIceCandidates.push(candidate);
             return;
         }
 
@@ -272,186 +2237,595 @@ io.on("connection", (socket) => {
 
     // Reject call from browser
     socket.on("reject-call", async (callId) => {
-        const result = await rejectCall(callId);
+        if (!canControlCall(socket, getCallSession(callId))) {
+            console.warn(`Socket ${socket.id} may not reject call ${callId}`);
+            return;
+        }
+        // A call queued by the IVR was already answered by the server
+        const result = getCallSession(callId).status === "queued" ? await terminateCall(callId) : await rejectCall(callId);
         console.log("Reject call response:", result);
     });
 
     // Terminate call from browser
     socket.on("terminate-call", async (callId) => {
+        if (!canControlCall(socket, getCallSession(callId))) {
+            console.warn(`Socket ${socket.id} may not terminate call ${callId}`);
+            return;
+        }
         const result = await terminateCall(callId);
         console.log("Terminate call response:", result);
     });
 
-    // Outgoing call management events
-    socket.on("reject-outbound-call", async () => {
-        console.log("Browser rejected outbound call");
-        if (outgoingCallState.callId) {
-            const result = await rejectCall(outgoingCallState.callId);
-            console.log("Reject outbound call response:", result);
+    // Outgoing call management events
+    socket.on("reject-outbound-call", async (callId) => {
+        console.log("Browser rejected outbound call:", callId);
+        const session = getCallSession(callId);
+        if (!canControlCall(socket, session)) {
+            return;
+        }
+
+        // Only calls WhatsApp knows about have a real call_id to reject
+        if (session.status !== 'waiting-for-sdp') {
+            const result = await rejectCall(session.callId);
+            console.log("Reject outbound call response:", result);
+        }
+        closeCallSession(session.callId, { status: "cancelled" });
+        emitToCall(session, "outgoing-call-rejected", { 
+            callId: session.callId, 
+            phoneNumber: session.phoneNumber 
+        });
+    });
+
+    // Hold/resume and mute/unmute, only from the browser bridged to the call
+    Object.entries(AUDIO_CONTROLS).forEach(([eventName, control]) => {
+        socket.on(eventName, async ({ callId } = {}) => {
+            const session = getCallSession(callId);
+            if (!session || session.browserSocket?.id !== socket.id) {
+                socket.emit("webrtc-error", { callId, error: "Call is not bridged to this browser" });
+                return;
+            }
+            if (session.conference && control.field === "held") {
+                socket.emit("webrtc-error", { callId, error: "Hold is not available during a conference" });
+                return;
+            }
+            await updateCallAudio(session, control, agent.sub);
+        });
+    });
+
+    // Keypad digits from the agent, e.g. to navigate an IVR on an outbound call
+    socket.on("send-dtmf", ({ callId, digits } = {}) => {
+        const session = getCallSession(callId);
+        let error = null;
+        if (!session || session.browserSocket?.id !== socket.id) {
+            error = "Call is not bridged to this browser";
+        } else if (typeof digits !== "string" || !DTMF_DIGITS.test(digits) || digits.length > 32) {
+            error = "Invalid DTMF digits";
+        } else if (session.conference) {
+            error = "Keypad tones are not available during a conference";
+        }
+
+        if (!error) {
+            try {
+                sendDtmf(session, digits);
+                return;
+            } catch (err) {
+                error = `Could not send tones: ${err.message}`;
+            }
+        }
+        socket.emit("webrtc-error", { callId, error });
+    });
+
+    // Transfer the call bridged to this browser to another agent
+    socket.on("transfer-call", async ({ callId, toAgent, mode = "blind" } = {}) => {
+        const session = getCallSession(callId);
+        let error = null;
+        if (!session || session.browserSocket?.id !== socket.id) {
+            error = "Call is not bridged to this browser";
+        } else if (!TRANSFER_MODES.includes(mode)) {
+            error = `Unknown transfer mode '${mode}'`;
+        } else if (session.transfer) {
+            error = "A transfer is already in progress";
+        } else if (session.conference) {
+            error = "Transfers are not available during a conference";
+        } else if (!toAgent || toAgent === agent.sub || !isAgentOnline(toAgent)) {
+            error = `Agent '${toAgent}' is not available`;
+        }
+
+        if (error) {
+            socket.emit("webrtc-error", { callId, error });
+            return;
+        }
+        await startTransfer(session, socket, { toAgent, mode });
+    });
+
+    // The transferring agent hands a warm transfer over, or takes the call back
+    socket.on("complete-transfer", async ({ callId } = {}) => {
+        const session = getCallSession(callId);
+        if (session?.browserSocket?.id !== socket.id || session.transfer?.status !== "consulting") {
+            socket.emit("webrtc-error", { callId, error: "No transfer to complete" });
+            return;
+        }
+        await completeTransfer(session);
+    });
+
+    socket.on("cancel-transfer", ({ callId } = {}) => {
+        const session = getCallSession(callId);
+        if (session?.browserSocket?.id === socket.id) {
+            endTransfer(session, "cancelled");
+        }
+    });
+
+    // The target agent turns a transfer down (or leaves the consult leg)
+    socket.on("decline-transfer", ({ callId } = {}) => {
+        const session = getCallSession(callId);
+        const { transfer } = session || {};
+        if (transfer && transfer.toAgent === agent.sub) {
+            endTransfer(session, "declined");
+        }
+    });
+
+    // Add another agent ({ agent }) or WhatsApp number ({ phoneNumber }) to the call
+    socket.on("conference-add", async ({ callId, agent: username, phoneNumber } = {}) => {
+        const session = getCallSession(callId);
+        let error = null;
+        if (!session || session.browserSocket?.id !== socket.id) {
+            error = "Call is not bridged to this browser";
+        } else if (session.transfer) {
+            error = "A transfer is in progress";
+        } else if (username && (username === agent.sub || !isAgentOnline(username))) {
+            error = `Agent '${username}' is not available`;
+        } else if (!username && !phoneNumber) {
+            error = "An agent or a phone number is required";
+        } else if (session.conference?.members.has(username ? `agent:${username}` : `whatsapp:${phoneNumber}`)) {
+            error = "Already in the conference";
+        }
+
+        if (error) {
+            socket.emit("webrtc-error", { callId, error });
+            return;
+        }
+
+        if (username) {
+            inviteConferenceAgent(session, username, agent);
+            return;
+        }
+        try {
+            await dialConferenceParticipant(session, phoneNumber, agent);
+        } catch (err) {
+            socket.emit("webrtc-error", { callId, error: `Could not add ${phoneNumber}: ${err.message}` });
+        }
+    });
+
+    // The agent handling the call removes a member
+    socket.on("conference-remove", ({ callId, memberId } = {}) => {
+        const session = getCallSession(callId);
+        if (session?.browserSocket?.id === socket.id) {
+            removeConferenceMember(session, memberId, "removed");
+        }
+    });
+
+    // An invited or joined agent turns the invite down or leaves
+    socket.on("conference-leave", ({ callId } = {}) => {
+        const session = getCallSession(callId);
+        if (session?.conference) {
+            removeConferenceMember(session, `agent:${agent.sub}`, "left");
+        }
+    });
+
+    // A supervisor joins a live call to listen, whisper to the agent or barge in
+    socket.on("monitor-call", async ({ callId, mode = "listen", sdp } = {}) => {
+        const session = getCallSession(callId);
+        let error = null;
+        if (!MONITOR_MODES.includes(mode)) {
+            error = `Unknown monitor mode '${mode}'`;
+        } else if (session?.monitoring?.monitors.has(agent.sub)) {
+            error = "Already monitoring this call";
+        } else {
+            error = monitorError(agent, session);
+        }
+
+        if (error) {
+            socket.emit("webrtc-error", { callId, error });
+            return;
+        }
+
+        try {
+            await joinMonitor(session, socket, { mode, sdp });
+        } catch (err) {
+            console.error(`❌ Failed to monitor call ${session.callId}:`, err.message);
+            socket.emit("webrtc-error", { callId, error: `Monitoring failed: ${err.message}` });
+            if (session.monitoring?.monitors.has(agent.sub)) {
+                stopMonitor(session, agent.sub, "failed");
+            } else {
+                socket.emit("call-ended", { callId: session.callId });
+            }
+        }
+    });
+
+    socket.on("monitor-mode", async ({ callId, mode } = {}) => {
+        const session = getCallSession(callId);
+        const monitor = session?.monitoring?.monitors.get(agent.sub);
+        if (!monitor?.browserPc || monitor.socket.id !== socket.id) {
+            socket.emit("webrtc-error", { callId, error: "Not monitoring this call" });
+        } else if (!MONITOR_MODES.includes(mode)) {
+            socket.emit("webrtc-error", { callId, error: `Unknown monitor mode '${mode}'` });
+        } else if (monitor.mode !== mode) {
+            await setMonitorMode(session, monitor, mode);
+        }
+    });
+
+    socket.on("monitor-leave", ({ callId } = {}) => {
+        const session = getCallSession(callId);
+        if (session?.monitoring?.monitors.get(agent.sub)?.socket.id === socket.id) {
+            stopMonitor(session, agent.sub, "left");
         }
-        resetOutgoingCallState();
-        io.emit("outgoing-call-rejected", { 
-            callId: outgoingCallState.callId, 
-            phoneNumber: outgoingCallState.phoneNumber 
-        });
     });
 
-    socket.on("terminate-outbound-call", async () => {
-        console.log("Browser terminated outbound call");
-        if (outgoingCallState.callId) {
-            const result = await terminateCall(outgoingCallState.callId);
+    socket.on("terminate-outbound-call", async (callId) => {
+        console.log("Browser terminated outbound call:", callId);
+        const session = getCallSession(callId);
+        if (!canControlCall(socket, session)) {
+            return;
+        }
+
+        if (session.status !== 'waiting-for-sdp') {
+            const result = await terminateCall(session.callId);
             console.log("Terminate outbound call response:", result);
         }
-        resetOutgoingCallState();
-        io.emit("call-ended");
+        endCall(session.callId);
     });
 });
 
 /**
- * Handles incoming WhatsApp webhook call events.
+ * Handles incoming WhatsApp webhook deliveries.
+ * A single delivery can batch several entries, changes and call events;
+ * each call event is dispatched on its own and the batch is acknowledged once.
  */
-app.post("/webhook", async (req, res) => {
+app.post("/webhook", verifyWebhookSignature, async (req, res) => {
     try {
         console.log("Received webhook POST request:", JSON.stringify(req.body, null, 2));
-        
-        const entry = req.body?.entry?.[0];
-        const change = entry?.changes?.[0];
-        const call = change?.value?.calls?.[0];
-        const contact = change?.value?.contacts?.[0];
 
-        if (!call || !call.id || !call.event) {
-            console.warn("Received invalid or incomplete call event.");
-            return res.sendStatus(200);
-        }
+        const entries = Array.isArray(req.body?.entry) ? req.body.entry : [];
 
-        const callId = call.id;
-        currentCallId = callId;
+        for (const entry of entries) {
+            for (const change of entry?.changes || []) {
+                const contacts = change?.value?.contacts || [];
+                const phoneNumberId = change?.value?.metadata?.phone_number_id;
+                const line = lineForWebhook(phoneNumberId);
+                if (!line) {
+                    console.warn(`Ignoring webhook change for unknown phone number ${phoneNumberId}`);
+                    continue;
+                }
 
-        if (call.event === "connect") {
-            const callerName = contact?.profile?.name || "Unknown";
-            const callerNumber = contact?.wa_id || "Unknown";
+                // Progress updates (RINGING, ACCEPTED, ...) for business-initiated calls
+                for (const statusUpdate of change?.value?.statuses || []) {
+                    if (statusUpdate?.type !== "call" || !statusUpdate.id) {
+                        continue;
+                    }
 
-            // Check if this is a response to our outgoing call or an incoming call
-            if (isOutgoingCall && outgoingCallState.callId === callId) {
-                console.log(`Outgoing WhatsApp call answered by ${callerNumber}`);
-                console.log("Processing outgoing call SDP answer from WhatsApp");
-                
-                // For outgoing calls, WhatsApp sends back an SDP answer, not an offer
-                const whatsappAnswerSdp = call?.session?.sdp;
-                if (whatsappAnswerSdp) {
                     try {
-                        await initiateOutgoingCallWebRTCBridge(whatsappAnswerSdp);
-                    } catch (error) {
-                        console.error("❌ Error in outgoing call WebRTC bridge:", error.message);
-                        io.emit("webrtc-error", { 
-                            error: `WebRTC Bridge Error: ${error.message}` 
-                        });
-                        resetOutgoingCallState();
+                        handleCallStatus(statusUpdate);
+                    } catch (err) {
+                        console.error(`Error handling '${statusUpdate.status}' status for call ${statusUpdate.id}:`, err);
                     }
-                } else {
-                    console.error("No SDP answer received from WhatsApp for outgoing call");
-                    io.emit("webrtc-error", { 
-                        error: "No SDP answer received from WhatsApp" 
-                    });
-                    resetOutgoingCallState();
                 }
-                
-                outgoingCallState.status = 'connected';
-                io.emit("outgoing-call-connected", { 
-                    callId, 
-                    phoneNumber: callerNumber,
-                    callerName 
-                });
-            } else {
-                console.log(`Incoming WhatsApp call from ${callerName} (${callerNumber})`);
-                whatsappOfferSdp = call?.session?.sdp;
-                io.emit("call-is-coming", { callId, callerName, callerNumber });
-                
-                try {
-                    await initiateWebRTCBridge();
-                } catch (error) {
-                    console.error("❌ Error in incoming call WebRTC bridge:", error.message);
-                    io.emit("webrtc-error", { 
-                        error: `WebRTC Bridge Error: ${error.message}` 
-                    });
+
+                for (const call of change?.value?.calls || []) {
+                    if (!call || !call.id || !call.event) {
+                        console.warn("Received invalid or incomplete call event.");
+                        continue;
+                    }
+
+                    // One failing event must not stop the rest of the batch
+                    try {
+                        await handleCallEvent(call, findContactForCall(call, contacts), line);
+                    } catch (err) {
+                        console.error(`Error handling '${call.event}' event for call ${call.id}:`, err);
+                    }
                 }
             }
+        }
 
-        } else if (call.event === "terminate") {
-            console.log(`WhatsApp call terminated. Call ID: ${callId}`);
-            
-            // Check if this was an outgoing call
-            if (isOutgoingCall && outgoingCallState.callId === callId) {
-                resetOutgoingCallState();
-            }
-            
-            io.emit("call-ended");
+        res.sendStatus(200);
+    } catch (err) {
+        console.error("Error processing /webhook POST:", err);
+        res.sendStatus(500);
+    }
+});
 
-            if (call.duration && call.status) {
-                console.log(`Call duration: ${call.duration}s | Status: ${call.status}`);
-            }
+/**
+ * Finds the contact a call event belongs to by matching its wa_id
+ */
+function findContactForCall(call, contacts) {
+    const contact = contacts.find((c) => c?.wa_id && (c.wa_id === call.from || c.wa_id === call.to));
+    if (contact) {
+        return contact;
+    }
+
+    // Events without from/to can only be matched when the change has a single contact
+    if (!call.from && !call.to && contacts.length === 1) {
+        return contacts[0];
+    }
+    return null;
+}
+
+/**
+ * Keep a status for a call_id no session has yet
+ */
+function holdEarlyCallStatus(statusUpdate) {
+    const held = earlyCallStatuses.get(statusUpdate.id);
+    if (held) {
+        held.updates.push(statusUpdate);
+        return;
+    }
+    const timer = setTimeout(() => earlyCallStatuses.delete(statusUpdate.id), EARLY_STATUS_TTL_MS);
+    timer.unref();
+    earlyCallStatuses.set(statusUpdate.id, { updates: [statusUpdate], timer });
+}
+
+/**
+ * Apply the statuses held for a call once its session has the call_id
+ */
+function applyEarlyCallStatuses(callId) {
+    const held = earlyCallStatuses.get(callId);
+    if (!held) {
+        return;
+    }
+    earlyCallStatuses.delete(callId);
+    clearTimeout(held.timer);
+    held.updates.forEach(handleCallStatus);
+}
+
+/**
+ * Handles a status update for a business-initiated (outgoing) call
+ */
+function handleCallStatus(statusUpdate) {
+    const callId = statusUpdate.id;
+    const statusName = String(statusUpdate.status || "").toUpperCase();
+    const mapping = OUTGOING_CALL_STATUSES[statusName];
+
+    if (!mapping) {
+        console.log(`Unhandled WhatsApp call status: ${statusUpdate.status}`);
+        return;
+    }
+
+    const session = getCallSession(callId);
+    if (!session && listCallSessions().some((item) => item.direction === "outbound" && item.status === "initiating")) {
+        console.log(`Holding '${statusName}' status for call ${callId} until its connect request returns`);
+        holdEarlyCallStatus(statusUpdate);
+        return;
+    }
+    if (!session || session.direction !== "outbound") {
+        console.log(`Ignoring '${statusName}' status for unknown outgoing call ${callId}`);
+        return;
+    }
+
+    // Statuses can arrive after the connect event; never move a call backwards
+    const currentRank = OUTGOING_CALL_PROGRESS.indexOf(session.status);
+    const nextRank = OUTGOING_CALL_PROGRESS.indexOf(mapping.status);
+    if (nextRank !== -1 && currentRank >= nextRank) {
+        console.log(`Skipping stale '${statusName}' status for call ${callId} (already ${session.status})`);
+        return;
+    }
+
+    console.log(`Outgoing call ${callId} status: ${statusName}`);
+
+    const payload = {
+        callId,
+        phoneNumber: session.phoneNumber,
+        status: mapping.status,
+        timestamp: statusUpdate.timestamp
+    };
+
+    if (mapping.final) {
+        payload.error = statusUpdate.errors?.[0]?.message || statusUpdate.errors?.[0]?.title;
+        closeCallSession(callId, { status: mapping.status, reason: payload.error });
+    } else {
+        session.status = mapping.status;
+        callRecords.update(callId, {
+            status: mapping.status,
+            ...(mapping.status === "ringing" && { ringAt: new Date().toISOString() })
+        });
+    }
+
+    emitToCall(session, mapping.event, payload);
+}
+
+/**
+ * Direction of the call a webhook event is for. Events can arrive after the
+ * session was closed, so the call record and the event itself are asked too;
+ * a connect for an unknown call is a new inbound call.
+ */
+function callEventDirection(call, session) {
+    const direction = session?.direction || callRecords.get(call.id)?.direction;
+    if (direction) {
+        return direction;
+    }
+    return call.direction === "BUSINESS_INITIATED" ? "outbound" : "inbound";
+}
 
-        } else if (call.event === "reject") {
-            console.log(`WhatsApp call rejected. Call ID: ${callId}`);
+/**
+ * Handles a single WhatsApp call event (connect, terminate, reject, timeout)
+ * delivered for one of the lines.
+ */
+async function handleCallEvent(call, contact, line) {
+    const callId = call.id;
+    const session = getCallSession(callId);
+    const isOutgoingCall = session?.direction === "outbound";
+    callEventsMetric.inc({ direction: callEventDirection(call, session), event: call.event });
+
+    if (call.event === "connect") {
+        const callerName = contact?.profile?.name || "Unknown";
+        const callerNumber = contact?.wa_id || call.from || "Unknown";
+
+        // Check if this is a response to our outgoing call or an incoming call
+        if (session?.conferenceParent) {
+            console.log(`Conference participant ${callerNumber} answered`);
+            try {
+                await connectConferenceParticipant(session, call?.session?.sdp);
+            } catch (error) {
+                console.error("❌ Failed to connect conference participant:", error.message);
+                endCall(callId, { status: "failed", reason: error.message });
+            }
+        } else if (isOutgoingCall) {
+            console.log(`Outgoing WhatsApp call answered by ${callerNumber}`);
+            console.log("Processing outgoing call SDP answer from WhatsApp");
             
-            // Check if this was an outgoing call that got rejected
-            if (isOutgoingCall && outgoingCallState.callId === callId) {
-                const phoneNumber = outgoingCallState.phoneNumber;
-                resetOutgoingCallState();
-                io.emit("outgoing-call-rejected", { callId, phoneNumber });
+            // For outgoing calls, WhatsApp sends back an SDP answer, not an offer
+            const whatsappAnswerSdp = call?.session?.sdp;
+            if (!whatsappAnswerSdp) {
+                console.error("No SDP answer received from WhatsApp for outgoing call");
+                emitToCall(session, "webrtc-error", { 
+                    callId,
+                    error: "No SDP answer received from WhatsApp" 
+                });
+                closeCallSession(callId, { status: "failed", reason: "No SDP answer received from WhatsApp" });
+                return;
             }
 
-        } else if (call.event === "timeout") {
-            console.log(`WhatsApp call timed out. Call ID: ${callId}`);
+            try {
+                await initiateOutgoingCallWebRTCBridge(session, whatsappAnswerSdp);
+            } catch (error) {
+                console.error("❌ Error in outgoing call WebRTC bridge:", error.message);
+                emitToCall(session, "webrtc-error", { 
+                    callId,
+                    error: `WebRTC Bridge Error: ${error.message}` 
+                });
+                closeCallSession(callId, { status: "failed", reason: `WebRTC Bridge Error: ${error.message}` });
+                return;
+            }
             
-            // Check if this was an outgoing call that timed out
-            if (isOutgoingCall && outgoingCallState.callId === callId) {
-                const phoneNumber = outgoingCallState.phoneNumber;
-                resetOutgoingCallState();
-                io.emit("outgoing-call-timeout", { callId, phoneNumber });
+            session.status = 'connected';
+            markCallAnswered(session);
+            emitToCall(session, "outgoing-call-connected", { 
+                callId, 
+                phoneNumber: callerNumber,
+                callerName 
+            });
+        } else {
+            console.log(`Incoming WhatsApp call from ${callerName} (${callerNumber}) on line ${line.id}`);
+            let incomingSession = session;
+            if (!incomingSession) {
+                incomingSession = createCallSession(callId, {
+                    direction: "inbound",
+                    phoneNumber: callerNumber,
+                    callerName,
+                    lineId: line.id,
+                    offerRoom: lineRoom(line)
+                });
+                trackCallRecord(incomingSession);
+                releaseCallRoomOnClose(incomingSession);
+            }
+            // Meta redelivers a connect that is not acknowledged quickly; the
+            // server answers a call for the IVR only once
+            if (ivrMenu && incomingSession.status !== "ringing") {
+                console.log(`Ignoring repeated connect for call ${callId} (already ${incomingSession.status})`);
+                return;
+            }
+            incomingSession.whatsappOfferSdp = call?.session?.sdp;
+
+            if (ivrMenu) {
+                // Answering can take seconds; the webhook is acknowledged without waiting
+                startIvr(incomingSession).catch(async (error) => {
+                    console.error(`❌ IVR failed for call ${callId}:`, error.message);
+                    await rejectCall(callId);
+                    endCall(callId, { status: "failed", reason: `IVR Error: ${error.message}` });
+                });
+                return;
             }
+            emitToCall(incomingSession, "call-is-coming", { callId, callerName, callerNumber, line: describeLine(line) });
+            startRingTimer(incomingSession);
+        }
+
+    } else if (call.event === "terminate") {
+        console.log(`WhatsApp call terminated. Call ID: ${callId}`);
+        endCall(callId, { durationSeconds: call.duration });
+
+        if (call.duration && call.status) {
+            console.log(`Call duration: ${call.duration}s | Status: ${call.status}`);
+        }
 
+    } else if (call.event === "reject") {
+        console.log(`WhatsApp call rejected. Call ID: ${callId}`);
+        
+        // Check if this was an outgoing call that got rejected
+        if (isOutgoingCall) {
+            const phoneNumber = session.phoneNumber;
+            closeCallSession(callId, { status: "rejected" });
+            emitToCall(session, "outgoing-call-rejected", { callId, phoneNumber });
         } else {
-            console.log(`Unhandled WhatsApp call event: ${call.event}`);
+            endCall(callId, { status: "rejected" });
         }
 
-        res.sendStatus(200);
-    } catch (err) {
-        console.error("Error processing /webhook POST:", err);
-        res.sendStatus(500);
+    } else if (call.event === "timeout") {
+        console.log(`WhatsApp call timed out. Call ID: ${callId}`);
+        
+        // Check if this was an outgoing call that timed out
+        if (isOutgoingCall) {
+            const phoneNumber = session.phoneNumber;
+            closeCallSession(callId, { status: "timeout" });
+            emitToCall(session, "outgoing-call-timeout", { callId, phoneNumber });
+        } else {
+            endCall(callId, { status: "timeout" });
+        }
+
+    } else {
+        console.log(`Unhandled WhatsApp call event: ${call.event}`);
     }
-});
+}
 
 /**
- * Initiates an outgoing WhatsApp call
+ * Initiates an outgoing WhatsApp call from `lineId` (the default line if not given)
  */
-app.post("/initiate-call", async (req, res) => {
+app.post("/initiate-call", requireAuth(), async (req, res) => {
     try {
-        const { phoneNumber, callerName } = req.body;
+        const { phoneNumber, callerName, socketId, lineId } = req.body;
         
-        console.log("Received outgoing call request:", { phoneNumber, callerName });
+        console.log("Received outgoing call request:", { phoneNumber, callerName, lineId });
         
         if (!phoneNumber) {
             return res.status(400).json({ success: false, error: "Phone number is required" });
         }
 
-        // Set outgoing call state
-        isOutgoingCall = true;
-        outgoingCallState = {
+        const line = findLine(lineId);
+        if (!line) {
+            return res.status(400).json({ success: false, error: `Unknown line '${lineId}'` });
+        }
+        if (!canUseLine(req.agent, line)) {
+            return res.status(403).json({ success: false, error: `Not allowed to call from line '${line.id}'` });
+        }
+
+        const requestingSocket = io.sockets.sockets.get(socketId);
+        if (requestingSocket && requestingSocket.data.agent?.sub !== req.agent.sub) {
+            return res.status(403).json({ success: false, error: "Socket belongs to another agent" });
+        }
+
+        // WhatsApp only assigns a call_id once it receives our SDP offer,
+        // so track the call under a temporary id until then.
+        // The call is offered to the browser that asked for it, or to every
+        // tab of the requesting agent if that socket is unknown.
+        const session = createCallSession(`pending_${crypto.randomUUID()}`, {
+            direction: "outbound",
             phoneNumber: phoneNumber,
             callerName: callerName || "Outgoing Call",
-            callId: null, // Will be set when we get the response
-            status: 'waiting-for-sdp'
-        };
+            status: 'waiting-for-sdp',
+            lineId: line.id,
+            offerRoom: requestingSocket ? socketId : agentRoom(req.agent.sub)
+        });
+        trackCallRecord(session);
+        releaseCallRoomOnClose(session);
 
-        // Notify the browser to start generating SDP offer for outgoing call
-        io.emit("start-outgoing-call-webrtc", { 
+        // Ask the browser to start generating SDP offer for outgoing call
+        emitToCall(session, "start-outgoing-call-webrtc", { 
+            callId: session.callId,
             phoneNumber, 
-            callerName: callerName || "Outgoing Call" 
+            callerName: session.callerName,
+            line: describeLine(line)
         });
 
         res.json({ 
             success: true, 
+            callId: session.callId,
             message: `Initiating call to ${phoneNumber}. Waiting for WebRTC setup...` 
         });
     } catch (error) {
@@ -463,15 +2837,177 @@ app.post("/initiate-call", async (req, res) => {
     }
 });
 
+/**
+ * Call and bridge health in the Prometheus text format
+ */
+app.get("/metrics", requireAuth(["admin"]), (req, res) => {
+    res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+/**
+ * Phone lines the requesting agent can call from
+ */
+app.get("/lines", requireAuth(), (req, res) => {
+    res.json({
+        success: true,
+        lines: phoneLines.filter((line) => canUseLine(req.agent, line)).map(describeLine)
+    });
+});
+
+/**
+ * Call history with filtering (direction, status, number, from, to)
+ * and pagination (limit, offset)
+ */
+app.get("/calls", requireAuth(["supervisor", "admin"]), (req, res) => {
+    const { direction, status, number, from, to, limit, offset } = req.query;
+    const badDate = Object.entries({ from, to }).find(([, value]) => value && Number.isNaN(new Date(value).getTime()));
+    if (badDate) {
+        return res.status(400).json({ success: false, error: `'${badDate[0]}' must be an ISO date` });
+    }
+    res.json({
+        success: true,
+        ...callRecords.query({ direction, status, number, from, to, limit, offset })
+    });
+});
+
+/**
+ * Calls in progress that the requesting supervisor may monitor
+ */
+app.get("/live-calls", requireAuth(["supervisor", "admin"]), (req, res) => {
+    res.json({
+        success: true,
+        calls: listCallSessions()
+            .filter((session) => !monitorError(req.agent, session))
+            .map(describeLiveCall)
+    });
+});
+
+/**
+ * Transcript of a call, for supervisors, admins and the agent who handled it
+ */
+app.get("/calls/:id/transcript", requireAuth(), (req, res) => {
+    const record = callRecords.get(req.params.id);
+    const transcript = record && loadTranscript(TRANSCRIPTS_DIR, record.id);
+    if (!transcript || (req.agent.role === "agent" && record.agent !== req.agent.sub)) {
+        return res.status(404).json({ success: false, error: "Transcript not found" });
+    }
+    res.json({ success: true, transcript });
+});
+
+/**
+ * A single call detail record
+ */
+app.get("/calls/:id", requireAuth(["supervisor", "admin"]), (req, res) => {
+    const record = callRecords.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ success: false, error: "Call not found" });
+    }
+    res.json({ success: true, call: record });
+});
+
+/**
+ * Lists finished call recordings, optionally for a single call
+ */
+app.get("/recordings", requireAuth(["supervisor", "admin"]), (req, res) => {
+    let recordings = listRecordings(RECORDINGS_DIR);
+    if (req.query.callId) {
+        recordings = recordings.filter((recording) => recording.callId === req.query.callId);
+    }
+
+    res.json({
+        success: true,
+        recordings: recordings.map((recording) => ({
+            ...recording,
+            url: `/recordings/${encodeURIComponent(recording.fileName)}`
+        }))
+    });
+});
+
+/**
+ * Downloads a single call recording
+ */
+app.get("/recordings/:fileName", requireAuth(["supervisor", "admin"]), (req, res) => {
+    const filePath = resolveRecordingPath(RECORDINGS_DIR, req.params.fileName);
+    if (!filePath) {
+        return res.status(404).json({ success: false, error: "Recording not found" });
+    }
+    res.download(filePath);
+});
+
+/**
+ * ICE servers for the browser's next peer connection, with fresh TURN credentials
+ */
+app.get("/ice-servers", requireAuth(), (req, res) => {
+    res.json({
+        success: true,
+        iceServers: buildIceServers(iceConfig, { user: req.agent.sub }),
+        ttlSeconds: iceConfig.turn?.secret ? iceConfig.turn.ttlSeconds : null
+    });
+});
+
+/**
+ * Voicemails left by callers, newest first, with whether an agent has dealt with them
+ */
+app.get("/voicemails", requireAuth(), (req, res) => {
+    res.json({
+        success: true,
+        voicemails: listRecordings(VOICEMAIL_DIR).map((voicemail) => ({
+            callId: voicemail.callId,
+            fileName: voicemail.fileName,
+            callerName: voicemail.callerName || null,
+            callerNumber: voicemail.callerNumber || null,
+            startedAt: voicemail.startedAt,
+            durationSeconds: voicemail.durationSeconds,
+            handledBy: voicemail.handledBy || null,
+            handledAt: voicemail.handledAt || null,
+            url: `/voicemails/${encodeURIComponent(voicemail.fileName)}`
+        }))
+    });
+});
+
+/**
+ * Downloads the audio of a voicemail
+ */
+app.get("/voicemails/:fileName", requireAuth(), (req, res) => {
+    const filePath = resolveRecordingPath(VOICEMAIL_DIR, req.params.fileName);
+    if (!filePath) {
+        return res.status(404).json({ success: false, error: "Voicemail not found" });
+    }
+    res.download(filePath);
+});
+
+/**
+ * Marks a voicemail as handled (or, with { handled: false }, as new again)
+ */
+app.post("/voicemails/:fileName/handled", requireAuth(), (req, res) => {
+    const handled = req.body?.handled !== false;
+    const voicemail = updateRecordingMetadata(VOICEMAIL_DIR, req.params.fileName, {
+        handledBy: handled ? req.agent.sub : null,
+        handledAt: handled ? new Date().toISOString() : null
+    });
+    if (!voicemail) {
+        return res.status(404).json({ success: false, error: "Voicemail not found" });
+    }
+
+    console.log(`Voicemail ${voicemail.fileName} marked as ${handled ? "handled" : "new"} by ${req.agent.sub}`);
+    io.to(AGENTS_ROOM).emit("voicemails-updated");
+    res.json({ success: true, handledBy: voicemail.handledBy, handledAt: voicemail.handledAt });
+});
+
 /**
  * Initiates WebRTC between browser and WhatsApp once both SDP offers are received.
  */
-async function initiateWebRTCBridge() {
+async function initiateWebRTCBridge(session) {
+    const { browserOfferSdp, whatsappOfferSdp, browserSocket } = session;
     if (!browserOfferSdp || !whatsappOfferSdp || !browserSocket) return;
+    session.bridgeStartedAt = Date.now();
 
     // --- Setup browser peer connection ---
-    browserPc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
-    browserStream = new MediaStream();
+    const browserPc = new RTCPeerConnection({ iceServers: serverIceServers() });
+    const browserStream = new MediaStream();
+    session.browserPc = browserPc;
+    session.browserStream = browserStream;
+    watchLegConnection(session, "browser");
 
     browserPc.ontrack = (event) => {
         console.log("Audio track received from browser.");
@@ -491,17 +3027,19 @@ async function initiateWebRTCBridge() {
     console.log("Browser offer SDP set as remote description.");
     
     // Process any queued ICE candidates now that the peer connection is ready
-    await processPendingIceCandidates();
+    await processPendingIceCandidates(session);
 
     // --- Setup WhatsApp peer connection ---
-    whatsappPc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+    const whatsappPc = new RTCPeerConnection({ iceServers: serverIceServers() });
+    session.whatsappPc = whatsappPc;
+    watchLegConnection(session, "whatsapp");
 
     const waTrackPromise = new Promise((resolve, reject) => {
         const timeout = setTimeout(() => reject("Timed out waiting for WhatsApp track"), 10000);
         whatsappPc.ontrack = (event) => {
             clearTimeout(timeout);
             console.log("Audio track received from WhatsApp.");
-            whatsappStream = event.streams[0];
+            session.whatsappStream = event.streams[0];
             resolve();
         };
     });
@@ -514,7 +3052,7 @@ async function initiateWebRTCBridge() {
 
     // Forward browser mic to WhatsApp
     browserStream?.getAudioTracks().forEach((track) => {
-        whatsappPc.addTrack(track, browserStream);
+        session.whatsappSender = whatsappPc.addTrack(track, browserStream);
     });
     console.log("Forwarded browser audio to WhatsApp.");
 
@@ -522,15 +3060,16 @@ async function initiateWebRTCBridge() {
     await waTrackPromise;
 
     // Forward WhatsApp audio to browser
+    const whatsappStream = session.whatsappStream;
     whatsappStream?.getAudioTracks().forEach((track) => {
-        browserPc.addTrack(track, whatsappStream);
+        session.browserSender = browserPc.addTrack(track, whatsappStream);
     });
 
     // --- Create SDP answers for both peers ---
     const browserAnswer = await browserPc.createAnswer();
     
     // Fix setup attributes in browser answer
-    const fixedBrowserAnswerSdp = fixSdpSetupAttributes(browserAnswer.sdp, false);
+    const fixedBrowserAnswerSdp = browserAnswerSdp(browserAnswer.sdp, browserOfferSdp);
     const fixedBrowserAnswer = new RTCSessionDescription({
         type: "answer",
         sdp: fixedBrowserAnswerSdp
@@ -543,7 +3082,7 @@ async function initiateWebRTCBridge() {
     const waAnswer = await whatsappPc.createAnswer();
     
     // Fix setup attributes in WhatsApp answer
-    const fixedWaSdp = fixSdpSetupAttributes(waAnswer.sdp, false);
+    const fixedWaSdp = whatsappSdp(waAnswer.sdp, { type: "answer", offerSdp: whatsappOfferSdp });
     const fixedWaAnswer = new RTCSessionDescription({
         type: "answer",
         sdp: fixedWaSdp
@@ -553,29 +3092,50 @@ async function initiateWebRTCBridge() {
     console.log("WhatsApp answer SDP prepared and fixed.");
 
     // Send pre-accept, and only proceed with accept if successful
-    const preAcceptSuccess = await answerCallToWhatsApp(currentCallId, fixedWaSdp, "pre_accept");
+    const preAccept = await answerCallToWhatsApp(session.callId, fixedWaSdp, "pre_accept");
 
-    if (preAcceptSuccess) {
+    if (preAccept.success) {
         setTimeout(async () => {
-            const acceptSuccess = await answerCallToWhatsApp(currentCallId, fixedWaSdp, "accept");
-            if (acceptSuccess && browserSocket) {
-                browserSocket.emit("start-browser-timer");
+            // The call may have ended while waiting; its cleanups have already run
+            if (session.outcome || getCallSession(session.callId) !== session) {
+                return;
+            }
+            try {
+                const accept = await answerCallToWhatsApp(session.callId, fixedWaSdp, "accept");
+                if (session.outcome) {
+                    return;
+                }
+                if (accept.success) {
+                    session.status = 'connected';
+                    markCallAnswered(session);
+                    browserSocket.emit("start-browser-timer");
+                    startSessionRecording(session);
+                    startDtmfDetection(session);
+                    startTranscription(session);
+                } else {
+                    browserSocket.emit("webrtc-error", { callId: session.callId, error: accept.error, errorType: accept.errorType });
+                }
+            } catch (error) {
+                console.error(`❌ Failed to accept call ${session.callId}:`, error.message);
+                browserSocket.emit("webrtc-error", { callId: session.callId, error: `Accept failed: ${error.message}` });
             }
         }, 1000);
     } else {
         console.error("Pre-accept failed. Aborting accept step.");
+        browserSocket.emit("webrtc-error", { callId: session.callId, error: preAccept.error, errorType: preAccept.errorType });
     }
 
-    // Reset session state
-    browserOfferSdp = null;
-    whatsappOfferSdp = null;
-    pendingIceCandidates = [];
+    // Reset negotiation state
+    session.browserOfferSdp = null;
+    session.whatsappOfferSdp = null;
+    session.pendingIceCandidates = [];
 }
 
 /**
  * Initiates WebRTC bridge for outgoing calls where WhatsApp provides an SDP answer
  */
-async function initiateOutgoingCallWebRTCBridge(whatsappAnswerSdp) {
+async function initiateOutgoingCallWebRTCBridge(session, whatsappAnswerSdp) {
+    const { browserOfferSdp, browserSocket } = session;
     if (!browserOfferSdp || !whatsappAnswerSdp || !browserSocket) {
         console.error("Missing required data for outgoing call WebRTC bridge:", {
             hasBrowserOffer: !!browserOfferSdp,
@@ -585,15 +3145,22 @@ async function initiateOutgoingCallWebRTCBridge(whatsappAnswerSdp) {
         return;
     }
 
-    console.log("=== INITIATING OUTGOING CALL WEBRTC BRIDGE ===");
+    console.log(`=== INITIATING OUTGOING CALL WEBRTC BRIDGE (${session.callId}) ===`);
     
     // --- Setup browser peer connection ---
-    browserPc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
-    browserStream = new MediaStream();
+    const browserPc = new RTCPeerConnection({ iceServers: serverIceServers() });
+    const browserStream = new MediaStream();
+    session.browserPc = browserPc;
+    session.browserStream = browserStream;
+    watchLegConnection(session, "browser");
 
     browserPc.ontrack = (event) => {
         console.log("Audio track received from browser for outgoing call.");
         event.streams[0].getTracks().forEach((track) => browserStream.addTrack(track));
+        // Recording needs both legs; whichever track arrives second starts it
+        if (session.whatsappStream) {
+            startSessionRecording(session);
+        }
     };
 
     browserPc.onicecandidate = (event) => {
@@ -625,23 +3192,32 @@ async function initiateOutgoingCallWebRTCBridge(whatsappAnswerSdp) {
     }
     
     // Process any queued ICE candidates
-    await processPendingIceCandidates();
+    await processPendingIceCandidates(session);
 
     // --- Setup WhatsApp peer connection for outgoing call ---
-    whatsappPc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+    const whatsappPc = new RTCPeerConnection({ iceServers: serverIceServers() });
+    session.whatsappPc = whatsappPc;
+    watchLegConnection(session, "whatsapp");
 
     // For outgoing calls, we already have the WhatsApp answer, so we don't need to wait
     console.log("Setting WhatsApp SDP answer for outgoing call");
     
     whatsappPc.ontrack = (event) => {
         console.log("Audio track received from WhatsApp for outgoing call.");
-        whatsappStream = event.streams[0];
+        const whatsappStream = event.streams[0];
+        session.whatsappStream = whatsappStream;
         
         // Forward WhatsApp audio to browser immediately
         whatsappStream?.getAudioTracks().forEach((track) => {
-            browserPc.addTrack(track, whatsappStream);
+            session.browserSender = browserPc.addTrack(track, whatsappStream);
             console.log("Forwarded WhatsApp audio track to browser");
         });
+
+        if (browserStream.getAudioTracks().length) {
+            startSessionRecording(session);
+        }
+        startDtmfDetection(session);
+        startTranscription(session);
     };
 
     // For outgoing calls: WhatsApp peer connection receives our offer and gives back answer
@@ -681,7 +3257,7 @@ async function initiateOutgoingCallWebRTCBridge(whatsappAnswerSdp) {
 
     // Forward browser mic to WhatsApp
     browserStream?.getAudioTracks().forEach((track) => {
-        whatsappPc.addTrack(track, browserStream);
+        session.whatsappSender = whatsappPc.addTrack(track, browserStream);
         console.log("Forwarded browser audio track to WhatsApp");
     });
 
@@ -689,7 +3265,7 @@ async function initiateOutgoingCallWebRTCBridge(whatsappAnswerSdp) {
     const browserAnswer = await browserPc.createAnswer();
     
     // Fix setup attributes in the browser answer SDP
-    const fixedBrowserAnswerSdp = fixSdpSetupAttributes(browserAnswer.sdp, false);
+    const fixedBrowserAnswerSdp = browserAnswerSdp(browserAnswer.sdp, browserOfferSdp);
     const fixedBrowserAnswer = new RTCSessionDescription({
         type: "answer",
         sdp: fixedBrowserAnswerSdp
@@ -700,21 +3276,19 @@ async function initiateOutgoingCallWebRTCBridge(whatsappAnswerSdp) {
     console.log("Browser answer SDP created, fixed, and sent for outgoing call.");
 
     // Start the call timer
-    if (browserSocket) {
-        browserSocket.emit("start-browser-timer");
-    }
+    browserSocket.emit("start-browser-timer");
 
     console.log("=== OUTGOING CALL WEBRTC BRIDGE COMPLETE ===");
     
-    // Reset session state
-    browserOfferSdp = null;
-    pendingIceCandidates = [];
+    // Reset negotiation state
+    session.browserOfferSdp = null;
+    session.pendingIceCandidates = [];
 }
 
 /**
- * Initiates an outgoing call to WhatsApp API with SDP offer
+ * Initiates an outgoing call to WhatsApp API with SDP offer, from one of the lines
  */
-async function initiateWhatsAppCall(phoneNumber, sdp) {
+async function initiateWhatsAppCall(line, phoneNumber, sdp) {
     // Validate inputs
     if (!phoneNumber || !sdp) {
         return {
@@ -731,6 +3305,7 @@ async function initiateWhatsAppCall(phoneNumber, sdp) {
         };
     }
 
+    sdp = whatsappSdp(sdp, { type: "offer" });
     const body = {
         messaging_product: "whatsapp",
         to: phoneNumber,
@@ -741,161 +3316,146 @@ async function initiateWhatsAppCall(phoneNumber, sdp) {
         }
     };
 
-    try {
-        console.log("Sending outgoing call request to WhatsApp API:", {
-            to: phoneNumber,
-            action: "connect",
-            sdp_length: sdp.length,
-            sdp_preview: sdp.substring(0, 100) + "..."
-        });
+    console.log("Sending outgoing call request to WhatsApp API:", {
+        line: line.id,
+        to: phoneNumber,
+        action: "connect",
+        sdp_length: sdp.length,
+        sdp_preview: sdp.substring(0, 100) + "..."
+    });
 
-        const response = await axios.post(WHATSAPP_API_URL, body, {
-            headers: {
-                Authorization: ACCESS_TOKEN,
-                "Content-Type": "application/json",
-            },
-        });
+    // Placing a call is not idempotent: it is only retried when rate limited
+    const result = await postCallAction(line, body, { idempotent: false });
+    if (!result.success) {
+        return result;
+    }
+    console.log("WhatsApp API response:", result.data);
 
-        console.log("WhatsApp API response:", response.data);
+    // Graph answers a connect with the new call in `calls`; older responses used `success`
+    const graphCallId = result.data?.calls?.[0]?.id;
+    if (graphCallId || result.data?.success === true) {
+        console.log(`Successfully initiated call to ${phoneNumber}`);
+
+        // The response might contain a call_id that we should track
+        const callId = graphCallId || result.data.call_id || `outgoing_${Date.now()}`;
 
-        if (response.data?.success === true) {
-            console.log(`Successfully initiated call to ${phoneNumber}`);
-            
-            // The response might contain a call_id that we should track
-            const callId = response.data.call_id || `outgoing_${Date.now()}`;
-            
-            return {
-                success: true,
-                callId: callId,
-                data: response.data
-            };
-        } else {
-            console.warn("WhatsApp call initiation response was not successful:", response.data);
-            return {
-                success: false,
-                error: "WhatsApp API did not confirm call initiation"
-            };
-        }
-    } catch (error) {
-        console.error("Failed to initiate WhatsApp call:", error.message);
-        
-        let errorMessage = "Failed to connect to WhatsApp API";
-        if (error.response?.data) {
-            console.error("WhatsApp API error response:", error.response.data);
-            errorMessage = error.response.data.error?.message || errorMessage;
-        }
-        
         return {
-            success: false,
-            error: errorMessage
+            success: true,
+            callId: callId,
+            data: result.data
         };
     }
+    console.warn("WhatsApp call initiation response was not successful:", result.data);
+    return {
+        success: false,
+        error: "WhatsApp API did not confirm call initiation",
+        errorType: GRAPH_ERROR_TYPES.UNKNOWN
+    };
+}
+
+/**
+ * POST a call action through a line's Graph client. Graph failures come back
+ * as { success: false, error, errorType } after being logged with their type.
+ */
+async function postCallAction(line, body, options) {
+    const startedAt = Date.now();
+    try {
+        return { success: true, data: await line.graph.postCallAction(body, options) };
+    } catch (error) {
+        if (!(error instanceof GraphApiError)) {
+            throw error;
+        }
+        graphErrorsMetric.inc({ action: body.action, type: error.type });
+        const target = body.call_id ? `call ${body.call_id}` : `call to ${body.to}`;
+        console.error(
+            `❌ Graph API '${body.action}' failed for ${target} on line ${line.id} after ${error.attempts} attempt(s)`
+            + ` [${error.type}${error.code !== null ? `, code ${error.code}` : ""}${error.fbtraceId ? `, trace ${error.fbtraceId}` : ""}]:`,
+            error.message
+        );
+        return { success: false, error: error.message, errorType: error.type };
+    } finally {
+        graphDurationMetric.observe({ action: body.action }, (Date.now() - startedAt) / 1000);
+    }
 }
 
 /**
  * Sends "pre-accept" or "accept" response with SDP to WhatsApp API.
+ * Returns { success, error, errorType }.
  */
 async function answerCallToWhatsApp(callId, sdp, action) {
-    const body = {
+    const result = await postCallAction(lineForCall(callId), {
         messaging_product: "whatsapp",
         call_id: callId,
         action,
         session: { sdp_type: "answer", sdp },
-    };
-
-    try {
-        const response = await axios.post(WHATSAPP_API_URL, body, {
-            headers: {
-                Authorization: ACCESS_TOKEN,
-                "Content-Type": "application/json",
-            },
-        });
+    });
+    if (!result.success) {
+        return result;
+    }
 
-        const success = response.data?.success === true;
+    if (result.data?.success !== true) {
+        console.warn(`WhatsApp '${action}' response was not successful.`);
+        return { success: false, error: `WhatsApp did not confirm '${action}'`, errorType: GRAPH_ERROR_TYPES.UNKNOWN };
+    }
+    console.log(`Successfully sent '${action}' to WhatsApp.`);
 
-        if (success) {
-            console.log(`Successfully sent '${action}' to WhatsApp.`);
-            return true;
-        } else {
-            console.warn(`WhatsApp '${action}' response was not successful.`);
-            return false;
-        }
-    } catch (error) {
-        console.error(`Failed to send '${action}' to WhatsApp:`, error.message);
-        return false;
+    const session = getCallSession(callId);
+    if (action === "accept" && session?.bridgeStartedAt) {
+        bridgeSetupMetric.observe({}, (Date.now() - session.bridgeStartedAt) / 1000);
     }
+    return { success: true };
 }
 
 /**
  * Rejects the current WhatsApp call.
- * Returns WhatsApp API response.
+ * Returns WhatsApp API response, or { success: false, error, errorType }.
  */
 async function rejectCall(callId) {
-    const body = {
+    const result = await postCallAction(lineForCall(callId), {
         messaging_product: "whatsapp",
         call_id: callId,
         action: "reject",
-    };
-
-    try {
-        const response = await axios.post(WHATSAPP_API_URL, body, {
-            headers: {
-                Authorization: ACCESS_TOKEN,
-                "Content-Type": "application/json",
-            },
-        });
-
-        const success = response.data?.success === true;
-
-        if (success) {
-            console.log(`Call ${callId} successfully rejected.`);
-        } else {
-            console.warn(`Call ${callId} reject response was not successful.`);
-        }
+    });
+    if (!result.success) {
+        return result;
+    }
 
-        return response.data;
-    } catch (error) {
-        console.error(`Failed to reject call ${callId}:`, error.message);
-        return { success: false, error: error.message };
+    if (result.data?.success === true) {
+        console.log(`Call ${callId} successfully rejected.`);
+    } else {
+        console.warn(`Call ${callId} reject response was not successful.`);
     }
+    return result.data;
 }
 
 /**
- * Terminate WhatsApp call.
- * Returns WhatsApp API response.
+ * Terminate WhatsApp call, on its session's line unless `line` is given.
+ * Returns WhatsApp API response, or { success: false, error, errorType }.
  */
- async function terminateCall(callId) {
-    const body = {
+async function terminateCall(callId, line = lineForCall(callId)) {
+    const result = await postCallAction(line, {
         messaging_product: "whatsapp",
         call_id: callId,
         action: "terminate",
-    };
-
-    try {
-        const response = await axios.post(WHATSAPP_API_URL, body, {
-            headers: {
-                Authorization: ACCESS_TOKEN,
-                "Content-Type": "application/json",
-            },
-        });
-
-        const success = response.data?.success === true;
-
-        if (success) {
-            console.log(`Call ${callId} successfully terminated.`);
-        } else {
-            console.warn(`Call ${callId} terminate response was not successful.`);
-        }
+    });
+    if (!result.success) {
+        return result;
+    }
 
-        return response.data;
-    } catch (error) {
-        console.error(`Failed to terminate call ${callId}:`, error.message);
-        return { success: false, error: error.message };
+    if (result.data?.success === true) {
+        console.log(`Call ${callId} successfully terminated.`);
+    } else {
+        console.warn(`Call ${callId} terminate response was not successful.`);
     }
+    return result.data;
+}
+
+// Start the server when run directly (tests require the module and listen themselves)
+if (require.main === module) {
+    const PORT = process.env.PORT || 19000;
+    server.listen(PORT, "0.0.0.0", () => {
+        console.log(`Server is running at http://0.0.0.0:${PORT}`);
+    });
 }
 
-// Start the server
-const PORT = process.env.PORT || 19000;
-server.listen(PORT, "0.0.0.0", () => {
-    console.log(`Server is running at http://0.0.0.0:${PORT}`);
-});
\ No newline at end of file
+module.exports = { app, server, io };
\ No newline at end of file
@@ -0,0 +1,144 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createWavWriter, readWav } = require("../lib/wav");
+const { loadAudioFile, createAudioPlayer } = require("../lib/audio-player");
+const { createAudioMixer } = require("../lib/audio-mixer");
+
+/**
+ * Stand-in for wrtc's nonstandard RTCAudioSource that keeps the frames it is given
+ */
+class FakeAudioSource {
+    constructor() {
+        this.frames = [];
+        this.stopped = false;
+    }
+
+    createTrack() {
+        return { stop: () => { this.stopped = true; } };
+    }
+
+    onData(frame) {
+        this.frames.push(frame);
+    }
+}
+
+test("a written WAV file reads back, and stereo is downmixed for playback", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-call-wav-"));
+    const filePath = path.join(dir, "tone.wav");
+    try {
+        const writer = createWavWriter(filePath, { sampleRate: 8000, channels: 2 });
+        writer.write(Int16Array.from([100, 300, -200, -400]));
+        await writer.close();
+
+        assert.deepEqual(readWav(filePath), {
+            sampleRate: 8000,
+            channels: 2,
+            samples: Int16Array.from([100, 300, -200, -400])
+        });
+        assert.deepEqual(loadAudioFile(filePath), { sampleRate: 8000, samples: Int16Array.from([200, -300]) });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("the player sends 10 ms mono frames and ends a clip that does not loop", async () => {
+    let source;
+    const RTCAudioSource = class extends FakeAudioSource {
+        constructor() {
+            super();
+            source = this;
+        }
+    };
+    const audio = { sampleRate: 8000, samples: new Int16Array(200).fill(7) };
+
+    await new Promise((resolve) => createAudioPlayer({ RTCAudioSource, audio, onEnded: resolve }));
+
+    assert.equal(source.frames.length, 3);
+    assert.ok(source.frames.every((frame) => frame.numberOfFrames === 80 && frame.samples.length === 80));
+    assert.equal(source.frames[2].samples[39], 7);
+    assert.equal(source.frames[2].samples[40], 0);
+    assert.equal(source.stopped, true);
+});
+
+test("the mixer sends each participant everybody else's audio", async () => {
+    const sources = [];
+    const RTCAudioSource = class extends FakeAudioSource {
+        constructor() {
+            super();
+            sources.push(this);
+        }
+    };
+    const sinks = [];
+    const RTCAudioSink = class {
+        constructor(track) {
+            this.track = track;
+            sinks.push(this);
+        }
+
+        stop() {}
+    };
+
+    const mixer = createAudioMixer({ RTCAudioSink, RTCAudioSource });
+    try {
+        ["caller", "agent", "guest"].forEach((id) => {
+            mixer.addParticipant(id);
+            mixer.setInput(id, {});
+        });
+        // 8 kHz stereo input is downmixed and resampled to the mixer's 48 kHz
+        sinks[0].ondata({ samples: new Int16Array(160).fill(100), sampleRate: 8000, channelCount: 2 });
+        sinks[1].ondata({ samples: new Int16Array(480).fill(20), sampleRate: 48000, channelCount: 1 });
+        sinks[2].ondata({ samples: new Int16Array(480).fill(3), sampleRate: 48000, channelCount: 1 });
+        mixer.setMuted("guest", true);
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        const [caller, agent, guest] = sources.map((source) => source.frames[0]);
+        assert.ok([caller, agent, guest].every((frame) => frame.numberOfFrames === 480 && frame.sampleRate === 48000));
+        assert.equal(caller.samples[0], 20);
+        assert.equal(agent.samples[0], 100);
+        assert.equal(guest.samples[0], 120);
+    } finally {
+        mixer.stop();
+    }
+    assert.deepEqual(mixer.participants(), []);
+    assert.ok(sources.every((source) => source.stopped));
+});
+
+test("a participant heard by only some participants is mixed for them alone", async () => {
+    const sources = [];
+    const RTCAudioSource = class extends FakeAudioSource {
+        constructor() {
+            super();
+            sources.push(this);
+        }
+    };
+    const sinks = [];
+    const RTCAudioSink = class {
+        constructor() {
+            sinks.push(this);
+        }
+
+        stop() {}
+    };
+
+    const mixer = createAudioMixer({ RTCAudioSink, RTCAudioSource, sampleRate: 8000 });
+    try {
+        ["caller", "agent", "supervisor"].forEach((id) => {
+            mixer.addParticipant(id);
+            mixer.setInput(id, {});
+        });
+        // The supervisor whispers: only the agent hears them
+        mixer.setAudience("supervisor", ["agent"]);
+        [100, 20, 3].forEach((value, i) => {
+            sinks[i].ondata({ samples: new Int16Array(80).fill(value), sampleRate: 8000, channelCount: 1 });
+        });
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        const [caller, agent, supervisor] = sources.map((source) => source.frames[0].samples[0]);
+        assert.deepEqual([caller, agent, supervisor], [20, 103, 120]);
+    } finally {
+        mixer.stop();
+    }
+});
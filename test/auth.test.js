@@ -0,0 +1,80 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { API_TOKEN, startTestServer, waitForEvent } = require("./helpers");
+const { hashPassword, verifyPassword, createToken, verifyToken } = require("../lib/agent-auth");
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test("passwords are salted and verified", () => {
+    const hash = hashPassword("s3cret");
+    assert.match(hash, /^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+    assert.notEqual(hash, hashPassword("s3cret"));
+    assert.equal(verifyPassword("s3cret", hash), true);
+    assert.equal(verifyPassword("wrong", hash), false);
+    assert.equal(verifyPassword("s3cret", "plain-text"), false);
+});
+
+test("tokens carry the agent claims and reject tampering and expiry", () => {
+    const token = createToken({ username: "alice", role: "agent", groups: ["sales"] }, "secret", 60);
+    assert.deepEqual(
+        (({ sub, role, groups }) => ({ sub, role, groups }))(verifyToken(token, "secret")),
+        { sub: "alice", role: "agent", groups: ["sales"] }
+    );
+
+    assert.equal(verifyToken(token, "other-secret"), null);
+    const [payload, sig] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ sub: "alice", role: "admin", exp: 9999999999 })).toString("base64url");
+    assert.equal(verifyToken(`${forged}.${sig}`, "secret"), null);
+    assert.equal(verifyToken(`${payload}.`, "secret"), null);
+    assert.equal(verifyToken(createToken({ username: "alice", role: "agent" }, "secret", -1), "secret"), null);
+});
+
+test("login returns a token for valid credentials only", async () => {
+    const ok = await ctx.http.post("/login", { username: "sam", password: "sam-password" });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(ok.data.agent, { username: "sam", name: "Sam", role: "supervisor", groups: ["sales", "support"] });
+
+    const me = await ctx.http.get("/me", { headers: { Authorization: `Bearer ${ok.data.token}` } });
+    assert.equal(me.data.agent.username, "sam");
+
+    const wrong = await ctx.http.post("/login", { username: "sam", password: "nope" });
+    assert.equal(wrong.status, 401);
+    const unknown = await ctx.http.post("/login", { username: "mallory", password: "nope" });
+    assert.equal(unknown.status, 401);
+});
+
+test("sockets without a valid token are refused", async () => {
+    for (const auth of [{}, { token: "bogus.token" }]) {
+        await assert.rejects(ctx.connect({ auth, reconnection: false }), /Unauthorized/);
+    }
+});
+
+test("REST routes check the token and the role", async () => {
+    assert.equal((await ctx.http.post("/initiate-call", { phoneNumber: "5511987654321" })).status, 401);
+    assert.equal((await ctx.http.get("/calls")).status, 401);
+
+    // Call history is for supervisors and admins
+    assert.equal((await ctx.http.get("/calls", { headers: await ctx.authHeaders("alice") })).status, 403);
+    assert.equal((await ctx.http.get("/calls", { headers: await ctx.authHeaders("sam") })).status, 200);
+    assert.equal((await ctx.http.get("/calls", { headers: { Authorization: `Bearer ${API_TOKEN}` } })).status, 200);
+});
+
+test("an agent cannot place a call on another agent's socket", async () => {
+    const bobSocket = await ctx.connect({ as: "bob" });
+    const res = await ctx.http.post("/initiate-call", {
+        phoneNumber: "5511987654321",
+        socketId: bobSocket.id
+    }, { headers: await ctx.authHeaders("alice") });
+    assert.equal(res.status, 403);
+
+    const ignored = waitForEvent(bobSocket, "start-outgoing-call-webrtc", { timeout: 200 });
+    await assert.rejects(ignored, /Timed out/);
+});
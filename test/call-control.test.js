@@ -0,0 +1,154 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { installFakeWrtc } = require("./fake-wrtc");
+const { fixture, startTestServer, waitForEvent, waitUntil, webhookPayload } = require("./helpers");
+const { getCallSession } = require("../lib/call-sessions");
+const { createWavWriter } = require("../lib/wav");
+
+// Bridged calls need wrtc
+installFakeWrtc();
+
+const musicDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-call-hold-"));
+let ctx;
+
+before(async () => {
+    const music = createWavWriter(path.join(musicDir, "hold.wav"));
+    music.write(new Int16Array(4800));
+    await music.close();
+    ctx = await startTestServer({ HOLD_MUSIC_FILE: path.join(musicDir, "hold.wav") });
+});
+
+after(async () => {
+    await ctx.close();
+    fs.rmSync(musicDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    ctx.fakeGraph.reset();
+});
+
+/**
+ * Ring an incoming call on the connected agents
+ */
+async function ringCall(socket, callId, sdp = "v=0") {
+    const ringing = waitForEvent(socket, "call-is-coming", { filter: (call) => call.callId === callId });
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: callId, from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp } }]
+    }));
+    await ringing;
+}
+
+test("reject-call posts a reject action for the call", async () => {
+    const socket = await ctx.connect();
+    await ringCall(socket, "wacid.to_reject");
+    socket.emit("reject-call", "wacid.to_reject");
+
+    const [reject] = await waitUntil(() => ctx.fakeGraph.requests("reject").length && ctx.fakeGraph.requests("reject"));
+    assert.deepEqual(reject.body, {
+        messaging_product: "whatsapp",
+        call_id: "wacid.to_reject",
+        action: "reject"
+    });
+});
+
+test("terminate-call posts a terminate action for the call", async () => {
+    const socket = await ctx.connect();
+    await ringCall(socket, "wacid.to_terminate");
+    socket.emit("terminate-call", "wacid.to_terminate");
+
+    const [terminate] = await waitUntil(() => ctx.fakeGraph.requests("terminate").length && ctx.fakeGraph.requests("terminate"));
+    assert.equal(terminate.body.call_id, "wacid.to_terminate");
+    assert.equal(terminate.authorization, "Bearer test-access-token");
+});
+
+test("Graph errors on call control are survived", async () => {
+    ctx.fakeGraph.failOnce("terminate", { status: 500, code: 2, message: "Service temporarily unavailable" });
+    const socket = await ctx.connect();
+    await ringCall(socket, "wacid.flaky");
+    socket.emit("terminate-call", "wacid.flaky");
+
+    await waitUntil(() => ctx.fakeGraph.requests("terminate").length === 1);
+    assert.equal(ctx.fakeGraph.requests("terminate")[0].response.status, 500);
+
+    // The server keeps serving after the failed request
+    const res = await ctx.http.get("/webhook", { params: { "hub.mode": "subscribe" } });
+    assert.equal(res.status, 400);
+});
+
+test("recordings require the API token", async () => {
+    const res = await ctx.http.get("/recordings");
+    assert.equal(res.status, 401);
+});
+
+test("hold and mute are limited to the bridged browser and recorded on the call", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    await ringCall(alice, "wacid.on_hold");
+    alice.emit("browser-offer", { callId: "wacid.on_hold", sdp: "v=0" });
+
+    const refused = waitForEvent(bob, "webrtc-error");
+    bob.emit("hold-call", { callId: "wacid.on_hold" });
+    assert.equal((await refused).error, "Call is not bridged to this browser");
+
+    const held = waitForEvent(alice, "call-audio-state");
+    alice.emit("hold-call", { callId: "wacid.on_hold" });
+    assert.deepEqual(await held, { callId: "wacid.on_hold", held: true, muted: false });
+
+    const muted = waitForEvent(alice, "call-audio-state");
+    alice.emit("mute-call", { callId: "wacid.on_hold" });
+    assert.deepEqual(await muted, { callId: "wacid.on_hold", held: true, muted: true });
+
+    const resumed = waitForEvent(alice, "call-audio-state");
+    alice.emit("resume-call", { callId: "wacid.on_hold" });
+    assert.deepEqual(await resumed, { callId: "wacid.on_hold", held: false, muted: true });
+
+    const res = await ctx.http.get("/calls/wacid.on_hold", { headers: await ctx.authHeaders("sam") });
+    assert.deepEqual(res.data.call.events.map(({ type, agent }) => `${type}:${agent}`), [
+        "hold:alice",
+        "mute:alice",
+        "resume:alice"
+    ]);
+});
+
+test("a call that ends before its accept is sent is not accepted or recorded", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    await ringCall(alice, "wacid.gone_early", fixture("sdp/whatsapp-offer.sdp"));
+    alice.emit("browser-offer", { callId: "wacid.gone_early", sdp: fixture("sdp/chrome-offer.sdp") });
+    await waitUntil(() => ctx.fakeGraph.requests("pre_accept").length);
+
+    // The caller hangs up during the pause between pre_accept and accept
+    const ended = waitForEvent(alice, "call-ended");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.gone_early", from: "5511987654321", event: "terminate" }]
+    }));
+    await ended;
+
+    const started = waitForEvent(alice, "start-browser-timer", { timeout: 1500 });
+    await assert.rejects(started, /Timed out/);
+    assert.equal(ctx.fakeGraph.requests("accept").length, 0);
+});
+
+test("holding a call again and again keeps one hold music cleanup", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    await ctx.answerCall(alice, "wacid.hold_often", { bridged: true });
+
+    for (let round = 0; round < 3; round++) {
+        for (const [action, held] of [["hold-call", true], ["resume-call", false]]) {
+            const state = waitForEvent(alice, "call-audio-state");
+            alice.emit(action, { callId: "wacid.hold_often" });
+            assert.equal((await state).held, held);
+        }
+    }
+    const session = getCallSession("wacid.hold_often");
+    assert.equal(session.cleanups.filter((cleanup) => cleanup.name === "stopHoldMusic").length, 1);
+
+    const ended = waitForEvent(alice, "call-ended");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.hold_often", from: "5511987654321", event: "terminate" }]
+    }));
+    await ended;
+    assert.equal(session.holdPlayer, null);
+});
@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { estimateMos, qualityRating, readAudioStats, createQualityTracker } = require("../lib/call-quality");
+
+/**
+ * A getStats() report (a Map of stats by id) for an audio leg
+ */
+function statsReport({ jitter = 0.004, packetsLost = 0, packetsReceived = 500, rtt = 0.05, audioLevel = 0.2 } = {}) {
+    return new Map([
+        ["IT01", { id: "IT01", type: "inbound-rtp", kind: "audio", jitter, packetsLost, packetsReceived, audioLevel }],
+        ["CP01", { id: "CP01", type: "candidate-pair", nominated: true, state: "succeeded", currentRoundTripTime: rtt }],
+        ["CP02", { id: "CP02", type: "candidate-pair", nominated: false, state: "failed", currentRoundTripTime: 9 }]
+    ]);
+}
+
+test("MOS drops with latency, jitter and loss", () => {
+    const clean = estimateMos({ rttMs: 40, jitterMs: 5, lossPercent: 0 });
+    assert.ok(clean > 4.3 && clean <= 4.5, `clean MOS ${clean}`);
+    assert.ok(estimateMos({ rttMs: 400, jitterMs: 5 }) < clean);
+    assert.ok(estimateMos({ rttMs: 40, jitterMs: 60 }) < clean);
+    assert.ok(estimateMos({ rttMs: 40, jitterMs: 5, lossPercent: 10 }) < 3.5);
+    assert.equal(estimateMos({ rttMs: 5000, jitterMs: 1000, lossPercent: 100 }), 1);
+
+    assert.equal(qualityRating(4.2), "good");
+    assert.equal(qualityRating(3.7), "fair");
+    assert.equal(qualityRating(2.9), "poor");
+});
+
+test("audio stats come from the inbound RTP stream and the selected candidate pair", () => {
+    assert.deepEqual(readAudioStats(statsReport()), {
+        jitterMs: 4,
+        packetsLost: 0,
+        packetsReceived: 500,
+        rttMs: 50,
+        audioLevel: 0.2
+    });
+
+    // Without a selected pair the RTT reported by the far end is used, and older
+    // implementations report the level on the receiving track
+    const report = new Map([
+        ["IT01", { type: "inbound-rtp", mediaType: "audio", jitter: 0.01, packetsLost: 3, packetsReceived: 97 }],
+        ["RI01", { type: "remote-inbound-rtp", kind: "audio", roundTripTime: 0.12 }],
+        ["TR01", { type: "track", kind: "audio", remoteSource: true, audioLevel: 0.05 }]
+    ]);
+    assert.deepEqual(readAudioStats(report), { jitterMs: 10, packetsLost: 3, packetsReceived: 97, rttMs: 120, audioLevel: 0.05 });
+
+    assert.equal(readAudioStats(new Map([["V1", { type: "inbound-rtp", kind: "video" }]])), null);
+});
+
+test("a tracker measures loss between samples and summarizes the call", () => {
+    const tracker = createQualityTracker();
+    const pc = {};
+    assert.equal(tracker.summary(), null);
+
+    const first = tracker.sample(statsReport({ packetsReceived: 500 }), { connection: pc });
+    assert.equal(first.lossPercent, 0);
+    assert.equal(first.rating, "good");
+
+    // 50 of the 250 packets expected since the last sample were lost
+    const second = tracker.sample(statsReport({ packetsLost: 50, packetsReceived: 700, jitter: 0.03, rtt: 0.3 }), { connection: pc });
+    assert.equal(second.lossPercent, 20);
+    assert.equal(second.jitterMs, 30);
+    assert.equal(second.rating, "poor");
+
+    // A replaced connection starts counting again
+    const third = tracker.sample(statsReport({ packetsLost: 0, packetsReceived: 100 }), { connection: {} });
+    assert.equal(third.lossPercent, 0);
+
+    const summary = tracker.summary();
+    assert.equal(summary.samples, 3);
+    assert.equal(summary.maxLossPercent, 20);
+    assert.equal(summary.maxJitterMs, 30);
+    assert.equal(summary.minMos, second.mos);
+    assert.equal(summary.avgMos, Number(((first.mos + second.mos + third.mos) / 3).toFixed(2)));
+    assert.equal(summary.avgRttMs, 133.3);
+});
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createCallRecordStore } = require("../lib/call-records");
+
+function tempFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-call-records-"));
+    return path.join(dir, "calls.jsonl");
+}
+
+function readLines(filePath) {
+    return fs.readFileSync(filePath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+}
+
+test("events are appended on their own and a reload puts the record back together", () => {
+    const filePath = tempFile();
+    const store = createCallRecordStore(filePath);
+    store.create("pending_1", { direction: "outbound", callerNumber: "5511987654321" });
+    store.addEvent("pending_1", "hold", { agent: "alice" });
+    store.rename("pending_1", "wacid.renamed");
+    store.addEvent("wacid.renamed", "resume", { agent: "alice" });
+    store.finish("wacid.renamed", { status: "completed" });
+
+    const lines = readLines(filePath);
+    assert.equal(lines.length, 5);
+    assert.deepEqual(Object.keys(lines[1]), ["id", "event"]);
+    assert.ok(lines.every((line) => !line.events));
+
+    const reloaded = createCallRecordStore(filePath).get("wacid.renamed");
+    assert.deepEqual(reloaded, store.get("wacid.renamed"));
+    assert.deepEqual(reloaded.events.map(({ type }) => type), ["hold", "resume"]);
+    assert.equal(createCallRecordStore(filePath).get("pending_1"), null);
+
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
+
+test("files that repeat the events on every line still load", () => {
+    const filePath = tempFile();
+    const event = { type: "hold", at: "2026-01-01T00:00:00.000Z", agent: "alice" };
+    fs.writeFileSync(filePath, [
+        { id: "wacid.old", status: "ringing", events: [] },
+        { id: "wacid.old", status: "answered", events: [event] },
+        { id: "wacid.old", status: "completed", events: [event] }
+    ].map((record) => JSON.stringify(record)).join("\n") + "\n");
+
+    const record = createCallRecordStore(filePath).get("wacid.old");
+    assert.equal(record.status, "completed");
+    assert.deepEqual(record.events, [event]);
+
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
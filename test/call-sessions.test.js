@@ -0,0 +1,19 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createCallSession, getCallSession, renameCallSession, closeCallSession } = require("../lib/call-sessions");
+
+test("a session renamed twice is still found by each of its earlier ids", () => {
+    const session = createCallSession("pending_1", { direction: "outbound" });
+    renameCallSession("pending_1", "wacid.first");
+    renameCallSession("wacid.first", "wacid.second");
+
+    assert.equal(session.callId, "wacid.second");
+    for (const id of ["pending_1", "wacid.first", "wacid.second"]) {
+        assert.equal(getCallSession(id), session, id);
+    }
+
+    closeCallSession("pending_1");
+    for (const id of ["pending_1", "wacid.first", "wacid.second"]) {
+        assert.equal(getCallSession(id), null, id);
+    }
+});
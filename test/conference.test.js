@@ -0,0 +1,184 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeWrtc } = require("./fake-wrtc");
+const { fixture, startTestServer, waitForEvent, waitForError, webhookPayload } = require("./helpers");
+
+// Members are mixed on the server, which needs wrtc
+installFakeWrtc();
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test("an invited agent rings and can decline, which ends the conference", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    await ctx.answerCall(alice, "wacid.conf", { bridged: true });
+
+    const invited = waitForEvent(bob, "call-is-coming");
+    const updated = waitForEvent(alice, "conference-updated");
+    alice.emit("conference-add", { callId: "wacid.conf", agent: "bob" });
+
+    assert.deepEqual(await invited, {
+        callId: "wacid.conf",
+        callerName: "Caller",
+        callerNumber: "5511987654321",
+        line: { id: "default", name: "Main line", displayNumber: null, group: null },
+        conferenceFrom: "Alice"
+    });
+    assert.deepEqual((await updated).members, [
+        { id: "whatsapp:5511987654321", kind: "whatsapp", name: "Caller", status: "joined", host: true },
+        { id: "agent:alice", kind: "agent", name: "Alice", status: "joined", host: true },
+        { id: "agent:bob", kind: "agent", name: "bob", status: "invited", host: false }
+    ]);
+
+    const duplicate = waitForError(alice);
+    alice.emit("conference-add", { callId: "wacid.conf", agent: "bob" });
+    assert.equal((await duplicate).error, "Already in the conference");
+
+    const dropped = waitForEvent(bob, "call-ended");
+    const ended = waitForEvent(alice, "conference-updated");
+    bob.emit("conference-leave", { callId: "wacid.conf" });
+    assert.deepEqual(await dropped, { callId: "wacid.conf" });
+    assert.deepEqual(await ended, { callId: "wacid.conf", members: [] });
+
+    const res = await ctx.http.get("/calls/wacid.conf", { headers: await ctx.authHeaders("sam") });
+    assert.deepEqual(
+        res.data.call.events.map(({ type, member }) => [type, member]),
+        [["conference-invite", "agent:bob"], ["conference-leave", "agent:bob"]]
+    );
+
+    await ctx.endCall(alice, "wacid.conf");
+});
+
+test("only the agent handling the call adds online agents", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    await ctx.answerCall(alice, "wacid.conf_checks", { bridged: true });
+
+    for (const [socket, request, error] of [
+        [alice, { agent: "alice" }, "Agent 'alice' is not available"],
+        [alice, { agent: "sam" }, "Agent 'sam' is not available"],
+        [alice, {}, "An agent or a phone number is required"],
+        [bob, { agent: "alice" }, "Call is not bridged to this browser"]
+    ]) {
+        const refused = waitForError(socket);
+        socket.emit("conference-add", { callId: "wacid.conf_checks", ...request });
+        assert.equal((await refused).error, error);
+    }
+
+    await ctx.endCall(alice, "wacid.conf_checks");
+});
+
+/**
+ * Conference members once `status` shows up on the member `id`
+ */
+function membersOnceStatus(socket, id, status) {
+    return waitForEvent(socket, "conference-updated", {
+        filter: ({ members }) => members.some((member) => member.id === id && member.status === status)
+    }).then(({ members }) => members);
+}
+
+async function conferenceEvents(callId) {
+    const res = await ctx.http.get(`/calls/${callId}`, { headers: await ctx.authHeaders("sam") });
+    return res.data.call.events.map(({ type, member, reason }) => [type, member, reason]);
+}
+
+test("an invited agent joins on a mixed leg and can be removed by the host", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    await ctx.answerCall(alice, "wacid.conf_join", { bridged: true });
+
+    const invited = waitForEvent(bob, "call-is-coming");
+    alice.emit("conference-add", { callId: "wacid.conf_join", agent: "bob" });
+    await invited;
+
+    const answer = waitForEvent(bob, "browser-answer");
+    const started = waitForEvent(bob, "start-browser-timer");
+    const joined = membersOnceStatus(alice, "agent:bob", "joined");
+    bob.emit("browser-offer", { callId: "wacid.conf_join", sdp: fixture("sdp/chrome-offer.sdp") });
+    assert.match(await answer, /^v=0/);
+    await started;
+    assert.deepEqual((await joined).map(({ id, status }) => `${id}:${status}`), [
+        "whatsapp:5511987654321:joined",
+        "agent:alice:joined",
+        "agent:bob:joined"
+    ]);
+
+    const dropped = waitForEvent(bob, "call-ended");
+    const ended = waitForEvent(alice, "conference-updated");
+    alice.emit("conference-remove", { callId: "wacid.conf_join", memberId: "agent:bob" });
+    assert.deepEqual(await dropped, { callId: "wacid.conf_join" });
+    assert.deepEqual(await ended, { callId: "wacid.conf_join", members: [] });
+
+    assert.deepEqual(await conferenceEvents("wacid.conf_join"), [
+        ["conference-invite", "agent:bob", undefined],
+        ["conference-join", "agent:bob", undefined],
+        ["conference-leave", "agent:bob", "removed"]
+    ]);
+
+    await ctx.endCall(alice, "wacid.conf_join");
+});
+
+test("a dialed WhatsApp number joins when it answers and leaves when it hangs up", async () => {
+    ctx.fakeGraph.script("connect", {
+        body: { messaging_product: "whatsapp", calls: [{ id: "wacid.conf_leg" }] },
+        once: true
+    });
+    const alice = await ctx.connect({ as: "alice" });
+    await ctx.answerCall(alice, "wacid.conf_dial", { bridged: true });
+
+    const ringing = membersOnceStatus(alice, "whatsapp:5511900000000", "ringing");
+    alice.emit("conference-add", { callId: "wacid.conf_dial", phoneNumber: "5511900000000" });
+    await ringing;
+
+    // The server dials the number with an offer of its own
+    const connect = ctx.fakeGraph.requests("connect").at(-1);
+    assert.equal(connect.body.to, "5511900000000");
+    assert.equal(connect.body.session.sdp_type, "offer");
+
+    const joined = membersOnceStatus(alice, "whatsapp:5511900000000", "joined");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{
+            id: "wacid.conf_leg",
+            from: "5511900000000",
+            event: "connect",
+            session: { sdp_type: "answer", sdp: fixture("sdp/whatsapp-offer.sdp") }
+        }]
+    }));
+    await joined;
+
+    const ended = waitForEvent(alice, "conference-updated");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.conf_leg", from: "5511900000000", event: "terminate" }]
+    }));
+    assert.deepEqual(await ended, { callId: "wacid.conf_dial", members: [] });
+
+    assert.deepEqual(await conferenceEvents("wacid.conf_dial"), [
+        ["conference-invite", "whatsapp:5511900000000", undefined],
+        ["conference-join", "whatsapp:5511900000000", undefined],
+        ["conference-leave", "whatsapp:5511900000000", "left"]
+    ]);
+
+    await ctx.endCall(alice, "wacid.conf_dial");
+});
+
+test("a number that cannot be dialed is reported and dropped from the conference", async () => {
+    ctx.fakeGraph.failOnce("connect", { code: 138006, message: "Receiver is not reachable" });
+    const alice = await ctx.connect({ as: "alice" });
+    await ctx.answerCall(alice, "wacid.conf_unreachable", { bridged: true });
+
+    const failed = waitForError(alice);
+    const ended = waitForEvent(alice, "conference-updated", { filter: ({ members }) => members.length === 0 });
+    alice.emit("conference-add", { callId: "wacid.conf_unreachable", phoneNumber: "5511900000000" });
+    assert.equal((await failed).error, "Could not add 5511900000000: Receiver is not reachable");
+    await ended;
+
+    await ctx.endCall(alice, "wacid.conf_unreachable");
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeWrtc } = require("./fake-wrtc");
+const { createDtmfDetector, generateDtmfTones } = require("../lib/dtmf");
+const { getCallSession } = require("../lib/call-sessions");
+const { fixture, startTestServer, waitForEvent, waitUntil, webhookPayload } = require("./helpers");
+
+// In-band tones are played on the server, which needs wrtc
+installFakeWrtc();
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test("generated keypad tones are detected back as the same digits", () => {
+    for (const sampleRate of [8000, 48000]) {
+        const digits = [];
+        const detector = createDtmfDetector({ onDigit: (digit) => digits.push(digit) });
+        const { samples } = generateDtmfTones("0123456789*#ABCD", { sampleRate });
+        const frameSize = sampleRate / 100;
+        for (let i = 0; i < samples.length; i += frameSize) {
+            detector.push(samples.subarray(i, i + frameSize), sampleRate);
+        }
+        assert.equal(digits.join(""), "0123456789*#ABCD", `at ${sampleRate} Hz`);
+    }
+    assert.throws(() => generateDtmfTones("12x"), /Invalid DTMF digits/);
+});
+
+test("send-dtmf is only accepted from the agent on the call, with keypad digits", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+
+    const ringing = waitForEvent(alice, "call-is-coming", { filter: (call) => call.callId === "wacid.keypad" });
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.keypad", from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp: fixture("sdp/whatsapp-offer.sdp") } }]
+    }));
+    await ringing;
+    const answered = waitForEvent(alice, "start-browser-timer", { timeout: 3000 });
+    alice.emit("browser-offer", { callId: "wacid.keypad", sdp: fixture("sdp/chrome-offer.sdp") });
+    await answered;
+
+    const notBound = waitForEvent(bob, "webrtc-error");
+    bob.emit("send-dtmf", { callId: "wacid.keypad", digits: "1" });
+    assert.equal((await notBound).error, "Call is not bridged to this browser");
+
+    const invalid = waitForEvent(alice, "webrtc-error");
+    alice.emit("send-dtmf", { callId: "wacid.keypad", digits: "12x" });
+    assert.equal((await invalid).error, "Invalid DTMF digits");
+
+    const ended = waitForEvent(alice, "call-ended");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.keypad", from: "5511987654321", event: "terminate" }]
+    }));
+    await ended;
+});
+
+test("tones sent in several batches stop with the call through one cleanup", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const ringing = waitForEvent(alice, "call-is-coming", { filter: (call) => call.callId === "wacid.keypad_batches" });
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.keypad_batches", from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp: fixture("sdp/whatsapp-offer.sdp") } }]
+    }));
+    await ringing;
+    const answered = waitForEvent(alice, "start-browser-timer", { timeout: 3000 });
+    alice.emit("browser-offer", { callId: "wacid.keypad_batches", sdp: fixture("sdp/chrome-offer.sdp") });
+    await answered;
+
+    const session = getCallSession("wacid.keypad_batches");
+    const cleanups = session.cleanups.length;
+    for (const digits of ["1", "2", "3"]) {
+        alice.emit("send-dtmf", { callId: "wacid.keypad_batches", digits });
+        await waitUntil(() => session.dtmfPlayer);
+        await waitUntil(() => !session.dtmfPlayer);
+    }
+    assert.equal(session.cleanups.length, cleanups + 1);
+
+    alice.emit("send-dtmf", { callId: "wacid.keypad_batches", digits: "4" });
+    await waitUntil(() => session.dtmfPlayer);
+    const { track } = session.dtmfPlayer;
+
+    const ended = waitForEvent(alice, "call-ended");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.keypad_batches", from: "5511987654321", event: "terminate" }]
+    }));
+    await ended;
+    assert.equal(track.readyState, "ended");
+});
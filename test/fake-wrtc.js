@@ -0,0 +1,175 @@
+/**
+ * In-process stand-in for the wrtc module, for tests of the media paths
+ * (IVR, keypad tones, transfers, conferences, monitoring) on machines without
+ * wrtc. Peer connections negotiate instantly and deliver a remote audio track
+ * after `trackDelayMs`; no media flows unless a test feeds an audio sink. Like
+ * wrtc, they refuse a description without a media section.
+ */
+const Module = require("module");
+const fs = require("fs");
+const path = require("path");
+
+const ANSWER_SDP = fs.readFileSync(path.join(__dirname, "fixtures", "sdp", "whatsapp-offer.sdp"), "utf8");
+
+class FakeMediaStreamTrack {
+    constructor() {
+        this.kind = "audio";
+        this.readyState = "live";
+    }
+
+    stop() {
+        this.readyState = "ended";
+    }
+}
+
+class FakeMediaStream {
+    constructor(tracks = []) {
+        this.tracks = [...tracks];
+    }
+
+    addTrack(track) {
+        this.tracks.push(track);
+    }
+
+    getTracks() {
+        return this.tracks.slice();
+    }
+
+    getAudioTracks() {
+        return this.tracks.filter((track) => track.kind === "audio");
+    }
+}
+
+class FakeRTCPeerConnection {
+    constructor() {
+        this.signalingState = "stable";
+        this.connectionState = "new";
+        this.iceGatheringState = "new";
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.senders = [];
+        FakeRTCPeerConnection.created.push(this);
+    }
+
+    async setRemoteDescription(description) {
+        if (!/^m=/m.test(description.sdp || "")) {
+            throw new Error("Failed to parse SessionDescription: no media section");
+        }
+        this.remoteDescription = description;
+        // Like wrtc, the track arrives during setRemoteDescription unless delayed
+        if (!FakeRTCPeerConnection.trackDelayMs) {
+            this.deliverTrack();
+            return;
+        }
+        const timer = setTimeout(() => this.deliverTrack(), FakeRTCPeerConnection.trackDelayMs);
+        timer.unref();
+    }
+
+    deliverTrack() {
+        if (this.signalingState !== "closed") {
+            const track = new FakeMediaStreamTrack();
+            track.peerConnection = this;
+            this.ontrack?.({ track, streams: [new FakeMediaStream([track])] });
+        }
+    }
+
+    async setLocalDescription(description) {
+        this.localDescription = description;
+        this.iceGatheringState = "complete";
+    }
+
+    async createAnswer() {
+        return { type: "answer", sdp: ANSWER_SDP };
+    }
+
+    async createOffer() {
+        return { type: "offer", sdp: ANSWER_SDP };
+    }
+
+    addTrack(track) {
+        const sender = { track, replaceTrack: async (next) => {
+            sender.track = next;
+        } };
+        this.senders.push(sender);
+        return sender;
+    }
+
+    async addIceCandidate() {}
+
+    close() {
+        this.signalingState = "closed";
+        this.connectionState = "closed";
+    }
+}
+
+// Connections created so far, and how long a remote track takes to arrive
+FakeRTCPeerConnection.created = [];
+FakeRTCPeerConnection.trackDelayMs = 0;
+
+// Sent tracks remember the loudest sample sent on them (`peak`)
+class FakeRTCAudioSource {
+    constructor() {
+        this.tracks = [];
+    }
+
+    createTrack() {
+        const track = new FakeMediaStreamTrack();
+        track.peak = 0;
+        this.tracks.push(track);
+        return track;
+    }
+
+    onData({ samples }) {
+        const peak = samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+        this.tracks.forEach((track) => {
+            track.peak = Math.max(track.peak, peak);
+        });
+    }
+}
+
+// Tests feed audio through a sink's `ondata`
+class FakeRTCAudioSink {
+    constructor(track) {
+        this.track = track;
+        this.ondata = null;
+        FakeRTCAudioSink.created.push(this);
+    }
+
+    stop() {}
+}
+
+FakeRTCAudioSink.created = [];
+
+const fakeWrtc = {
+    RTCPeerConnection: FakeRTCPeerConnection,
+    RTCSessionDescription: class {
+        constructor({ type, sdp }) {
+            Object.assign(this, { type, sdp });
+        }
+    },
+    RTCIceCandidate: class {
+        constructor(candidate) {
+            Object.assign(this, candidate);
+        }
+    },
+    MediaStream: FakeMediaStream,
+    nonstandard: {
+        RTCAudioSource: FakeRTCAudioSource,
+        RTCAudioSink: FakeRTCAudioSink
+    }
+};
+
+/**
+ * Make require("wrtc") return the fake. Call before the server is loaded.
+ */
+function installFakeWrtc() {
+    const load = Module._load;
+    Module._load = function (request, ...rest) {
+        return request === "wrtc" ? fakeWrtc : load.call(this, request, ...rest);
+    };
+    return fakeWrtc;
+}
+
+module.exports = {
+    installFakeWrtc
+};
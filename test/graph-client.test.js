@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeGraph } = require("../tools/fake-graph");
+const { GraphApiError, classifyGraphError, createGraphClient } = require("../lib/graph-client");
+
+let fakeGraph;
+let delays;
+let client;
+
+before(async () => {
+    fakeGraph = await createFakeGraph().start();
+});
+
+after(async () => {
+    await fakeGraph.stop();
+});
+
+beforeEach(() => {
+    fakeGraph.reset();
+    delays = [];
+    client = createGraphClient({
+        baseUrl: fakeGraph.url,
+        phoneNumberId: "1234567890",
+        accessToken: "test-access-token",
+        maxRetries: 2,
+        sleep: async (ms) => delays.push(ms),
+        random: () => 1
+    });
+});
+
+const TERMINATE = { messaging_product: "whatsapp", call_id: "wacid.graph", action: "terminate" };
+
+test("Graph errors are classified into actionable types", () => {
+    assert.equal(classifyGraphError(401, { code: 190 }), "auth_expired");
+    assert.equal(classifyGraphError(403, { code: 200 }), "permission_missing");
+    assert.equal(classifyGraphError(400, { code: 10 }), "permission_missing");
+    assert.equal(classifyGraphError(400, { code: 130429 }), "rate_limited");
+    assert.equal(classifyGraphError(429, {}), "rate_limited");
+    assert.equal(classifyGraphError(500, { code: 1 }), "transient");
+    assert.equal(classifyGraphError(503, {}), "transient");
+    assert.equal(classifyGraphError(400, { code: 100, message: "Invalid parameter", error_data: { details: "Invalid SDP: missing fingerprint" } }), "invalid_sdp");
+    assert.equal(classifyGraphError(400, { code: 100, message: "Invalid parameter" }), "invalid_request");
+});
+
+test("transient failures are retried with exponential backoff", async () => {
+    fakeGraph.failOnce("terminate", { status: 503, code: 2, message: "Service temporarily unavailable" });
+    fakeGraph.failOnce("terminate", { status: 500, code: 1, message: "An unknown error occurred" });
+
+    assert.deepEqual(await client.postCallAction(TERMINATE), { success: true });
+    assert.equal(fakeGraph.requests("terminate").length, 3);
+    assert.deepEqual(delays, [250, 500]);
+    assert.equal(fakeGraph.requests("terminate")[0].authorization, "Bearer test-access-token");
+});
+
+test("retries are bounded and the last error is thrown with its type", async () => {
+    fakeGraph.script("terminate", { status: 503, body: { error: { message: "Down", code: 2, fbtrace_id: "trace-1" } } });
+
+    const error = await client.postCallAction(TERMINATE).catch((err) => err);
+    assert.ok(error instanceof GraphApiError);
+    assert.equal(error.type, "transient");
+    assert.equal(error.attempts, 3);
+    assert.equal(error.fbtraceId, "trace-1");
+    assert.equal(fakeGraph.requests("terminate").length, 3);
+});
+
+test("errors that need a person to act are not retried", async () => {
+    fakeGraph.failOnce("terminate", { status: 401, code: 190, message: "Error validating access token: Session has expired" });
+
+    const error = await client.postCallAction(TERMINATE).catch((err) => err);
+    assert.equal(error.type, "auth_expired");
+    assert.equal(error.retryable, false);
+    assert.equal(fakeGraph.requests("terminate").length, 1);
+});
+
+test("rate limits wait as long as Graph asks, and give up when that is too long", async () => {
+    fakeGraph.script("terminate", { status: 429, body: { error: { message: "Too many calls", code: 130429 } }, headers: { "Retry-After": "2" }, once: true });
+    assert.deepEqual(await client.postCallAction(TERMINATE), { success: true });
+    assert.deepEqual(delays, [2000]);
+
+    fakeGraph.script("terminate", { status: 400, body: { error: { message: "Too many calls", code: 80007 } }, headers: { "Retry-After": "60" }, once: true });
+    const error = await client.postCallAction(TERMINATE).catch((err) => err);
+    assert.equal(error.type, "rate_limited");
+    assert.equal(error.retryAfterMs, 60000);
+});
+
+test("placing a call is only retried when rate limited", async () => {
+    const connect = { messaging_product: "whatsapp", to: "5511987654321", action: "connect" };
+    fakeGraph.failOnce("connect", { status: 500, code: 1, message: "An unknown error occurred" });
+    const error = await client.postCallAction(connect, { idempotent: false }).catch((err) => err);
+    assert.equal(error.type, "transient");
+    assert.equal(fakeGraph.requests("connect").length, 1);
+
+    fakeGraph.failOnce("connect", { status: 429, code: 130429, message: "Rate limit hit" });
+    const data = await client.postCallAction(connect, { idempotent: false });
+    assert.match(data.calls[0].id, /^wacid\.fake_/);
+});
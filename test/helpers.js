@@ -0,0 +1,239 @@
+/**
+ * Shared helpers for the end-to-end tests: boots server.js against the fake
+ * Graph API, signs webhook deliveries and drives Socket.IO clients.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { io: ioClient } = require("socket.io-client");
+const { createFakeGraph } = require("../tools/fake-graph");
+const { signPayload } = require("../lib/webhook-signature");
+const { createAgentStore } = require("../lib/agent-auth");
+
+const APP_SECRET = "test-app-secret";
+const API_TOKEN = "test-api-token";
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// Agent accounts written to the agents file of every test server
+const TEST_AGENTS = {
+    alice: { password: "alice-password", name: "Alice", role: "agent", groups: ["sales"] },
+    bob: { password: "bob-password", name: "Bob", role: "agent", groups: ["support"] },
+    sam: { password: "sam-password", name: "Sam", role: "supervisor", groups: ["sales", "support"] },
+    sue: { password: "sue-password", name: "Sue", role: "supervisor", groups: ["billing"] }
+};
+
+/**
+ * Read a fixture file (JSON fixtures are parsed)
+ */
+function fixture(name) {
+    const content = fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+    return name.endsWith(".json") ? JSON.parse(content) : content;
+}
+
+/**
+ * Start server.js on a random port, wired to a fresh fake Graph API.
+ * Each test file runs in its own process, so the server module is loaded once.
+ */
+async function startTestServer(env = {}) {
+    const fakeGraph = await createFakeGraph().start();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-call-test-"));
+    const agentsFile = path.join(dataDir, "agents.json");
+    const agentStore = createAgentStore(agentsFile);
+    Object.entries(TEST_AGENTS).forEach(([username, agent]) => agentStore.save({ username, ...agent }));
+
+    Object.assign(process.env, {
+        GRAPH_API_BASE_URL: fakeGraph.url,
+        PHONE_NUMBER_ID: "1234567890",
+        ACCESS_TOKEN: "test-access-token",
+        VERIFY_TOKEN: "test-verify-token",
+        APP_SECRET,
+        API_TOKEN,
+        DATA_DIR: dataDir,
+        AGENTS_FILE: agentsFile,
+        AUTH_SECRET: "test-auth-secret",
+        RECORD_CALLS: "false",
+        ...env
+    });
+
+    // The server is chatty; keep test output readable unless asked otherwise
+    if (!process.env.TEST_VERBOSE) {
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+    }
+
+    const { server, io } = require("../server");
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const sockets = [];
+
+    const http = axios.create({ baseURL: baseUrl, validateStatus: () => true });
+    const tokens = {};
+
+    /**
+     * Log in as one of the test agents and return its token
+     */
+    async function login(username = "alice") {
+        if (!tokens[username]) {
+            const res = await http.post("/login", { username, password: TEST_AGENTS[username].password });
+            tokens[username] = res.data.token;
+        }
+        return tokens[username];
+    }
+
+    /**
+     * POST a webhook delivery signed with the test app secret
+     */
+    function postWebhook(payload, { secret = APP_SECRET, signature } = {}) {
+        const body = JSON.stringify(payload);
+        const headers = { "Content-Type": "application/json" };
+        if (signature !== null) {
+            headers["X-Hub-Signature-256"] = signature || signPayload(body, secret);
+        }
+        return http.post("/webhook", body, { headers });
+    }
+
+    return {
+        baseUrl,
+        fakeGraph,
+        http,
+        login,
+        postWebhook,
+
+        /**
+         * Authorization header for REST calls made as a test agent
+         */
+        async authHeaders(username = "alice") {
+            return { Authorization: `Bearer ${await login(username)}` };
+        },
+
+        /**
+         * Open a Socket.IO client (logged in as alice unless `as` or `auth` says otherwise)
+         * and wait for it to connect
+         */
+        async connect({ as = "alice", ...options } = {}) {
+            const auth = options.auth || { token: await login(as) };
+            const socket = ioClient(baseUrl, { transports: ["websocket"], forceNew: true, ...options, auth });
+            sockets.push(socket);
+            await Promise.race([
+                waitForEvent(socket, "connect"),
+                waitForEvent(socket, "connect_error").then((error) => Promise.reject(error))
+            ]);
+            return socket;
+        },
+
+        /**
+         * Ring an incoming call and have `socket` answer it. With `bridged`, wait
+         * until the media bridge is up, which needs test/fake-wrtc.js.
+         */
+        async answerCall(socket, callId, { bridged = false } = {}) {
+            const ringing = waitForEvent(socket, "call-is-coming", { filter: (call) => call.callId === callId });
+            await postWebhook(webhookPayload({
+                calls: [{ id: callId, from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp: fixture("sdp/whatsapp-offer.sdp") } }],
+                contacts: [{ profile: { name: "Caller" }, wa_id: "5511987654321" }]
+            }));
+            await ringing;
+            const answered = bridged && waitForEvent(socket, "start-browser-timer", { timeout: 3000 });
+            socket.emit("browser-offer", { callId, sdp: fixture("sdp/chrome-offer.sdp") });
+            await answered;
+        },
+
+        /**
+         * Have the caller hang up and wait for `socket` to see the call end
+         */
+        async endCall(socket, callId) {
+            const ended = waitForEvent(socket, "call-ended", { filter: (call) => call.callId === callId });
+            await postWebhook(webhookPayload({
+                calls: [{ id: callId, from: "5511987654321", event: "terminate" }]
+            }));
+            await ended;
+        },
+
+        async close() {
+            sockets.forEach((socket) => socket.close());
+            await new Promise((resolve) => io.close(() => resolve()));
+            await fakeGraph.stop();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Resolve with the payload of the next matching event, or reject after a timeout
+ */
+function waitForEvent(socket, event, { timeout = 2000, filter = () => true } = {}) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, handler);
+            reject(new Error(`Timed out waiting for '${event}'`));
+        }, timeout);
+
+        function handler(payload) {
+            if (!filter(payload)) {
+                return;
+            }
+            clearTimeout(timer);
+            socket.off(event, handler);
+            resolve(payload);
+        }
+
+        socket.on(event, handler);
+    });
+}
+
+/**
+ * Next webrtc-error that is not about the media bridge (which cannot come up without wrtc)
+ */
+function waitForError(socket) {
+    return waitForEvent(socket, "webrtc-error", { filter: ({ error }) => !error.startsWith("WebRTC Bridge Error") });
+}
+
+/**
+ * Resolve once `predicate` returns a truthy value
+ */
+async function waitUntil(predicate, { timeout = 2000, interval = 10 } = {}) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const result = await predicate();
+        if (result) {
+            return result;
+        }
+        await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+    throw new Error("Timed out waiting for condition");
+}
+
+/**
+ * Wrap call events (and optional contacts/statuses) in a webhook delivery
+ */
+function webhookPayload({ calls, contacts, statuses } = {}) {
+    return {
+        object: "whatsapp_business_account",
+        entry: [{
+            id: "102290129340398",
+            changes: [{
+                field: "calls",
+                value: {
+                    messaging_product: "whatsapp",
+                    metadata: { display_phone_number: "15550001111", phone_number_id: "1234567890" },
+                    ...(contacts && { contacts }),
+                    ...(calls && { calls }),
+                    ...(statuses && { statuses })
+                }
+            }]
+        }]
+    };
+}
+
+module.exports = {
+    APP_SECRET,
+    API_TOKEN,
+    TEST_AGENTS,
+    fixture,
+    startTestServer,
+    waitForEvent,
+    waitForError,
+    waitUntil,
+    webhookPayload
+};
@@ -0,0 +1,83 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeWrtc } = require("./fake-wrtc");
+const { startTestServer, waitForEvent, waitForError, webhookPayload } = require("./helpers");
+const { getCallSession } = require("../lib/call-sessions");
+
+// Legs that drop and recover are watched on the server's peer connections, which needs wrtc
+installFakeWrtc();
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+function restartIce(socket, callId) {
+    const error = waitForError(socket);
+    socket.emit("browser-ice-restart", { callId, sdp: "v=0" });
+    return error.then(({ error }) => error);
+}
+
+test("an ICE restart is only taken from the agent's browser, on a new socket once the old one is gone", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+
+    const ringing = waitForEvent(alice, "call-is-coming", { filter: (call) => call.callId === "wacid.restart" });
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.restart", from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp: "v=0" } }]
+    }));
+    await ringing;
+    alice.emit("browser-offer", { callId: "wacid.restart", sdp: "v=0" });
+    await waitForEvent(alice, "webrtc-error");
+
+    assert.equal(await restartIce(bob, "wacid.restart"), "Call is not bridged to this browser");
+    assert.equal(await restartIce(bob, "wacid.unknown"), "Call is no longer available");
+
+    // A second console of the same agent cannot take the call while the first is connected
+    const aliceAgain = await ctx.connect({ as: "alice" });
+    assert.equal(await restartIce(aliceAgain, "wacid.restart"), "Call is not bridged to this browser");
+
+    // After a network change the call moves to the new socket (media cannot renegotiate in tests)
+    alice.disconnect();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.match(await restartIce(aliceAgain, "wacid.restart"), /^Reconnect failed/);
+
+    const invalid = waitForError(aliceAgain);
+    aliceAgain.emit("send-dtmf", { callId: "wacid.restart", digits: "x" });
+    assert.equal((await invalid).error, "Invalid DTMF digits");
+
+    aliceAgain.emit("terminate-call", "wacid.restart");
+});
+
+test("a leg that keeps dropping is recovered each time and its timers go with the call", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    await ctx.answerCall(alice, "wacid.flapping", { bridged: true });
+    const session = getCallSession("wacid.flapping");
+    const pc = session.browserPc;
+
+    function setConnectionState(state) {
+        pc.connectionState = state;
+        pc.onconnectionstatechange();
+    }
+
+    for (let drop = 0; drop < 3; drop++) {
+        const reconnecting = waitForEvent(alice, "call-reconnecting");
+        setConnectionState("disconnected");
+        assert.deepEqual(await reconnecting, { callId: "wacid.flapping", leg: "browser", recoverySeconds: 20 });
+
+        const reconnected = waitForEvent(alice, "call-reconnected");
+        setConnectionState("connected");
+        assert.deepEqual(await reconnected, { callId: "wacid.flapping", leg: "browser" });
+    }
+    assert.equal(session.cleanups.filter((cleanup) => cleanup.name === "stopLegRecovery").length, 1);
+
+    // The call ends while the leg is still recovering
+    setConnectionState("failed");
+    await ctx.endCall(alice, "wacid.flapping");
+    assert.deepEqual(session.reconnecting, {});
+});
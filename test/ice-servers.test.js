@@ -0,0 +1,73 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadIceConfig, createTurnCredentials, buildIceServers } = require("../lib/ice-servers");
+const { startTestServer } = require("./helpers");
+
+const TURN_SECRET = "test-turn-secret";
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer({
+        STUN_URLS: "stun:stun.example.com:3478",
+        TURN_URLS: "turn:turn.example.com:3478, turns:turn.example.com:5349?transport=tcp",
+        TURN_SECRET,
+        TURN_TTL_SECONDS: "600"
+    });
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test("TURN credentials follow the TURN REST API scheme", () => {
+    const now = Date.UTC(2026, 0, 1);
+    const { username, credential, expiresAt } = createTurnCredentials("secret", { user: "alice", ttlSeconds: 600, now });
+
+    assert.equal(expiresAt, now / 1000 + 600);
+    assert.equal(username, `${expiresAt}:alice`);
+    assert.equal(credential, crypto.createHmac("sha1", "secret").update(username).digest("base64"));
+});
+
+test("ICE config is read from the environment or a config file", () => {
+    assert.deepEqual(buildIceServers(loadIceConfig({})), [{ urls: ["stun:stun.l.google.com:19302"] }]);
+
+    const config = loadIceConfig({
+        STUN_URLS: "",
+        TURN_URLS: "turn:turn.example.com:3478",
+        TURN_USERNAME: "static",
+        TURN_CREDENTIAL: "password"
+    });
+    assert.deepEqual(buildIceServers(config), [
+        { urls: ["turn:turn.example.com:3478"], username: "static", credential: "password" }
+    ]);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-call-ice-"));
+    const file = path.join(dir, "ice.json");
+    fs.writeFileSync(file, JSON.stringify({ stun: ["stun:a.example.com"], turn: { urls: ["turn:b.example.com"], secret: "s" } }));
+    const [stun, turn] = buildIceServers(loadIceConfig({ ICE_CONFIG_FILE: file }), { user: "bob" });
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert.deepEqual(stun, { urls: ["stun:a.example.com"] });
+    assert.match(turn.username, /^\d+:bob$/);
+
+    assert.throws(() => loadIceConfig({ TURN_URLS: "turn:turn.example.com" }), /shared secret or a username/);
+});
+
+test("/ice-servers hands each agent fresh TURN credentials", async () => {
+    assert.equal((await ctx.http.get("/ice-servers")).status, 401);
+
+    const res = await ctx.http.get("/ice-servers", { headers: await ctx.authHeaders("alice") });
+    assert.equal(res.data.ttlSeconds, 600);
+
+    const [stun, turn] = res.data.iceServers;
+    assert.deepEqual(stun, { urls: ["stun:stun.example.com:3478"] });
+    assert.deepEqual(turn.urls, ["turn:turn.example.com:3478", "turns:turn.example.com:5349?transport=tcp"]);
+
+    const [expiresAt, user] = turn.username.split(":");
+    assert.equal(user, "alice");
+    assert.ok(Math.abs(Number(expiresAt) - (Date.now() / 1000 + 600)) < 10);
+    assert.equal(turn.credential, crypto.createHmac("sha1", TURN_SECRET).update(turn.username).digest("base64"));
+});
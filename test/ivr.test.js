@@ -0,0 +1,184 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { installFakeWrtc } = require("./fake-wrtc");
+const { fixture, startTestServer, waitUntil, webhookPayload } = require("./helpers");
+const { loadIvrMenu, createIvrRun } = require("../lib/ivr");
+const { createDtmfDetector } = require("../lib/dtmf");
+const { createWavWriter } = require("../lib/wav");
+
+// The IVR answers calls on the server, which needs wrtc
+const wrtc = installFakeWrtc();
+
+const DTMF_FREQUENCIES = { 1: [697, 1209], 5: [770, 1336], 9: [852, 1477], 0: [941, 1336], "#": [941, 1477] };
+
+/**
+ * A key press as PCM: both DTMF tones for `ms` milliseconds
+ */
+function dtmfTone(digit, sampleRate, ms) {
+    const [low, high] = DTMF_FREQUENCIES[digit];
+    const samples = new Int16Array((sampleRate * ms) / 1000);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = 8000 * (Math.sin((2 * Math.PI * low * i) / sampleRate) + Math.sin((2 * Math.PI * high * i) / sampleRate));
+    }
+    return samples;
+}
+
+const menuDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-call-ivr-"));
+let ctx;
+
+before(async () => {
+    const prompt = createWavWriter(path.join(menuDir, "welcome.wav"));
+    prompt.write(new Int16Array(4800));
+    await prompt.close();
+    const menuFile = path.join(menuDir, "server-menu.json");
+    fs.writeFileSync(menuFile, JSON.stringify({
+        menus: { main: { prompt: "welcome.wav", timeoutSeconds: 30, options: { 1: { action: "queue" } } } }
+    }));
+    ctx = await startTestServer({ IVR_MENU_FILE: menuFile });
+});
+
+after(async () => {
+    await ctx.close();
+    fs.rmSync(menuDir, { recursive: true, force: true });
+});
+
+function writeMenu(config) {
+    const filePath = path.join(menuDir, "menu.json");
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+}
+
+/**
+ * Menu as loadIvrMenu returns it, with prompts standing in for audio
+ */
+function loadMenu(config) {
+    return loadIvrMenu(writeMenu(config), { loadAudio: (filePath) => path.basename(filePath) });
+}
+
+const MENU = {
+    start: "main",
+    menus: {
+        main: {
+            prompt: "welcome.wav",
+            timeoutSeconds: 0.02,
+            retries: 1,
+            options: {
+                1: { action: "queue", group: "sales" },
+                2: { action: "menu", menu: "support" },
+                3: { action: "voicemail" }
+            },
+            default: { action: "hangup" }
+        },
+        support: {
+            prompt: "support.wav",
+            options: { 1: { action: "queue", group: "support" } }
+        }
+    }
+};
+
+/**
+ * Start a run whose prompts end straight away, recording what was played
+ */
+function startRun(menu) {
+    const played = [];
+    let resolveRoute;
+    const routed = new Promise((resolve) => {
+        resolveRoute = resolve;
+    });
+    const run = createIvrRun({
+        menu,
+        play: (audio, onEnded) => {
+            played.push(audio);
+            setImmediate(onEnded);
+            return () => {};
+        },
+        onRoute: resolveRoute
+    });
+    return { run, played, routed };
+}
+
+test("menu files are validated and prompts resolved next to them", () => {
+    const menu = loadMenu(MENU);
+    assert.equal(menu.start, "main");
+    assert.equal(menu.menus.main.prompt, "welcome.wav");
+    assert.equal(menu.menus.support.timeoutSeconds, 5);
+    assert.deepEqual(menu.menus.support.default, { action: "queue" });
+
+    assert.throws(() => loadMenu({ menus: {} }), /Start menu 'main' is not defined/);
+    assert.throws(
+        () => loadMenu({ menus: { main: { options: { 1: { action: "dance" } } } } }),
+        /Menu 'main' option 1: action must be one of queue, menu, voicemail, hangup/
+    );
+    assert.throws(
+        () => loadMenu({ menus: { main: { options: { 1: { action: "menu", menu: "nope" } } } } }),
+        /unknown menu 'nope'/
+    );
+    assert.throws(() => loadMenu({ menus: { main: { options: { 12: { action: "queue" } } } } }), /not a keypad digit/);
+});
+
+test("digits walk the caller through sub-menus to a route", async () => {
+    const { run, played, routed } = startRun(loadMenu(MENU));
+    run.handleDigit("2");
+    run.handleDigit("1");
+    assert.deepEqual(await routed, { action: "queue", group: "support" });
+    assert.deepEqual(played, ["welcome.wav", "support.wav"]);
+    assert.deepEqual(run.digits, ["2", "1"]);
+
+    // Digits after the caller was routed are ignored
+    run.handleDigit("3");
+    assert.deepEqual(run.digits, ["2", "1"]);
+});
+
+test("the menu is repeated on no input and invalid digits, then the default applies", async () => {
+    const { run, played, routed } = startRun(loadMenu(MENU));
+    run.handleDigit("7");
+    assert.deepEqual(await routed, { action: "hangup" });
+    assert.deepEqual(played, ["welcome.wav", "welcome.wav"]);
+});
+
+test("DTMF key presses are detected once each at any sample rate", () => {
+    for (const sampleRate of [8000, 16000, 48000]) {
+        const digits = [];
+        const detector = createDtmfDetector({ onDigit: (digit) => digits.push(digit) });
+        const frameSize = sampleRate / 100;
+
+        for (const digit of "15590#") {
+            const tone = dtmfTone(digit, sampleRate, 80);
+            for (let i = 0; i < tone.length; i += frameSize) {
+                detector.push(tone.subarray(i, i + frameSize), sampleRate);
+            }
+            detector.push(new Int16Array(sampleRate / 20), sampleRate);
+        }
+        // A single tone is not a key press
+        const [low] = DTMF_FREQUENCIES[1];
+        detector.push(Int16Array.from({ length: sampleRate / 5 }, (_, i) => 8000 * Math.sin((2 * Math.PI * low * i) / sampleRate)), sampleRate);
+
+        assert.equal(digits.join(""), "15590#", `at ${sampleRate} Hz`);
+    }
+});
+
+test("a redelivered connect neither holds up the webhook nor answers the call twice", async () => {
+    // Answering waits for the caller's audio track
+    wrtc.RTCPeerConnection.trackDelayMs = 300;
+    const connect = webhookPayload({
+        calls: [{ id: "wacid.ivr_twice", from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp: fixture("sdp/whatsapp-offer.sdp") } }],
+        contacts: [{ profile: { name: "Caller" }, wa_id: "5511987654321" }]
+    });
+
+    assert.equal((await ctx.postWebhook(connect)).status, 200);
+    assert.equal(ctx.fakeGraph.requests("pre_accept").length, 0);
+    assert.equal((await ctx.postWebhook(connect)).status, 200);
+
+    await waitUntil(() => ctx.fakeGraph.requests("accept").length);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(ctx.fakeGraph.requests("pre_accept").length, 1);
+    assert.equal(ctx.fakeGraph.requests("accept").length, 1);
+    assert.equal(wrtc.RTCPeerConnection.created.length, 1);
+
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.ivr_twice", from: "5511987654321", event: "terminate" }]
+    }));
+});
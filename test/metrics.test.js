@@ -0,0 +1,111 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { API_TOKEN, fixture, startTestServer, waitForEvent, waitUntil, webhookPayload } = require("./helpers");
+const { createMetricsRegistry } = require("../lib/metrics");
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+async function scrape() {
+    const res = await ctx.http.get("/metrics", { headers: { Authorization: `Bearer ${API_TOKEN}` } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-type"], /^text\/plain/);
+    return res.data;
+}
+
+test("the registry renders counters, gauges and histograms in the Prometheus text format", () => {
+    const metrics = createMetricsRegistry({ prefix: "test_" });
+    const events = metrics.counter("events_total", "Events", { labelNames: ["kind"] });
+    metrics.gauge("open", "Open things", { collect: () => 3 });
+    const latency = metrics.histogram("latency_seconds", "Latency", { buckets: [0.1, 1] });
+
+    events.inc({ kind: "a \"quoted\"" });
+    events.inc({ kind: "a \"quoted\"" }, 2);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+
+    assert.equal(metrics.render(), [
+        "# HELP test_events_total Events",
+        "# TYPE test_events_total counter",
+        "test_events_total{kind=\"a \\\"quoted\\\"\"} 3",
+        "# HELP test_open Open things",
+        "# TYPE test_open gauge",
+        "test_open 3",
+        "# HELP test_latency_seconds Latency",
+        "# TYPE test_latency_seconds histogram",
+        "test_latency_seconds_bucket{le=\"0.1\"} 1",
+        "test_latency_seconds_bucket{le=\"1\"} 2",
+        "test_latency_seconds_bucket{le=\"+Inf\"} 2",
+        "test_latency_seconds_sum 0.55",
+        "test_latency_seconds_count 2",
+        ""
+    ].join("\n"));
+    assert.throws(() => metrics.counter("events_total", "Again"), /already registered/);
+});
+
+test("/metrics is limited to admins", async () => {
+    assert.equal((await ctx.http.get("/metrics")).status, 401);
+    assert.equal((await ctx.http.get("/metrics", { headers: await ctx.authHeaders("sam") })).status, 403);
+});
+
+test("/metrics counts call events, Graph requests and failures, calls and sockets", async () => {
+    const socket = await ctx.connect();
+    const ringing = waitForEvent(socket, "call-is-coming");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.metrics", from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp: "v=0" } }],
+        contacts: [{ profile: { name: "Caller" }, wa_id: "5511987654321" }]
+    }));
+    await ringing;
+
+    let body = await scrape();
+    assert.match(body, /^wpcall_call_events_total\{direction="inbound",event="connect"\} 1$/m);
+    assert.match(body, /^wpcall_active_calls\{direction="inbound"\} 1$/m);
+    assert.match(body, /^wpcall_connected_sockets 1$/m);
+
+    ctx.fakeGraph.failOnce("reject", { status: 401, code: 190, message: "Error validating access token" });
+    socket.emit("reject-call", "wacid.metrics");
+    await waitUntil(() => ctx.fakeGraph.requests("reject").length);
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.metrics", from: "5511987654321", event: "terminate" }]
+    }));
+
+    body = await waitUntil(async () => {
+        const text = await scrape();
+        return /^wpcall_graph_request_duration_seconds_count\{action="reject"\} 1$/m.test(text) && text;
+    });
+    assert.match(body, /^wpcall_graph_request_errors_total\{action="reject",type="auth_expired"\} 1$/m);
+    assert.match(body, /^wpcall_call_events_total\{direction="inbound",event="terminate"\} 1$/m);
+    assert.match(body, /^wpcall_active_calls\{direction="inbound"\} 0$/m);
+    assert.match(body, /^# HELP wpcall_bridge_setup_seconds Time from an agent answering or the IVR picking up an inbound call to its accept \(ringing not included\)$/m);
+    assert.match(body, /^# TYPE wpcall_bridge_setup_seconds histogram$/m);
+    assert.match(body, /^# TYPE wpcall_ice_failures_total counter$/m);
+    assert.match(body, /^# TYPE wpcall_queued_ice_candidates_total counter$/m);
+});
+
+test("events for a call that already ended keep the call's direction", async () => {
+    const socket = await ctx.connect();
+    const start = waitForEvent(socket, "start-outgoing-call-webrtc");
+    await ctx.http.post("/initiate-call", { phoneNumber: "5511987654321", socketId: socket.id }, { headers: await ctx.authHeaders() });
+    const initiated = waitForEvent(socket, "outgoing-call-initiated");
+    socket.emit("browser-offer", { callId: (await start).callId, sdp: fixture("sdp/chrome-offer.sdp") });
+    const { callId } = await initiated;
+
+    // The agent hangs up; Meta's terminate arrives once the session is gone
+    const ended = waitForEvent(socket, "call-ended");
+    socket.emit("terminate-outbound-call", callId);
+    await ended;
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: callId, to: "5511987654321", event: "terminate" }]
+    }));
+
+    const body = await scrape();
+    assert.match(body, /^wpcall_call_events_total\{direction="outbound",event="terminate"\} 1$/m);
+    assert.match(body, /^wpcall_call_events_total\{direction="inbound",event="terminate"\} 1$/m);
+});
@@ -0,0 +1,147 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeWrtc } = require("./fake-wrtc");
+const { fixture, startTestServer, waitForEvent, waitForError } = require("./helpers");
+const { getCallSession } = require("../lib/call-sessions");
+
+// Calls are mixed for supervisors on the server, which needs wrtc
+const wrtc = installFakeWrtc();
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+async function liveCalls(username) {
+    const res = await ctx.http.get("/live-calls", { headers: await ctx.authHeaders(username) });
+    return res.status === 200 ? res.data.calls.map((call) => call.callId) : res.status;
+}
+
+test("supervisors see the live calls of agents in their groups", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    await ctx.answerCall(alice, "wacid.live", { bridged: true });
+
+    assert.deepEqual(await liveCalls("sam"), ["wacid.live"]);
+    assert.deepEqual(await liveCalls("sue"), []);
+    assert.equal(await liveCalls("alice"), 403);
+
+    const res = await ctx.http.get("/live-calls", { headers: await ctx.authHeaders("sam") });
+    assert.deepEqual(
+        (({ callerName, phoneNumber, agent, agentName, monitors }) => ({ callerName, phoneNumber, agent, agentName, monitors }))(res.data.calls[0]),
+        { callerName: "Caller", phoneNumber: "5511987654321", agent: "alice", agentName: "Alice", monitors: [] }
+    );
+    await ctx.endCall(alice, "wacid.live");
+});
+
+test("monitoring is refused without permission on the call", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    const sam = await ctx.connect({ as: "sam" });
+    const sue = await ctx.connect({ as: "sue" });
+    await ctx.answerCall(alice, "wacid.monitor_checks", { bridged: true });
+
+    for (const [socket, request, error] of [
+        [bob, {}, "Only supervisors can monitor calls"],
+        [sue, {}, "Agent 'alice' is not in your groups"],
+        [sam, { mode: "spy" }, "Unknown monitor mode 'spy'"],
+        [sam, { callId: "wacid.unknown" }, "Call is not live"]
+    ]) {
+        const refused = waitForError(socket);
+        socket.emit("monitor-call", { callId: "wacid.monitor_checks", sdp: "v=0", ...request });
+        assert.equal((await refused).error, error);
+    }
+
+    const notMonitoring = waitForError(sam);
+    sam.emit("monitor-mode", { callId: "wacid.monitor_checks", mode: "barge" });
+    assert.equal((await notMonitoring).error, "Not monitoring this call");
+
+    await ctx.endCall(alice, "wacid.monitor_checks");
+});
+
+test("a supervisor whose browser leg cannot be negotiated is dropped", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const sam = await ctx.connect({ as: "sam" });
+    await ctx.answerCall(alice, "wacid.monitor", { bridged: true });
+
+    const failed = waitForError(sam);
+    const ended = waitForEvent(sam, "call-ended");
+    sam.emit("monitor-call", { callId: "wacid.monitor", mode: "whisper", sdp: "v=0" });
+    assert.match((await failed).error, /^Monitoring failed: /);
+    assert.deepEqual(await ended, { callId: "wacid.monitor" });
+
+    // The agent is not told about a supervisor who never connected
+    const coaching = waitForEvent(alice, "coaching-state", { timeout: 200 });
+    await assert.rejects(coaching, /Timed out/);
+    assert.equal(getCallSession("wacid.monitor").monitoring, null);
+
+    await ctx.endCall(alice, "wacid.monitor");
+});
+
+/**
+ * Who hears the supervisor: play a burst of audio from their browser and see
+ * which of the call's legs it is mixed into
+ */
+async function supervisorAudience(session, username) {
+    const { mixer, monitors, agentTrack, callerTrack } = session.monitoring;
+    const sink = wrtc.nonstandard.RTCAudioSink.created.find(({ track }) => track.peerConnection === monitors.get(username).browserPc);
+    agentTrack.peak = 0;
+    callerTrack.peak = 0;
+    sink.ondata({ samples: new Int16Array(960).fill(8000), sampleRate: 48000, channelCount: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.deepEqual(mixer.participants(), ["caller", "agent", `supervisor:${username}`]);
+    return [["agent", agentTrack], ["caller", callerTrack]]
+        .filter(([, track]) => track.peak > 0)
+        .map(([leg]) => leg);
+}
+
+test("a supervisor listens, whispers to the agent and barges in", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const sam = await ctx.connect({ as: "sam" });
+    await ctx.answerCall(alice, "wacid.coached", { bridged: true });
+    const session = getCallSession("wacid.coached");
+
+    const answer = waitForEvent(sam, "browser-answer");
+    const listening = waitForEvent(sam, "monitor-state");
+    sam.emit("monitor-call", { callId: "wacid.coached", mode: "listen", sdp: fixture("sdp/chrome-offer.sdp") });
+    assert.match(await answer, /^v=0/);
+    assert.deepEqual(await listening, { callId: "wacid.coached", mode: "listen" });
+    assert.deepEqual(await supervisorAudience(session, "sam"), []);
+    // Listening leaves the call's legs on their direct bridge
+    assert.equal(session.browserSender.track, session.whatsappStream.getAudioTracks()[0]);
+    assert.equal(session.whatsappSender.track, session.browserStream.getAudioTracks()[0]);
+
+    const whispering = waitForEvent(alice, "coaching-state");
+    sam.emit("monitor-mode", { callId: "wacid.coached", mode: "whisper" });
+    assert.deepEqual(await whispering, { callId: "wacid.coached", coaches: [{ name: "Sam", mode: "whisper" }] });
+    assert.deepEqual(await supervisorAudience(session, "sam"), ["agent"]);
+    assert.equal(session.browserSender.track, session.monitoring.agentTrack);
+    assert.equal(session.whatsappSender.track, session.browserStream.getAudioTracks()[0]);
+
+    const barging = waitForEvent(alice, "coaching-state");
+    sam.emit("monitor-mode", { callId: "wacid.coached", mode: "barge" });
+    assert.deepEqual((await barging).coaches, [{ name: "Sam", mode: "barge" }]);
+    assert.deepEqual(await supervisorAudience(session, "sam"), ["agent", "caller"]);
+    assert.equal(session.whatsappSender.track, session.monitoring.callerTrack);
+
+    const left = waitForEvent(alice, "coaching-state");
+    sam.emit("monitor-leave", { callId: "wacid.coached" });
+    assert.deepEqual((await left).coaches, []);
+    assert.equal(session.monitoring, null);
+    assert.equal(session.browserSender.track, session.whatsappStream.getAudioTracks()[0]);
+
+    const res = await ctx.http.get("/calls/wacid.coached", { headers: await ctx.authHeaders("sam") });
+    assert.deepEqual(res.data.call.events.map(({ type, mode, reason }) => `${type}:${mode || reason}`), [
+        "monitor:listen",
+        "monitor:whisper",
+        "monitor:barge",
+        "monitor-end:left"
+    ]);
+
+    await ctx.endCall(alice, "wacid.coached");
+});
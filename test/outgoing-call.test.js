@@ -0,0 +1,160 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    API_TOKEN,
+    fixture,
+    startTestServer,
+    waitForEvent,
+    waitUntil,
+    webhookPayload
+} = require("./helpers");
+const { parseSdp, getAttributes } = require("../lib/sdp");
+
+let ctx;
+const CHROME_OFFER = fixture("sdp/chrome-offer.sdp");
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.fakeGraph.reset();
+});
+
+/**
+ * Dial a number and answer the server's request for an SDP offer
+ */
+async function placeCall(socket, phoneNumber) {
+    const start = waitForEvent(socket, "start-outgoing-call-webrtc");
+    const res = await ctx.http.post("/initiate-call", {
+        phoneNumber,
+        callerName: "Support",
+        socketId: socket.id
+    }, { headers: await ctx.authHeaders() });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.success, true);
+
+    const { callId: pendingId } = await start;
+    assert.equal(pendingId, res.data.callId);
+
+    socket.emit("browser-offer", { callId: pendingId, sdp: CHROME_OFFER });
+    return pendingId;
+}
+
+test("/initiate-call requires a phone number", async () => {
+    const res = await ctx.http.post("/initiate-call", {}, { headers: await ctx.authHeaders() });
+    assert.equal(res.status, 400);
+    assert.equal(res.data.success, false);
+});
+
+test("an outgoing call sends the browser offer to Graph and follows status updates", async () => {
+    const socket = await ctx.connect();
+
+    const initiated = waitForEvent(socket, "outgoing-call-initiated");
+    const pendingId = await placeCall(socket, "5511987654321");
+    const { callId, previousCallId } = await initiated;
+
+    assert.equal(previousCallId, pendingId);
+    assert.match(callId, /^wacid\.fake_/);
+
+    const [connect] = ctx.fakeGraph.requests("connect");
+    assert.equal(connect.phoneNumberId, "1234567890");
+    assert.equal(connect.authorization, "Bearer test-access-token");
+    assert.equal(connect.body.to, "5511987654321");
+    // The browser offer goes out with WhatsApp's codec policy applied (see test/sdp.test.js)
+    assert.equal(connect.body.session.sdp_type, "offer");
+    const [audio] = parseSdp(connect.body.session.sdp).media;
+    assert.deepEqual(audio.payloadTypes, ["111", "110", "126"]);
+    assert.deepEqual(getAttributes(audio.lines, "ice-ufrag"), ["Xq2n"]);
+
+    const ringing = waitForEvent(socket, "outgoing-call-ringing");
+    await ctx.postWebhook(webhookPayload({
+        statuses: [{ id: callId, type: "call", status: "RINGING", timestamp: "1718204800" }]
+    }));
+    assert.equal((await ringing).status, "ringing");
+
+    const accepted = waitForEvent(socket, "outgoing-call-accepted");
+    await ctx.postWebhook(webhookPayload({
+        statuses: [{ id: callId, type: "call", status: "ACCEPTED", timestamp: "1718204805" }]
+    }));
+    assert.equal((await accepted).callId, callId);
+
+    const ended = waitForEvent(socket, "call-ended");
+    socket.emit("terminate-outbound-call", callId);
+    assert.deepEqual(await ended, { callId });
+
+    const [terminate] = ctx.fakeGraph.requests("terminate");
+    assert.equal(terminate.body.call_id, callId);
+});
+
+test("a status that arrives before the connect request returns is applied once it does", async () => {
+    ctx.fakeGraph.script("connect", {
+        body: { messaging_product: "whatsapp", calls: [{ id: "wacid.early_ringing" }] },
+        delayMs: 300,
+        once: true
+    });
+    const socket = await ctx.connect();
+
+    const initiated = waitForEvent(socket, "outgoing-call-initiated");
+    const ringing = waitForEvent(socket, "outgoing-call-ringing");
+    await placeCall(socket, "5511333333333");
+    await waitUntil(() => ctx.fakeGraph.requests("connect").length);
+    await ctx.postWebhook(webhookPayload({
+        statuses: [{ id: "wacid.early_ringing", type: "call", status: "RINGING", timestamp: "1718204800" }]
+    }));
+
+    assert.equal((await initiated).callId, "wacid.early_ringing");
+    assert.deepEqual(await ringing, {
+        callId: "wacid.early_ringing",
+        phoneNumber: "5511333333333",
+        status: "ringing",
+        timestamp: "1718204800"
+    });
+
+    const ended = waitForEvent(socket, "call-ended");
+    socket.emit("terminate-outbound-call", "wacid.early_ringing");
+    await ended;
+});
+
+test("a Graph error while connecting is reported to the browser", async () => {
+    ctx.fakeGraph.failOnce("connect", { code: 138006, message: "Receiver is not reachable" });
+    const socket = await ctx.connect();
+
+    const error = waitForEvent(socket, "webrtc-error");
+    const pendingId = await placeCall(socket, "5511000000000");
+
+    assert.deepEqual(await error, { callId: pendingId, error: "Receiver is not reachable", errorType: "invalid_request" });
+
+    const record = await ctx.http.get(`/calls/${pendingId}`, {
+        headers: { Authorization: `Bearer ${API_TOKEN}` }
+    });
+    assert.equal(record.data.call.status, "failed");
+    assert.equal(record.data.call.failureReason, "Receiver is not reachable");
+});
+
+test("a REJECTED status ends the outgoing call", async () => {
+    const socket = await ctx.connect();
+
+    const initiated = waitForEvent(socket, "outgoing-call-initiated");
+    await placeCall(socket, "5511222222222");
+    const { callId } = await initiated;
+
+    const rejected = waitForEvent(socket, "outgoing-call-rejected");
+    await ctx.postWebhook(webhookPayload({
+        statuses: [{ id: callId, type: "call", status: "REJECTED", timestamp: "1718204810" }]
+    }));
+    assert.equal((await rejected).callId, callId);
+
+    const record = await waitUntil(async () => {
+        const res = await ctx.http.get(`/calls/${callId}`, {
+            headers: { Authorization: `Bearer ${API_TOKEN}` }
+        });
+        return res.data.call?.endedAt && res.data.call;
+    });
+    assert.equal(record.status, "rejected");
+    assert.equal(record.direction, "outbound");
+});
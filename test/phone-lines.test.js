@@ -0,0 +1,143 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { API_TOKEN, fixture, startTestServer, waitForEvent, waitUntil, webhookPayload } = require("./helpers");
+const { loadPhoneLines } = require("../lib/phone-lines");
+
+const linesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "wp-call-lines-")), "lines.json");
+let ctx;
+
+const SALES_LINE = { id: "sales", name: "Sales", displayNumber: "+1 555 000 1111", group: "sales" };
+const SUPPORT_LINE = { id: "support", name: "Support", displayNumber: null, group: "support" };
+
+before(async () => {
+    fs.writeFileSync(linesFile, JSON.stringify({
+        lines: [
+            { ...SALES_LINE, phoneNumberId: "1111", accessToken: "sales-token" },
+            { id: "support", name: "Support", phoneNumberId: "2222", accessTokenEnv: "SUPPORT_ACCESS_TOKEN", group: "support" }
+        ]
+    }));
+    ctx = await startTestServer({ PHONE_LINES_FILE: linesFile, SUPPORT_ACCESS_TOKEN: "support-token" });
+});
+
+after(async () => {
+    await ctx.close();
+    fs.rmSync(path.dirname(linesFile), { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    ctx.fakeGraph.reset();
+});
+
+async function assertNotReceived(socket, event) {
+    await assert.rejects(waitForEvent(socket, event, { timeout: 200 }), /Timed out/);
+}
+
+/**
+ * A connect webhook delivered for the business number `phoneNumberId`
+ */
+function connectEvent(callId, phoneNumberId) {
+    const payload = webhookPayload({
+        calls: [{ id: callId, from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp: "v=0" } }],
+        contacts: [{ profile: { name: "Caller" }, wa_id: "5511987654321" }]
+    });
+    payload.entry[0].changes[0].value.metadata.phone_number_id = phoneNumberId;
+    return payload;
+}
+
+test("without a lines file the server has one line from PHONE_NUMBER_ID and ACCESS_TOKEN", () => {
+    assert.deepEqual(loadPhoneLines({ PHONE_NUMBER_ID: "1234567890", ACCESS_TOKEN: "token" }), [{
+        id: "default",
+        name: "Main line",
+        phoneNumberId: "1234567890",
+        displayNumber: null,
+        accessToken: "token",
+        group: null
+    }]);
+});
+
+test("lines files are validated", () => {
+    const badFile = path.join(path.dirname(linesFile), "bad-lines.json");
+    const load = (lines) => {
+        fs.writeFileSync(badFile, JSON.stringify({ lines }));
+        return () => loadPhoneLines({ PHONE_LINES_FILE: badFile });
+    };
+    assert.throws(load([]), /at least one line/);
+    assert.throws(load([{ id: "a", accessToken: "t" }]), /id and phoneNumberId are required/);
+    assert.throws(load([
+        { id: "a", phoneNumberId: "1", accessToken: "t" },
+        { id: "b", phoneNumberId: "1", accessToken: "t" }
+    ]), /'1' is used by another line/);
+    assert.throws(load([{ id: "a", phoneNumberId: "1", accessTokenEnv: "MISSING_TOKEN" }]), /set MISSING_TOKEN/);
+});
+
+test("an inbound call rings the group of the line it came in on", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+
+    const aliceRinging = assertNotReceived(alice, "call-is-coming");
+    const ringing = waitForEvent(bob, "call-is-coming");
+    await ctx.postWebhook(connectEvent("wacid.lines_1", "2222"));
+    assert.deepEqual(await ringing, {
+        callId: "wacid.lines_1",
+        callerName: "Caller",
+        callerNumber: "5511987654321",
+        line: SUPPORT_LINE
+    });
+    await aliceRinging;
+
+    // The call is answered through the line's own number and token
+    bob.emit("reject-call", "wacid.lines_1");
+    const [reject] = await waitUntil(() => ctx.fakeGraph.requests("reject").length && ctx.fakeGraph.requests("reject"));
+    assert.equal(reject.phoneNumberId, "2222");
+    assert.equal(reject.authorization, "Bearer support-token");
+
+    const record = await ctx.http.get("/calls/wacid.lines_1", { headers: { Authorization: `Bearer ${API_TOKEN}` } });
+    assert.equal(record.data.call.lineId, "support");
+});
+
+test("webhooks for a number that is not configured are ignored", async () => {
+    const sam = await ctx.connect({ as: "sam" });
+    const ringing = assertNotReceived(sam, "call-is-coming");
+    const res = await ctx.postWebhook(connectEvent("wacid.lines_unknown", "9999"));
+    assert.equal(res.status, 200);
+    await ringing;
+});
+
+test("agents only see the lines they may call from", async () => {
+    const lines = async (username) => (await ctx.http.get("/lines", { headers: await ctx.authHeaders(username) })).data.lines;
+    assert.deepEqual(await lines("alice"), [SALES_LINE]);
+    assert.deepEqual(await lines("bob"), [SUPPORT_LINE]);
+    assert.deepEqual(await lines("sam"), [SALES_LINE, SUPPORT_LINE]);
+});
+
+test("/initiate-call places the call from the chosen line", async () => {
+    const bob = await ctx.connect({ as: "bob" });
+    const headers = await ctx.authHeaders("bob");
+
+    const unknown = await ctx.http.post("/initiate-call", { phoneNumber: "5511987654321", lineId: "billing" }, { headers });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.data.error, "Unknown line 'billing'");
+
+    const forbidden = await ctx.http.post("/initiate-call", { phoneNumber: "5511987654321", lineId: "sales" }, { headers });
+    assert.equal(forbidden.status, 403);
+
+    const start = waitForEvent(bob, "start-outgoing-call-webrtc");
+    const res = await ctx.http.post("/initiate-call", {
+        phoneNumber: "5511987654321",
+        socketId: bob.id,
+        lineId: "support"
+    }, { headers });
+    assert.equal(res.status, 200);
+    assert.deepEqual((await start).line, SUPPORT_LINE);
+
+    const initiated = waitForEvent(bob, "outgoing-call-initiated");
+    bob.emit("browser-offer", { callId: res.data.callId, sdp: fixture("sdp/chrome-offer.sdp") });
+    await initiated;
+
+    const [connect] = ctx.fakeGraph.requests("connect");
+    assert.equal(connect.phoneNumberId, "2222");
+    assert.equal(connect.authorization, "Bearer support-token");
+});
@@ -0,0 +1,125 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, startTestServer, waitForEvent, waitUntil, webhookPayload } = require("./helpers");
+const { getCallSession } = require("../lib/call-sessions");
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.fakeGraph.reset();
+});
+
+/**
+ * Assert that an event does not reach a socket
+ */
+async function assertNotReceived(socket, event) {
+    await assert.rejects(waitForEvent(socket, event, { timeout: 200 }), /Timed out/);
+}
+
+function connectEvent(callId) {
+    return webhookPayload({
+        calls: [{ id: callId, from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp: "v=0" } }],
+        contacts: [{ profile: { name: "Caller" }, wa_id: "5511987654321" }]
+    });
+}
+
+test("an incoming call rings every agent and stops ringing for the others once taken", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+
+    const aliceRinging = waitForEvent(alice, "call-is-coming");
+    const bobRinging = waitForEvent(bob, "call-is-coming");
+    await ctx.postWebhook(connectEvent("wacid.rooms_1"));
+    await Promise.all([aliceRinging, bobRinging]);
+
+    const claimed = waitForEvent(bob, "call-claimed");
+    alice.emit("browser-offer", { callId: "wacid.rooms_1", sdp: fixture("sdp/chrome-offer.sdp") });
+    assert.deepEqual(await claimed, { callId: "wacid.rooms_1", agent: "Alice" });
+
+    // Bob can no longer act on the call, and only Alice hears that it ended
+    bob.emit("terminate-call", "wacid.rooms_1");
+    const bobEnded = assertNotReceived(bob, "call-ended");
+    const aliceEnded = waitForEvent(alice, "call-ended");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.rooms_1", from: "5511987654321", event: "terminate", duration: 3 }]
+    }));
+    assert.deepEqual(await aliceEnded, { callId: "wacid.rooms_1" });
+    await bobEnded;
+    assert.equal(ctx.fakeGraph.requests("terminate").length, 0);
+});
+
+test("outgoing call events only reach the agent who placed the call", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+
+    const bobStart = assertNotReceived(bob, "start-outgoing-call-webrtc");
+    const start = waitForEvent(alice, "start-outgoing-call-webrtc");
+    const res = await ctx.http.post("/initiate-call", {
+        phoneNumber: "5511987654321",
+        socketId: alice.id
+    }, { headers: await ctx.authHeaders("alice") });
+    assert.equal((await start).callId, res.data.callId);
+    await bobStart;
+
+    const bobInitiated = assertNotReceived(bob, "outgoing-call-initiated");
+    const initiated = waitForEvent(alice, "outgoing-call-initiated");
+    alice.emit("browser-offer", { callId: res.data.callId, sdp: fixture("sdp/chrome-offer.sdp") });
+    const { callId } = await initiated;
+    await bobInitiated;
+
+    // Bob cannot hang up Alice's call; Alice can
+    bob.emit("terminate-outbound-call", callId);
+    await assertNotReceived(alice, "call-ended");
+
+    const ended = waitForEvent(alice, "call-ended");
+    alice.emit("terminate-outbound-call", callId);
+    assert.deepEqual(await ended, { callId });
+});
+
+test("an outgoing call without a known socket is offered to all of the agent's tabs", async () => {
+    const tab1 = await ctx.connect({ as: "alice" });
+    const tab2 = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+
+    const offers = [tab1, tab2].map((socket) => waitForEvent(socket, "start-outgoing-call-webrtc"));
+    const bobStart = assertNotReceived(bob, "start-outgoing-call-webrtc");
+    await ctx.http.post("/initiate-call", { phoneNumber: "5511987654321" }, { headers: await ctx.authHeaders("alice") });
+    await Promise.all(offers);
+    await bobStart;
+});
+
+test("ICE candidates from a socket that is not on the call are dropped", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+
+    const initiated = waitForEvent(alice, "outgoing-call-initiated");
+    const res = await ctx.http.post("/initiate-call", {
+        phoneNumber: "5511987654321",
+        socketId: alice.id
+    }, { headers: await ctx.authHeaders("alice") });
+    alice.emit("browser-offer", { callId: res.data.callId, sdp: fixture("sdp/chrome-offer.sdp") });
+    const { callId } = await initiated;
+
+    // The bridge is not up until WhatsApp answers, so Alice's candidates are queued
+    const bobCandidate = { candidate: "candidate:2 1 udp 2122260223 10.0.0.2 40000 typ host", sdpMid: "0", sdpMLineIndex: 0 };
+    const aliceCandidate = { candidate: "candidate:1 1 udp 2122260223 10.0.0.1 50000 typ host", sdpMid: "0", sdpMLineIndex: 0 };
+    bob.emit("browser-candidate", { callId, candidate: bobCandidate });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    alice.emit("browser-candidate", { callId, candidate: aliceCandidate });
+
+    const session = getCallSession(callId);
+    await waitUntil(() => session.pendingIceCandidates.length > 0);
+    assert.deepEqual(session.pendingIceCandidates, [aliceCandidate]);
+
+    const ended = waitForEvent(alice, "call-ended");
+    alice.emit("terminate-outbound-call", callId);
+    await ended;
+});
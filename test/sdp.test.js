@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture } = require("./helpers");
+const { parseSdp, writeSdp, getAttributes, getCodecs, rewriteSdp } = require("../lib/sdp");
+
+const CHROME_OFFER = fixture("sdp/chrome-offer.sdp");
+const WHATSAPP_OFFER = fixture("sdp/whatsapp-offer.sdp");
+
+const POLICY = {
+    codecs: ["opus", "telephone-event"],
+    opus: { useinbandfec: "1", usedtx: "1", maxaveragebitrate: "20000" },
+    strip: ["extmap-allow-mixed"],
+    telephoneEvent: true
+};
+
+/**
+ * A captured SDP with some lines removed
+ */
+function without(sdp, ...prefixes) {
+    return sdp.split("\r\n").filter((line) => !prefixes.some((prefix) => line.startsWith(prefix))).join("\r\n");
+}
+
+test("captured SDPs parse into media sections and write back unchanged", () => {
+    for (const text of [CHROME_OFFER, WHATSAPP_OFFER]) {
+        assert.equal(writeSdp(parseSdp(text)), text);
+    }
+
+    const [audio] = parseSdp(WHATSAPP_OFFER).media;
+    assert.equal(audio.kind, "audio");
+    assert.deepEqual(audio.payloadTypes, ["111", "126"]);
+    assert.deepEqual(getAttributes(audio.lines, "mid"), ["audio"]);
+    assert.deepEqual(getCodecs(audio).map(({ payloadType, name, clockRate, channels }) => ({ payloadType, name, clockRate, channels })), [
+        { payloadType: "111", name: "opus", clockRate: 48000, channels: 2 },
+        { payloadType: "126", name: "telephone-event", clockRate: 8000, channels: null }
+    ]);
+    assert.equal(getCodecs(audio)[0].params.useinbandfec, "1");
+});
+
+test("the DTLS role is set by type and follows the offer in answers", () => {
+    const role = (text) => getAttributes(parseSdp(text).media[0].lines, "setup");
+
+    assert.deepEqual(role(rewriteSdp(WHATSAPP_OFFER, { type: "answer", offerSdp: WHATSAPP_OFFER })), ["active"]);
+    const activeOffer = WHATSAPP_OFFER.replace("a=setup:actpass", "a=setup:active");
+    assert.deepEqual(role(rewriteSdp(WHATSAPP_OFFER, { type: "answer", offerSdp: activeOffer })), ["passive"]);
+    assert.deepEqual(role(rewriteSdp(activeOffer, { type: "offer" })), ["actpass"]);
+
+    // A missing attribute is added after the fingerprint, whatever the mid looks like
+    const lines = parseSdp(rewriteSdp(without(WHATSAPP_OFFER, "a=setup:"), { type: "answer" })).media[0].lines;
+    const fingerprint = lines.findIndex((line) => line.startsWith("a=fingerprint:"));
+    assert.equal(lines[fingerprint + 1], "a=setup:active");
+    assert.equal(lines.filter((line) => line.startsWith("a=setup:")).length, 1);
+});
+
+test("the WhatsApp policy keeps allowed codecs, sets Opus parameters and strips attributes", () => {
+    const sdp = parseSdp(rewriteSdp(CHROME_OFFER, { type: "offer", policy: POLICY }));
+    const [audio] = sdp.media;
+
+    assert.deepEqual(audio.payloadTypes, ["111", "110", "126"]);
+    assert.deepEqual(getCodecs(audio).map((codec) => codec.name), ["opus", "telephone-event", "telephone-event"]);
+    assert.ok(!audio.lines.some((line) => /^a=(rtpmap|fmtp|rtcp-fb):(63|9|0|8|13) /.test(line)));
+    assert.deepEqual(getAttributes(audio.lines, "fmtp").filter((value) => value.startsWith("111 ")), [
+        "111 minptime=10;useinbandfec=1;usedtx=1;maxaveragebitrate=20000"
+    ]);
+    assert.deepEqual(getAttributes(sdp.session, "extmap-allow-mixed"), []);
+    // Everything else is left alone
+    assert.equal(getAttributes(audio.lines, "extmap").length, 4);
+    assert.deepEqual(getAttributes(audio.lines, "setup"), ["actpass"]);
+});
+
+test("telephone-event is offered when missing and answered only as offered", () => {
+    const events = (text) => getCodecs(parseSdp(text).media[0]).filter((codec) => codec.name === "telephone-event");
+    const offerWithoutEvents = without(WHATSAPP_OFFER, "a=rtpmap:126").replace(" 111 126", " 111");
+
+    const offer = rewriteSdp(offerWithoutEvents, { type: "offer", policy: POLICY });
+    assert.deepEqual(events(offer).map(({ payloadType, clockRate, params }) => ({ payloadType, clockRate, params })), [
+        { payloadType: "101", clockRate: 8000, params: { "": "0-15" } }
+    ]);
+    assert.match(offer, /^m=audio 3480 UDP\/TLS\/RTP\/SAVPF 111 101$/m);
+
+    const answer = without(WHATSAPP_OFFER, "a=rtpmap:126").replace(" 111 126", " 111");
+    assert.deepEqual(events(rewriteSdp(answer, { type: "answer", offerSdp: WHATSAPP_OFFER, policy: POLICY })).map((codec) => codec.payloadType), ["126"]);
+    assert.deepEqual(events(rewriteSdp(answer, { type: "answer", offerSdp: offerWithoutEvents, policy: POLICY })), []);
+});
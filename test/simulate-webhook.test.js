@@ -0,0 +1,70 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { APP_SECRET, fixture, startTestServer, waitForEvent } = require("./helpers");
+const { createFakeGraph } = require("../tools/fake-graph");
+const { parseArgs, buildCallWebhook, postWebhook, watchFakeGraph } = require("../tools/simulate-webhook");
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test("parseArgs reads commands, flags and camel-cased options", () => {
+    assert.deepEqual(parseArgs(["terminate", "--call-id", "wacid.1", "--duration", "42", "--verbose"]), {
+        positional: ["terminate"],
+        options: { callId: "wacid.1", duration: "42", verbose: true }
+    });
+});
+
+test("simulated connect and terminate drive the inbound flow", async () => {
+    const socket = await ctx.connect();
+    const sdp = fixture("sdp/whatsapp-offer.sdp");
+
+    const ringing = waitForEvent(socket, "call-is-coming");
+    const connect = buildCallWebhook("connect", { callId: "wacid.sim_1", from: "5511999990000", name: "Sim", sdp });
+    assert.equal(await postWebhook(ctx.baseUrl, connect, APP_SECRET), 200);
+    assert.deepEqual(await ringing, {
+        callId: "wacid.sim_1",
+        callerName: "Sim",
+        callerNumber: "5511999990000",
+        line: { id: "default", name: "Main line", displayNumber: null, group: null }
+    });
+
+    const ended = waitForEvent(socket, "call-ended");
+    const terminate = buildCallWebhook("terminate", { callId: "wacid.sim_1", from: "5511999990000", duration: 12 });
+    assert.equal(terminate.entry[0].changes[0].value.calls[0].duration, 12);
+    assert.equal(await postWebhook(ctx.baseUrl, terminate, APP_SECRET), 200);
+    assert.deepEqual(await ended, { callId: "wacid.sim_1" });
+});
+
+test("replayed captures are re-signed, and a wrong secret is refused", async () => {
+    const capture = fixture("webhooks/terminate.json");
+    assert.equal(await postWebhook(ctx.baseUrl, capture, APP_SECRET), 200);
+    assert.equal(await postWebhook(ctx.baseUrl, capture, "wrong-secret"), 401);
+    assert.equal(await postWebhook(ctx.baseUrl, capture, null), 401);
+});
+
+test("a simulated caller picks the server's answer and hang-up from the fake Graph API", async () => {
+    const fakeGraph = await createFakeGraph({ controlRoutes: true }).start();
+    const graphUrl = fakeGraph.url.replace(/\/v[\d.]+$/, "");
+    const post = (body) => axios.post(`${fakeGraph.url}/1234567890/calls`, { messaging_product: "whatsapp", ...body });
+
+    const answers = [];
+    const ended = new Promise((resolve) => {
+        watchFakeGraph(graphUrl, "wacid.sim_media", { onAnswer: (sdp) => answers.push(sdp), onEnd: resolve });
+    });
+    await post({ call_id: "wacid.other", action: "pre_accept", session: { sdp_type: "answer", sdp: "v=0 other" } });
+    await post({ call_id: "wacid.sim_media", action: "pre_accept", session: { sdp_type: "answer", sdp: "v=0 answer" } });
+    await post({ call_id: "wacid.sim_media", action: "accept", session: { sdp_type: "answer", sdp: "v=0 answer" } });
+    await post({ call_id: "wacid.sim_media", action: "terminate" });
+
+    assert.equal(await ended, "terminate");
+    assert.deepEqual(answers, ["v=0 answer"]);
+    await fakeGraph.stop();
+});
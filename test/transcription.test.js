@@ -0,0 +1,155 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startTestServer, waitForEvent, webhookPayload } = require("./helpers");
+const { createRecognizer, parseRecognizerArgs, saveTranscript, loadTranscript } = require("../lib/transcription");
+
+const transcriptsDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-call-transcripts-"));
+let ctx;
+
+// A recognizer process speaking the Vosk JSON-lines protocol: it reports how
+// many bytes of PCM it has read, and a final phrase when its input ends
+const FAKE_ENGINE = `
+let bytes = 0;
+process.stdin.on("data", (chunk) => {
+    bytes += chunk.length;
+    console.log(JSON.stringify({ partial: "" }));
+    console.log(JSON.stringify({ partial: "heard " + bytes }));
+    console.log("not json");
+});
+process.stdin.on("end", () => console.log(JSON.stringify({ text: "done after " + bytes + " bytes" })));
+`;
+
+before(async () => {
+    ctx = await startTestServer({ TRANSCRIPTS_DIR: transcriptsDir, TRANSCRIPTION_ENGINE: "stub" });
+});
+
+after(async () => {
+    await ctx.close();
+    fs.rmSync(transcriptsDir, { recursive: true, force: true });
+});
+
+test("the stub recognizer reports a partial, then a final phrase per second of audio", () => {
+    const segments = [];
+    const recognizer = createRecognizer("stub", { onSegment: (segment) => segments.push(segment), phrase: "hello there" });
+    for (let i = 0; i < 150; i++) {
+        recognizer.push(new Int16Array(480), 48000); // 10 ms
+    }
+    assert.deepEqual(segments, [
+        { text: "hello", final: false },
+        { text: "hello there 1", final: true },
+        { text: "hello", final: false }
+    ]);
+    assert.throws(() => createRecognizer("cloud", {}), /Unknown transcription engine 'cloud'/);
+});
+
+test("a process recognizer gets 16 kHz PCM and reports the engine's segments", async () => {
+    const segments = [];
+    const recognizer = createRecognizer("vosk", {
+        command: process.execPath,
+        args: ["-e", FAKE_ENGINE],
+        onSegment: (segment) => segments.push(segment)
+    });
+    // 10 ms at 48 kHz is 160 samples (320 bytes) at 16 kHz
+    recognizer.push(new Int16Array(480), 48000);
+    await recognizer.close();
+
+    assert.deepEqual(segments, [
+        { text: "heard 320", final: false },
+        { text: "done after 320 bytes", final: true }
+    ]);
+});
+
+test("a process recognizer that falls behind loses audio instead of buffering it", async () => {
+    // Reads nothing for a while, then counts what it was sent
+    const slowEngine = `
+let bytes = 0;
+setTimeout(() => process.stdin.on("data", (chunk) => {
+    bytes += chunk.length;
+}), 300);
+process.stdin.on("end", () => console.log(JSON.stringify({ text: String(bytes) })));
+`;
+    const segments = [];
+    const recognizer = createRecognizer("vosk", {
+        command: process.execPath,
+        args: ["-e", slowEngine],
+        onSegment: (segment) => segments.push(segment)
+    });
+    // 30 s of audio at once: 960,000 bytes at 16 kHz
+    for (let i = 0; i < 3000; i++) {
+        recognizer.push(new Int16Array(480), 48000);
+    }
+    await recognizer.close();
+
+    const received = Number(segments[0].text);
+    assert.ok(received > 0 && received < 960000, `received ${received} bytes`);
+});
+
+test("a process recognizer takes arguments with spaces and reports its stderr", async () => {
+    const engineDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-call engine "));
+    const engine = path.join(engineDir, "fake engine.js");
+    fs.writeFileSync(engine, `
+console.error("loading model " + process.argv[2]);
+process.stdin.resume();
+process.stdin.on("end", () => console.log(JSON.stringify({ text: "ready" })));
+`);
+    const segments = [];
+    const logs = [];
+    const recognizer = createRecognizer("vosk", {
+        command: process.execPath,
+        args: parseRecognizerArgs(JSON.stringify([engine, "/models/Vosk Small"])),
+        onSegment: (segment) => segments.push(segment),
+        onLog: (line) => logs.push(line)
+    });
+    await recognizer.close();
+    fs.rmSync(engineDir, { recursive: true, force: true });
+
+    assert.deepEqual(logs, ["loading model /models/Vosk Small"]);
+    assert.deepEqual(segments, [{ text: "ready", final: true }]);
+
+    assert.throws(() => parseRecognizerArgs("--model /opt/model"), /JSON array of strings/);
+    assert.throws(() => parseRecognizerArgs("[\"--threads\", 4]"), /JSON array of strings/);
+});
+
+test("transcripts are saved per call and never read outside their directory", () => {
+    const transcript = { callId: "wacid.saved", segments: [{ speaker: "caller", text: "hi", at: "2026-01-01T10:00:00.000Z" }] };
+    saveTranscript(transcriptsDir, transcript);
+    assert.deepEqual(loadTranscript(transcriptsDir, "wacid.saved"), transcript);
+    assert.equal(loadTranscript(transcriptsDir, "wacid.missing"), null);
+    assert.equal(loadTranscript(transcriptsDir, "../wacid.saved"), null);
+});
+
+test("a call's transcript is available to supervisors, not to agents who did not take the call", async () => {
+    const socket = await ctx.connect({ as: "bob" });
+    const ringing = waitForEvent(socket, "call-is-coming");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.transcribed", from: "5511987654321", event: "connect", session: { sdp_type: "offer", sdp: "v=0" } }],
+        contacts: [{ profile: { name: "Caller" }, wa_id: "5511987654321" }]
+    }));
+    await ringing;
+    const ended = waitForEvent(socket, "call-ended");
+    await ctx.postWebhook(webhookPayload({
+        calls: [{ id: "wacid.transcribed", from: "5511987654321", event: "terminate" }]
+    }));
+    await ended;
+
+    const transcript = {
+        callId: "wacid.transcribed",
+        segments: [
+            { speaker: "caller", text: "my order has not arrived", at: "2026-01-01T10:00:01.000Z" },
+            { speaker: "agent", text: "let me check that for you", at: "2026-01-01T10:00:03.000Z" }
+        ]
+    };
+    saveTranscript(transcriptsDir, transcript);
+
+    const get = async (username) => ctx.http.get("/calls/wacid.transcribed/transcript", { headers: await ctx.authHeaders(username) });
+    const res = await get("sam");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data.transcript, transcript);
+
+    // The call was never answered, so no agent owns it
+    assert.equal((await get("bob")).status, 404);
+    assert.equal((await ctx.http.get("/calls/wacid.unknown/transcript", { headers: await ctx.authHeaders("sam") })).status, 404);
+});
@@ -0,0 +1,181 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeWrtc } = require("./fake-wrtc");
+const { fixture, startTestServer, waitForEvent, waitForError } = require("./helpers");
+
+// Consult legs and take-overs are bridged on the server, which needs wrtc
+installFakeWrtc();
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+async function callEvents(callId) {
+    const res = await ctx.http.get(`/calls/${callId}`, { headers: await ctx.authHeaders("sam") });
+    return res.data.call.events.map((event) => event.type);
+}
+
+test("a blind transfer releases the agent and rings the target, then everyone if declined", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    await ctx.answerCall(alice, "wacid.blind", { bridged: true });
+
+    const released = waitForEvent(alice, "call-transferred");
+    const offered = waitForEvent(bob, "call-is-coming");
+    alice.emit("transfer-call", { callId: "wacid.blind", toAgent: "bob", mode: "blind" });
+
+    assert.deepEqual(await released, { callId: "wacid.blind", toAgent: "bob" });
+    assert.deepEqual(await offered, {
+        callId: "wacid.blind",
+        callerName: "Caller",
+        callerNumber: "5511987654321",
+        line: { id: "default", name: "Main line", displayNumber: null, group: null },
+        transferFrom: "Alice",
+        mode: "blind"
+    });
+
+    // Alice no longer controls the call
+    const refused = waitForError(alice);
+    alice.emit("hold-call", { callId: "wacid.blind" });
+    assert.equal((await refused).error, "Call is not bridged to this browser");
+
+    const requeued = waitForEvent(alice, "call-is-coming");
+    bob.emit("decline-transfer", { callId: "wacid.blind" });
+    assert.equal((await requeued).transferFrom, undefined);
+
+    assert.deepEqual(await callEvents("wacid.blind"), ["hold", "transfer", "transfer-declined"]);
+
+    await ctx.endCall(alice, "wacid.blind");
+});
+
+test("a warm transfer rings the target and can be cancelled", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    await ctx.answerCall(alice, "wacid.warm", { bridged: true });
+
+    const ringing = waitForEvent(alice, "transfer-state");
+    const offered = waitForEvent(bob, "call-is-coming");
+    alice.emit("transfer-call", { callId: "wacid.warm", toAgent: "bob", mode: "warm" });
+    assert.deepEqual(await ringing, { callId: "wacid.warm", status: "ringing", toAgent: "bob" });
+    assert.equal((await offered).mode, "warm");
+
+    const held = waitForError(alice);
+    alice.emit("transfer-call", { callId: "wacid.warm", toAgent: "bob", mode: "warm" });
+    assert.equal((await held).error, "A transfer is already in progress");
+
+    const dropped = waitForEvent(bob, "call-ended");
+    const cancelled = waitForEvent(alice, "transfer-state");
+    alice.emit("cancel-transfer", { callId: "wacid.warm" });
+    assert.deepEqual(await dropped, { callId: "wacid.warm" });
+    assert.equal((await cancelled).status, "cancelled");
+
+    assert.deepEqual(await callEvents("wacid.warm"), ["hold", "transfer", "transfer-cancelled"]);
+
+    await ctx.endCall(alice, "wacid.warm");
+});
+
+test("transfers need an online target other than yourself", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    await ctx.answerCall(alice, "wacid.no_target", { bridged: true });
+
+    for (const [socket, toAgent, error] of [
+        [alice, "alice", "Agent 'alice' is not available"],
+        [alice, "nobody", "Agent 'nobody' is not available"],
+        [bob, "sam", "Call is not bridged to this browser"]
+    ]) {
+        const refused = waitForError(socket);
+        socket.emit("transfer-call", { callId: "wacid.no_target", toAgent });
+        assert.equal((await refused).error, error);
+    }
+
+    const res = await ctx.http.get("/agents", { headers: await ctx.authHeaders("alice") });
+    const online = Object.fromEntries(res.data.agents.map((agent) => [agent.username, agent.online]));
+    assert.deepEqual(online, { alice: true, bob: true, sam: false, sue: false });
+
+    await ctx.endCall(alice, "wacid.no_target");
+});
+
+test("a warm transfer consults the target, then hands the caller over to them", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    await ctx.answerCall(alice, "wacid.consult", { bridged: true });
+
+    const offered = waitForEvent(bob, "call-is-coming");
+    alice.emit("transfer-call", { callId: "wacid.consult", toAgent: "bob", mode: "warm" });
+    await offered;
+
+    const answer = waitForEvent(bob, "browser-answer");
+    const consulting = waitForEvent(alice, "transfer-state", { filter: ({ status }) => status === "consulting" });
+    const bobConsulting = waitForEvent(bob, "transfer-state");
+    bob.emit("browser-offer", { callId: "wacid.consult", sdp: fixture("sdp/chrome-offer.sdp") });
+    assert.match(await answer, /^v=0/);
+    assert.deepEqual(await consulting, { callId: "wacid.consult", status: "consulting", toAgent: "bob" });
+    assert.equal((await bobConsulting).status, "consulting");
+
+    const released = waitForEvent(alice, "call-transferred");
+    const completed = waitForEvent(bob, "transfer-state", { filter: ({ status }) => status === "completed" });
+    const resumed = waitForEvent(bob, "call-audio-state");
+    alice.emit("complete-transfer", { callId: "wacid.consult" });
+    assert.deepEqual(await released, { callId: "wacid.consult", toAgent: "bob" });
+    assert.deepEqual(await completed, { callId: "wacid.consult", status: "completed", toAgent: "bob" });
+    assert.deepEqual(await resumed, { callId: "wacid.consult", held: false, muted: false });
+
+    // Bob has the caller now; Alice is out of the call
+    const refused = waitForError(alice);
+    alice.emit("hold-call", { callId: "wacid.consult" });
+    assert.equal((await refused).error, "Call is not bridged to this browser");
+    const held = waitForEvent(bob, "call-audio-state");
+    bob.emit("hold-call", { callId: "wacid.consult" });
+    assert.equal((await held).held, true);
+
+    const res = await ctx.http.get("/calls/wacid.consult", { headers: await ctx.authHeaders("sam") });
+    assert.equal(res.data.call.agent, "bob");
+    assert.deepEqual(res.data.call.events.map(({ type, agent }) => `${type}:${agent}`), [
+        "hold:alice",
+        "transfer:alice",
+        "transferred:bob",
+        "resume:bob",
+        "hold:bob"
+    ]);
+
+    await ctx.endCall(bob, "wacid.consult");
+});
+
+test("the target of a blind transfer takes over the caller's leg", async () => {
+    const alice = await ctx.connect({ as: "alice" });
+    const bob = await ctx.connect({ as: "bob" });
+    await ctx.answerCall(alice, "wacid.take_over", { bridged: true });
+
+    const released = waitForEvent(alice, "call-transferred");
+    const offered = waitForEvent(bob, "call-is-coming");
+    alice.emit("transfer-call", { callId: "wacid.take_over", toAgent: "bob", mode: "blind" });
+    await released;
+    await offered;
+
+    const started = waitForEvent(bob, "start-browser-timer");
+    const completed = waitForEvent(bob, "transfer-state");
+    const resumed = waitForEvent(bob, "call-audio-state");
+    bob.emit("browser-offer", { callId: "wacid.take_over", sdp: fixture("sdp/chrome-offer.sdp") });
+    await started;
+    assert.deepEqual(await completed, { callId: "wacid.take_over", status: "completed", toAgent: "bob" });
+    assert.deepEqual(await resumed, { callId: "wacid.take_over", held: false, muted: false });
+
+    const res = await ctx.http.get("/calls/wacid.take_over", { headers: await ctx.authHeaders("sam") });
+    assert.equal(res.data.call.agent, "bob");
+    assert.deepEqual(res.data.call.events.map(({ type }) => type), ["hold", "transfer", "transferred", "resume"]);
+
+    // Only Bob hears the call end
+    let aliceNotified = false;
+    alice.on("call-ended", () => {
+        aliceNotified = true;
+    });
+    await ctx.endCall(bob, "wacid.take_over");
+    assert.equal(aliceNotified, false);
+});
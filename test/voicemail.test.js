@@ -0,0 +1,69 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startTestServer, waitForEvent } = require("./helpers");
+
+const voicemailDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-call-voicemail-"));
+let ctx;
+
+/**
+ * Write a voicemail as the recorder leaves it: the audio and its metadata
+ */
+function writeVoicemail(fileName, fields) {
+    fs.writeFileSync(path.join(voicemailDir, fileName), Buffer.alloc(44));
+    fs.writeFileSync(path.join(voicemailDir, fileName.replace(/\.wav$/, ".json")), JSON.stringify({
+        fileName,
+        mode: "mixed",
+        durationSeconds: 12.3,
+        ...fields
+    }));
+}
+
+before(async () => {
+    writeVoicemail("wacid.old.wav", { callId: "wacid.old", callerName: "Old", callerNumber: "5511111111111", startedAt: "2026-01-01T10:00:00.000Z" });
+    writeVoicemail("wacid.new.wav", { callId: "wacid.new", callerName: "New", callerNumber: "5522222222222", startedAt: "2026-01-02T10:00:00.000Z" });
+    ctx = await startTestServer({ VOICEMAIL_DIR: voicemailDir });
+});
+
+after(async () => {
+    await ctx.close();
+    fs.rmSync(voicemailDir, { recursive: true, force: true });
+});
+
+async function voicemails(username = "alice") {
+    const res = await ctx.http.get("/voicemails", { headers: await ctx.authHeaders(username) });
+    return res.data.voicemails;
+}
+
+test("agents see voicemails newest first and can download them", async () => {
+    const list = await voicemails();
+    assert.deepEqual(list.map(({ callId, callerNumber, handledBy }) => ({ callId, callerNumber, handledBy })), [
+        { callId: "wacid.new", callerNumber: "5522222222222", handledBy: null },
+        { callId: "wacid.old", callerNumber: "5511111111111", handledBy: null }
+    ]);
+
+    const audio = await ctx.http.get(list[0].url, { headers: await ctx.authHeaders() });
+    assert.equal(audio.status, 200);
+    assert.equal((await ctx.http.get("/voicemails/missing.wav", { headers: await ctx.authHeaders() })).status, 404);
+    assert.equal((await ctx.http.get("/voicemails")).status, 401);
+});
+
+test("marking a voicemail as handled is shared with every agent", async () => {
+    const bob = await ctx.connect({ as: "bob" });
+    const updated = waitForEvent(bob, "voicemails-updated");
+
+    const res = await ctx.http.post("/voicemails/wacid.old.wav/handled", {}, { headers: await ctx.authHeaders("alice") });
+    assert.equal(res.data.success, true);
+    assert.equal(res.data.handledBy, "alice");
+    await updated;
+
+    assert.equal((await voicemails("bob")).find((voicemail) => voicemail.callId === "wacid.old").handledBy, "alice");
+
+    await ctx.http.post("/voicemails/wacid.old.wav/handled", { handled: false }, { headers: await ctx.authHeaders("bob") });
+    assert.equal((await voicemails()).find((voicemail) => voicemail.callId === "wacid.old").handledBy, null);
+
+    const missing = await ctx.http.post("/voicemails/../agents.wav/handled", {}, { headers: await ctx.authHeaders() });
+    assert.equal(missing.status, 404);
+});
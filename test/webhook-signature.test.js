@@ -0,0 +1,37 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, startTestServer } = require("./helpers");
+const { signPayload, isValidSignature } = require("../lib/webhook-signature");
+
+let ctx;
+
+before(async () => {
+    // A server started without an app secret
+    ctx = await startTestServer({ APP_SECRET: "" });
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test("signatures match only the body and secret they were made with", () => {
+    const body = JSON.stringify(fixture("webhooks/connect.json"));
+    const signature = signPayload(body, "secret");
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(isValidSignature(body, signature, "secret"), true);
+    assert.equal(isValidSignature(body, signature, "other-secret"), false);
+    assert.equal(isValidSignature(`${body} `, signature, "secret"), false);
+    assert.equal(isValidSignature(body, signature.replace("sha256=", "sha1="), "secret"), false);
+    assert.equal(isValidSignature(body, "sha256=abc", "secret"), false);
+    assert.equal(isValidSignature(body, undefined, "secret"), false);
+    assert.equal(isValidSignature(body, signature, ""), false);
+});
+
+test("without APP_SECRET every webhook POST is rejected", async () => {
+    const unsigned = await ctx.postWebhook(fixture("webhooks/connect.json"), { signature: null });
+    assert.equal(unsigned.status, 401);
+
+    const signed = await ctx.postWebhook(fixture("webhooks/connect.json"), { secret: "any-secret" });
+    assert.equal(signed.status, 401);
+});
@@ -0,0 +1,127 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    API_TOKEN,
+    fixture,
+    startTestServer,
+    waitForEvent,
+    waitUntil,
+    webhookPayload
+} = require("./helpers");
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+test("GET /webhook echoes the challenge for the right verify token", async () => {
+    const ok = await ctx.http.get("/webhook", {
+        params: { "hub.mode": "subscribe", "hub.verify_token": "test-verify-token", "hub.challenge": "1158201444" }
+    });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.data, 1158201444);
+
+    const wrong = await ctx.http.get("/webhook", {
+        params: { "hub.mode": "subscribe", "hub.verify_token": "nope", "hub.challenge": "1" }
+    });
+    assert.equal(wrong.status, 403);
+});
+
+test("POST /webhook rejects unsigned deliveries", async () => {
+    const res = await ctx.postWebhook(fixture("webhooks/connect.json"), { signature: null });
+    assert.equal(res.status, 401);
+});
+
+test("POST /webhook rejects deliveries signed with another secret", async () => {
+    const res = await ctx.postWebhook(fixture("webhooks/connect.json"), { secret: "someone-else" });
+    assert.equal(res.status, 401);
+});
+
+test("POST /webhook rejects a body that was changed after signing", async () => {
+    const payload = fixture("webhooks/terminate.json");
+    const { signPayload } = require("../lib/webhook-signature");
+    const signature = signPayload(JSON.stringify(payload), "test-app-secret");
+    payload.entry[0].changes[0].value.calls[0].id = "wacid.tampered";
+
+    const res = await ctx.postWebhook(payload, { signature });
+    assert.equal(res.status, 401);
+});
+
+test("incoming connect rings the browser and terminate ends the call", async () => {
+    const socket = await ctx.connect();
+    const connect = fixture("webhooks/connect.json");
+    const callId = connect.entry[0].changes[0].value.calls[0].id;
+
+    const ringing = waitForEvent(socket, "call-is-coming");
+    const res = await ctx.postWebhook(connect);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await ringing, {
+        callId,
+        callerName: "Maria Lopez",
+        callerNumber: "5511987654321",
+        line: { id: "default", name: "Main line", displayNumber: null, group: null }
+    });
+
+    const ended = waitForEvent(socket, "call-ended");
+    await ctx.postWebhook(fixture("webhooks/terminate.json"));
+    assert.deepEqual(await ended, { callId });
+
+    const record = await ctx.http.get(`/calls/${callId}`, {
+        headers: { Authorization: `Bearer ${API_TOKEN}` }
+    });
+    assert.equal(record.status, 200);
+    assert.equal(record.data.call.status, "missed");
+    assert.equal(record.data.call.direction, "inbound");
+    assert.equal(record.data.call.durationSeconds, 55);
+});
+
+test("every entry, change and call in a batch is dispatched", async () => {
+    const socket = await ctx.connect();
+    const payload = webhookPayload({
+        contacts: [
+            { profile: { name: "First Caller" }, wa_id: "111" },
+            { profile: { name: "Second Caller" }, wa_id: "222" }
+        ],
+        calls: [
+            { id: "wacid.batch_1", from: "222", event: "connect", session: { sdp_type: "offer", sdp: "v=0" } },
+            { id: "wacid.batch_2", from: "111", event: "connect", session: { sdp_type: "offer", sdp: "v=0" } }
+        ]
+    });
+    // A second entry that only carries a terminate for the first call
+    payload.entry.push(webhookPayload({ calls: [{ id: "wacid.batch_1", event: "terminate" }] }).entry[0]);
+
+    const rings = [];
+    const ended = [];
+    socket.on("call-is-coming", (call) => rings.push(call));
+    socket.on("call-ended", (call) => ended.push(call.callId));
+
+    const res = await ctx.postWebhook(payload);
+    assert.equal(res.status, 200);
+
+    await waitUntil(() => rings.length === 2 && ended.length === 1);
+    assert.deepEqual(rings.map((call) => [call.callId, call.callerName]), [
+        ["wacid.batch_1", "Second Caller"],
+        ["wacid.batch_2", "First Caller"]
+    ]);
+    assert.deepEqual(ended, ["wacid.batch_1"]);
+});
+
+test("call history requires the API token", async () => {
+    const res = await ctx.http.get("/calls");
+    assert.equal(res.status, 401);
+});
+
+test("call history rejects dates it cannot parse", async () => {
+    const headers = { Authorization: `Bearer ${API_TOKEN}` };
+    const res = await ctx.http.get("/calls", { headers, params: { from: "yesterday" } });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.data, { success: false, error: "'from' must be an ISO date" });
+
+    assert.equal((await ctx.http.get("/calls", { headers, params: { to: "2026-13-45" } })).status, 400);
+    assert.equal((await ctx.http.get("/calls", { headers, params: { from: "2026-01-01", to: "2026-01-02T10:00:00Z" } })).status, 200);
+});
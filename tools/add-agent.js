@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Creates or updates an agent account in the agents file used for login.
+ *
+ *   node tools/add-agent.js <username> [--name "Alice Smith"] [--role agent|supervisor|admin] [--groups sales,support] [--password secret]
+ *
+ * The password is prompted for when --password is not given. The agents file
+ * is $AGENTS_FILE, or agents.json in $DATA_DIR (default ./data).
+ */
+require("dotenv").config();
+const path = require("path");
+const readline = require("readline");
+const { createAgentStore } = require("../lib/agent-auth");
+const { parseArgs } = require("./simulate-webhook");
+
+/**
+ * Ask for a password on the terminal without echoing it
+ */
+function promptPassword(question) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl._writeToOutput = (text) => {
+            if (text.startsWith(question)) {
+                rl.output.write(text);
+            }
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write("\n");
+            resolve(answer);
+        });
+    });
+}
+
+async function main(argv) {
+    const { options, positional } = parseArgs(argv);
+    const [username] = positional;
+    if (!username) {
+        throw new Error("Usage: add-agent <username> [--name NAME] [--role ROLE] [--groups a,b] [--password PASSWORD]");
+    }
+
+    const dataDir = path.resolve(process.env.DATA_DIR || path.join(__dirname, "..", "data"));
+    const store = createAgentStore(path.resolve(process.env.AGENTS_FILE || path.join(dataDir, "agents.json")));
+    const existing = store.find(username);
+
+    let password = typeof options.password === "string" ? options.password : null;
+    if (!password && !existing) {
+        password = await promptPassword(`Password for ${username}: `);
+    }
+
+    const agent = store.save({
+        username,
+        password,
+        name: options.name || existing?.name,
+        role: options.role || existing?.role,
+        groups: options.groups ? options.groups.split(",").map((group) => group.trim()).filter(Boolean) : existing?.groups
+    });
+
+    console.log(`${existing ? "Updated" : "Added"} ${agent.role} '${agent.username}' in ${store.filePath}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
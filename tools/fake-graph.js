@@ -0,0 +1,180 @@
+/**
+ * Local stand-in for the Graph API `/calls` endpoint.
+ *
+ * Point GRAPH_API_BASE_URL at it to exercise the bridge without a real
+ * WhatsApp number. Every request is recorded, and responses (including
+ * Graph-style errors) can be scripted per action.
+ *
+ * Run standalone with `npm run fake-graph` (port FAKE_GRAPH_PORT, default 19100).
+ * In standalone mode it also exposes control routes:
+ *   GET    /_requests         recorded requests
+ *   DELETE /_requests         clear recorded requests and scripts
+ *   POST   /_script/:action   { status, body, delayMs, once } for the next/all calls of an action
+ */
+const express = require("express");
+const http = require("http");
+
+/**
+ * Build a Graph API error body
+ */
+function graphError(code, message, { type = "OAuthException", subcode, fbtraceId = "fake-trace" } = {}) {
+    return {
+        error: {
+            message,
+            type,
+            code,
+            ...(subcode !== undefined && { error_subcode: subcode }),
+            fbtrace_id: fbtraceId
+        }
+    };
+}
+
+/**
+ * Create a fake Graph server. Call start() to listen and stop() when done.
+ */
+function createFakeGraph({ controlRoutes = false } = {}) {
+    const app = express();
+    const server = http.createServer(app);
+
+    let requests = [];
+    let scripts = {}; // action -> [{ status, body, delayMs, once }]
+    let nextCallNumber = 1;
+
+    app.use(express.json());
+
+    function defaultResponse(action) {
+        if (action === "connect") {
+            return {
+                status: 200,
+                body: {
+                    messaging_product: "whatsapp",
+                    calls: [{ id: `wacid.fake_${nextCallNumber++}` }]
+                }
+            };
+        }
+        return { status: 200, body: { success: true } };
+    }
+
+    function takeScript(action) {
+        const queue = scripts[action] || scripts["*"];
+        if (!queue || queue.length === 0) {
+            return null;
+        }
+        const script = queue[0];
+        if (script.once) {
+            queue.shift();
+        }
+        return script;
+    }
+
+    // Matches /:phoneNumberId/calls with or without a version prefix
+    app.post(/^\/(?:[^/]+\/)?([^/]+)\/calls$/, async (req, res) => {
+        const action = req.body?.action;
+        const record = {
+            phoneNumberId: req.params[0],
+            path: req.path,
+            action,
+            body: req.body,
+            authorization: req.get("Authorization") || null,
+            receivedAt: new Date().toISOString()
+        };
+        requests.push(record);
+
+        const script = takeScript(action);
+        const response = script
+            ? { status: script.status || 200, body: typeof script.body === "function" ? script.body(record) : script.body }
+            : defaultResponse(action);
+
+        if (script?.delayMs) {
+            await new Promise((resolve) => setTimeout(resolve, script.delayMs));
+        }
+        if (script?.headers) {
+            res.set(script.headers);
+        }
+        record.response = response;
+        res.status(response.status).json(response.body);
+    });
+
+    if (controlRoutes) {
+        app.get("/_requests", (req, res) => res.json(requests));
+        app.delete("/_requests", (req, res) => {
+            fake.reset();
+            res.sendStatus(204);
+        });
+        app.post("/_script/:action", (req, res) => {
+            fake.script(req.params.action, req.body || {});
+            res.sendStatus(204);
+        });
+    }
+
+    const fake = {
+        app,
+        server,
+        url: null,
+
+        /**
+         * Requests received so far, optionally only for one action
+         */
+        requests(action) {
+            return action ? requests.filter((r) => r.action === action) : requests.slice();
+        },
+
+        /**
+         * Script the response for an action ("*" for any action).
+         * Scripts with `once: true` are consumed in order; others stick.
+         */
+        script(action, { status = 200, body = { success: true }, delayMs = 0, headers, once = false } = {}) {
+            scripts[action] = scripts[action] || [];
+            const entry = { status, body, delayMs, headers, once };
+            if (once) {
+                // Consumed scripts run before any sticky script for the same action
+                const stickyIndex = scripts[action].findIndex((s) => !s.once);
+                scripts[action].splice(stickyIndex === -1 ? scripts[action].length : stickyIndex, 0, entry);
+            } else {
+                scripts[action] = scripts[action].filter((s) => s.once).concat(entry);
+            }
+            return fake;
+        },
+
+        /**
+         * Make the next request for an action fail with a Graph error
+         */
+        failOnce(action, { status = 400, code = 100, message = "Invalid parameter", ...options } = {}) {
+            return fake.script(action, { status, body: graphError(code, message, options), once: true });
+        },
+
+        reset() {
+            requests = [];
+            scripts = {};
+        },
+
+        start(port = 0) {
+            return new Promise((resolve) => {
+                server.listen(port, "127.0.0.1", () => {
+                    fake.url = `http://127.0.0.1:${server.address().port}/v23.0`;
+                    resolve(fake);
+                });
+            });
+        },
+
+        stop() {
+            return new Promise((resolve) => server.close(() => resolve()));
+        }
+    };
+
+    return fake;
+}
+
+module.exports = {
+    createFakeGraph,
+    graphError
+};
+
+if (require.main === module) {
+    const port = Number(process.env.FAKE_GRAPH_PORT) || 19100;
+    createFakeGraph({ controlRoutes: true })
+        .start(port)
+        .then((fake) => {
+            console.log(`Fake Graph API listening. Set GRAPH_API_BASE_URL=${fake.url}`);
+        });
+}
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/**
+ * Posts realistic WhatsApp call webhooks to a running server, so the inbound
+ * flow can be exercised without placing a real WhatsApp call.
+ *
+ *   node tools/simulate-webhook.js connect   [--from 5511987654321] [--name "Test Caller"] [--call-id ID] [--sdp offer.sdp] [--graph URL]
+ *   node tools/simulate-webhook.js terminate --call-id ID [--duration 42]
+ *   node tools/simulate-webhook.js reject    --call-id ID
+ *   node tools/simulate-webhook.js timeout   --call-id ID
+ *   node tools/simulate-webhook.js replay    capture1.json [capture2.json ...] [--delay 500]
+ *
+ * Common options:
+ *   --url      server base URL (default http://localhost:$PORT or 19000)
+ *   --secret   app secret used to sign deliveries (default $APP_SECRET; unsigned if empty)
+ *   --phone-number-id  business line the call is on (default $PHONE_NUMBER_ID)
+ *
+ * `connect` generates a real SDP offer from a local wrtc peer connection
+ * unless --sdp points at a captured offer. The simulated caller then stays on
+ * the line until Ctrl-C, which sends `terminate`. Media only flows when the
+ * server's answer reaches the caller: pass --graph with the URL of the fake
+ * Graph API (`npm run fake-graph`, e.g. http://127.0.0.1:19100) and the answer
+ * is picked up from its recorded requests; the caller then plays a tone. Without
+ * --graph, or with --sdp, only signaling is exercised.
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { signPayload } = require("../lib/webhook-signature");
+const { createAudioPlayer } = require("../lib/audio-player");
+
+const CALL_EVENTS = ["connect", "terminate", "reject", "timeout"];
+
+/**
+ * Parse `--key value` options and positional arguments
+ */
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith("--")) {
+            const key = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith("--")) {
+                options[key] = true;
+            } else {
+                options[key] = next;
+                i++;
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { options, positional };
+}
+
+/**
+ * Build a webhook delivery carrying a single call event, shaped like Meta's
+ */
+function buildCallWebhook(event, {
+    callId,
+    from = "5511987654321",
+    name = "Simulated Caller",
+    to = process.env.DISPLAY_PHONE_NUMBER || "15550001111",
+    phoneNumberId = process.env.PHONE_NUMBER_ID || "000000000000000",
+    sdp,
+    duration
+} = {}) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const call = {
+        id: callId,
+        from,
+        to,
+        event,
+        timestamp,
+        direction: "USER_INITIATED"
+    };
+
+    if (event === "connect") {
+        call.session = { sdp_type: "offer", sdp };
+    }
+    if (event === "terminate") {
+        call.status = "Completed";
+        if (duration !== undefined) {
+            call.duration = Number(duration);
+            call.start_time = String(Number(timestamp) - call.duration);
+            call.end_time = timestamp;
+        }
+    }
+
+    return {
+        object: "whatsapp_business_account",
+        entry: [{
+            id: "0",
+            changes: [{
+                field: "calls",
+                value: {
+                    messaging_product: "whatsapp",
+                    metadata: { display_phone_number: to, phone_number_id: phoneNumberId },
+                    contacts: [{ profile: { name }, wa_id: from }],
+                    calls: [call]
+                }
+            }]
+        }]
+    };
+}
+
+/**
+ * POST a webhook delivery, signed when a secret is given
+ */
+async function postWebhook(baseUrl, payload, secret) {
+    const body = typeof payload === "string" ? payload : JSON.stringify(payload);
+    const headers = { "Content-Type": "application/json" };
+    if (secret) {
+        headers["X-Hub-Signature-256"] = signPayload(body, secret);
+    }
+
+    const response = await axios.post(`${baseUrl.replace(/\/+$/, "")}/webhook`, body, {
+        headers,
+        validateStatus: () => true
+    });
+    return response.status;
+}
+
+// Tone the simulated caller plays once media flows
+const TONE_HZ = 440;
+const TONE_SAMPLE_RATE = 48000;
+
+// How often the fake Graph API is checked for the server's answer
+const GRAPH_POLL_MS = 500;
+
+/**
+ * A caller on a local wrtc peer connection playing a tone. `sdp` is its offer;
+ * ICE gathering is awaited because webhooks carry no trickled candidates.
+ * Returns { sdp, answer(sdp), close() }.
+ */
+async function createSimulatedCaller() {
+    let wrtc;
+    try {
+        wrtc = require("wrtc");
+    } catch (error) {
+        throw new Error("wrtc is required to generate an SDP offer. Install it or pass --sdp <file>.");
+    }
+
+    const tone = new Int16Array(TONE_SAMPLE_RATE / 10).map((_, i) => Math.round(8000 * Math.sin((2 * Math.PI * TONE_HZ * i) / TONE_SAMPLE_RATE)));
+    const player = createAudioPlayer({
+        RTCAudioSource: wrtc.nonstandard.RTCAudioSource,
+        audio: { sampleRate: TONE_SAMPLE_RATE, samples: tone },
+        loop: true
+    });
+    const pc = new wrtc.RTCPeerConnection({ iceServers: [] });
+    pc.addTrack(player.track, new wrtc.MediaStream([player.track]));
+
+    const gathered = new Promise((resolve) => {
+        const timer = setTimeout(resolve, 3000);
+        pc.onicegatheringstatechange = () => {
+            if (pc.iceGatheringState === "complete") {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+    });
+    pc.onconnectionstatechange = () => console.log(`Caller connection: ${pc.connectionState}`);
+
+    await pc.setLocalDescription(await pc.createOffer());
+    await gathered;
+
+    return {
+        sdp: pc.localDescription.sdp,
+
+        async answer(sdp) {
+            await pc.setRemoteDescription(new wrtc.RTCSessionDescription({ type: "answer", sdp }));
+        },
+
+        close() {
+            player.stop();
+            pc.close();
+        }
+    };
+}
+
+/**
+ * Follow what the server sends the fake Graph API for a call: `onAnswer(sdp)`
+ * with its first answer, `onEnd(action)` once it rejects or terminates the call.
+ * Returns a function that stops watching.
+ */
+function watchFakeGraph(graphUrl, callId, { onAnswer, onEnd }) {
+    let answered = false;
+    const timer = setInterval(async () => {
+        let requests;
+        try {
+            requests = (await axios.get(`${graphUrl.replace(/\/+$/, "")}/_requests`)).data;
+        } catch (error) {
+            console.warn(`Could not read the fake Graph API requests: ${error.message}`);
+            return;
+        }
+        const forCall = requests.filter((request) => request.body?.call_id === callId);
+        const answer = forCall.find((request) => ["pre_accept", "accept"].includes(request.action) && request.body.session?.sdp);
+        if (answer && !answered) {
+            answered = true;
+            onAnswer(answer.body.session.sdp);
+        }
+        const end = forCall.find((request) => ["reject", "terminate"].includes(request.action));
+        if (end) {
+            clearInterval(timer);
+            onEnd(end.action);
+        }
+    }, GRAPH_POLL_MS);
+    return () => clearInterval(timer);
+}
+
+/**
+ * Keep a simulated caller on the line until Ctrl-C (which sends `terminate`)
+ * or, with a fake Graph API to watch, until the server ends the call
+ */
+function stayOnTheLine(caller, { baseUrl, secret, callId, graphUrl, webhookOptions }) {
+    const connectedAt = Date.now();
+    return new Promise((resolve) => {
+        let stopWatching = () => {};
+        const hangUp = () => {
+            stopWatching();
+            caller.close();
+            process.off("SIGINT", onInterrupt);
+            resolve();
+        };
+        const onInterrupt = async () => {
+            const duration = Math.round((Date.now() - connectedAt) / 1000);
+            const status = await postWebhook(baseUrl, buildCallWebhook("terminate", { ...webhookOptions, callId, duration }), secret);
+            console.log(`Sent 'terminate' for call ${callId} -> ${status}`);
+            hangUp();
+        };
+        process.on("SIGINT", onInterrupt);
+
+        if (graphUrl) {
+            stopWatching = watchFakeGraph(graphUrl, callId, {
+                onAnswer: (sdp) => caller.answer(sdp)
+                    .then(() => console.log("Server answered; playing a tone"))
+                    .catch((error) => console.error(`Could not apply the server's answer: ${error.message}`)),
+                onEnd: (action) => {
+                    console.log(`Server sent '${action}'; hanging up`);
+                    hangUp();
+                }
+            });
+            console.log("Caller is on the line. Press Ctrl-C to hang up.");
+        } else {
+            console.log("Caller is on the line (signaling only, see --graph). Press Ctrl-C to hang up.");
+        }
+    });
+}
+
+/**
+ * Read captured webhook files; a file may hold one delivery or an array of them
+ */
+function readCaptures(files) {
+    return files.flatMap((file) => {
+        const content = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+        return (Array.isArray(content) ? content : [content]).map((payload) => ({ file, payload }));
+    });
+}
+
+async function main(argv) {
+    const { options, positional } = parseArgs(argv);
+    const [command, ...rest] = positional;
+    const baseUrl = options.url || `http://localhost:${process.env.PORT || 19000}`;
+    const secret = options.secret === undefined ? process.env.APP_SECRET : options.secret;
+
+    if (!secret) {
+        console.warn("No app secret configured - sending unsigned webhooks");
+    }
+
+    if (command === "replay") {
+        if (rest.length === 0) {
+            throw new Error("replay needs at least one captured webhook JSON file");
+        }
+        const delay = Number(options.delay) || 0;
+        for (const { file, payload } of readCaptures(rest)) {
+            const status = await postWebhook(baseUrl, payload, secret);
+            console.log(`Replayed ${path.basename(file)} -> ${status}`);
+            if (delay) {
+                await new Promise((resolve) => setTimeout(resolve, delay));
+            }
+        }
+        return;
+    }
+
+    if (!CALL_EVENTS.includes(command)) {
+        throw new Error(`Unknown command '${command || ""}'. Use one of: ${CALL_EVENTS.join(", ")}, replay`);
+    }
+
+    const callId = options.callId || (command === "connect" ? `wacid.sim_${Date.now()}` : null);
+    if (!callId) {
+        throw new Error(`${command} needs --call-id`);
+    }
+
+    const webhookOptions = {
+        from: options.from,
+        name: options.name,
+        to: options.to,
+        phoneNumberId: options.phoneNumberId
+    };
+
+    let caller = null;
+    let sdp;
+    if (command === "connect") {
+        if (options.sdp) {
+            sdp = fs.readFileSync(path.resolve(options.sdp), "utf8");
+        } else {
+            caller = await createSimulatedCaller();
+            sdp = caller.sdp;
+        }
+    }
+
+    const payload = buildCallWebhook(command, { ...webhookOptions, callId, duration: options.duration, sdp });
+    const status = await postWebhook(baseUrl, payload, secret);
+    console.log(`Sent '${command}' for call ${callId} -> ${status}`);
+
+    if (caller) {
+        const graphUrl = typeof options.graph === "string" ? options.graph : null;
+        await stayOnTheLine(caller, { baseUrl, secret, callId, graphUrl, webhookOptions });
+    }
+}
+
+module.exports = {
+    parseArgs,
+    buildCallWebhook,
+    postWebhook,
+    createSimulatedCaller,
+    watchFakeGraph
+};
+
+if (require.main === module) {
+    // Exit explicitly: a closed wrtc peer connection can keep the process alive
+    main(process.argv.slice(2)).then(() => process.exit(0), (error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
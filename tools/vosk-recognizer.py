@@ -0,0 +1,44 @@
+#!/usr/bin/env python3
+"""
+Offline speech recognizer for live transcription (TRANSCRIPTION_ENGINE=vosk).
+
+Reads 16 kHz 16-bit mono PCM on stdin and writes one JSON object per line on
+stdout: {"partial": "..."} while a phrase is spoken, {"text": "..."} once it
+is recognized. Needs `pip install vosk` and a model from
+https://alphacephei.com/vosk/models
+
+    python3 tools/vosk-recognizer.py /path/to/vosk-model
+"""
+import json
+import sys
+
+from vosk import KaldiRecognizer, Model, SetLogLevel
+
+SAMPLE_RATE = 16000
+CHUNK_BYTES = 4000  # 125 ms of audio
+
+
+def emit(result):
+    # Vosk pretty-prints its results; the server expects one object per line
+    print(json.dumps(json.loads(result)), flush=True)
+
+
+def main():
+    if len(sys.argv) != 2:
+        sys.exit("usage: vosk-recognizer.py MODEL_PATH")
+
+    SetLogLevel(-1)
+    recognizer = KaldiRecognizer(Model(sys.argv[1]), SAMPLE_RATE)
+    while True:
+        data = sys.stdin.buffer.read(CHUNK_BYTES)
+        if not data:
+            break
+        if recognizer.AcceptWaveform(data):
+            emit(recognizer.Result())
+        else:
+            emit(recognizer.PartialResult())
+    emit(recognizer.FinalResult())
+
+
+if __name__ == "__main__":
+    main()